@@ -0,0 +1,190 @@
+// Console channel: messages typed in a terminal, or read from a script, go
+// through the same pipeline as the chat channels, so commands, tokens, streaks
+// and payments behave exactly as they do live. Stand-in transports print what
+// would have been sent to each user. See console.js for how to run it.
+//
+// Lines starting with ':' control the console rather than being sent:
+//   :as <user id> [name]   send as another user, e.g. :as telegram:123456 Ada, creating them if needed
+//   :attach <file>         attach a local image or document to the next message
+//   :pay [failed]          pay the user's latest unpaid /payments link, through the mock Flutterwave
+//   :expect <text>         check that Florence*'s replies to the last message include the text
+//   :help                  list these
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { registerTransport, sendMessageToUser } from '../lib/channels.js';
+import { payMockLink } from '../lib/flutterwaveMock.js';
+import { determineMediaType } from '../lib/media.js';
+import { paymentConfirmation, processFlutterwaveEvent } from '../lib/payments.js';
+import { handleMessage } from '../lib/pipeline.js';
+import { collection } from '../lib/store.js';
+import { createUser, getUserById, saveUser } from '../lib/users.js';
+
+// What each channel's adapter gives new users and the pipeline
+const CHANNELS = {
+    whatsapp: { startingTokens: 100, maxMessageLength: 1600, bold: (text) => `*${text}*` },
+    telegram: { startingTokens: 10, maxMessageLength: 4096, bold: (text) => text },
+    web: { startingTokens: 10, maxMessageLength: Infinity, bold: (text) => `**${text}**` }
+};
+
+const HELP = [
+    ':as <user id> [name]   send as another user, e.g. :as telegram:123456 Ada',
+    ':attach <file>         attach a local image or document to the next message',
+    ':pay [failed]          pay your latest unpaid /payments link',
+    ':expect <text>         check the replies to the last message include the text',
+    ':help                  show this list'
+].join('\n');
+
+/**
+ * Print a message from Florence*, indenting any lines after the first
+ * @param {string} label - Who it's to
+ * @param {string} text
+ */
+function printMessage(label, text) {
+    console.log(`${label} ${text.replace(/\n/g, '\n    ')}\n`);
+}
+
+/**
+ * Start a console session
+ * @param {Object} options
+ * @param {string} options.as - User id to send as, e.g. 'whatsapp:2348012345678'
+ * @param {string} [options.name] - Their name, if they're new
+ * @param {boolean} [options.echo] - Print each line as it's run, for scripts
+ * @returns {{run: function(string): Promise<{valid: boolean, reason?: string}>, userId: function(): string}}
+ *   run(line) for each line typed or read
+ */
+export function createConsoleSession({ as, name, echo = false }) {
+    let current = null; // { id, channel, isNewUser }; the user is looked up each time, as /link can merge them into another
+    let attachments = [];
+    let received = []; // what was sent to the current user since their last message
+
+    // Everything sent outside a reply, like reminders and payment confirmations, is printed
+    for (const channel of Object.keys(CHANNELS)) {
+        registerTransport(channel, async (newMsg, channelId) => {
+            const id = `${channel}:${channelId}`;
+            if (current && getUserById(id)?.id === getUserById(current.id)?.id) received.push(newMsg);
+            printMessage(`[to ${id}]`, newMsg);
+        });
+    }
+
+    /**
+     * Switch to a user, creating them if they don't exist
+     * @param {string} id
+     * @param {string} [userName]
+     * @returns {{valid: boolean, reason?: string}}
+     */
+    const switchUser = (id, userName) => {
+        const [channel, channelId] = (id || '').split(/:(.*)/);
+        if (!CHANNELS[channel] || !channelId) {
+            return { valid: false, reason: `User ids look like whatsapp:2348012345678, telegram:123456 or web:student-1, not ${id}` };
+        }
+
+        const existing = getUserById(id);
+        const user = existing || createUser(channel, channelId, {
+            name: userName || 'Console User',
+            tokens: CHANNELS[channel].startingTokens
+        });
+        if (!existing) saveUser(user);
+
+        current = { id, channel, isNewUser: !existing };
+        attachments = [];
+        const account = user.id === id ? '' : `, linked to ${user.id}`;
+        console.log(`(sending as ${id}${existing ? account : ', a new user'}, with ${user.tokens} tokens)\n`);
+        return { valid: true };
+    };
+
+    const attach = (file) => {
+        if (!file || !fs.existsSync(file)) {
+            return { valid: false, reason: `No such file: ${file}` };
+        }
+        const buffer = fs.readFileSync(file);
+        const name = path.basename(file);
+        attachments.push({ contentType: determineMediaType(name), name, size: buffer.length, buffer });
+        console.log(`(attached ${name}; it goes with the next message)\n`);
+        return { valid: true };
+    };
+
+    const pay = async (status) => {
+        const user = getUserById(current.id);
+        const paid = new Set(Object.values(collection('transactions')).map(transaction => transaction.txRef));
+        const [txRef, link] = Object.entries(collection('paymentLinks'))
+            .filter(([txRef, link]) => link.userId === user.id && !paid.has(txRef))
+            .sort(([, a], [, b]) => new Date(b.createdAt) - new Date(a.createdAt))[0] || [];
+        if (!link) {
+            return { valid: false, reason: 'There is no unpaid payment link. Send /payments first.' };
+        }
+
+        const result = await processFlutterwaveEvent(payMockLink(txRef, link.amount, status || 'successful'));
+        if (!result.credited) {
+            console.log(`(payment not credited: ${result.reason})\n`);
+            return { valid: true };
+        }
+        received = [];
+        await sendMessageToUser(result.user, paymentConfirmation(result));
+        return { valid: true };
+    };
+
+    const expect = (text) => {
+        if (received.some(message => message.includes(text))) return { valid: true };
+        return {
+            valid: false,
+            reason: `Expected a reply including "${text}", but got:\n${received.map(message => `  ${message.replace(/\n/g, '\n  ')}`).join('\n') || '  nothing'}`
+        };
+    };
+
+    const send = async (text) => {
+        const user = getUserById(current.id);
+        const channel = CHANNELS[current.channel];
+        received = [];
+
+        await handleMessage({
+            channel: current.channel,
+            user,
+            isNewUser: current.isNewUser,
+            text,
+            messageId: crypto.randomUUID(),
+            firstName: (user.name || 'there').split(' ')[0],
+            mediaItems: attachments,
+            groupId: null,
+            isGroupAdmin: async () => false,
+            maxMessageLength: channel.maxMessageLength,
+            reply: async (newMsg) => {
+                received.push(newMsg);
+                printMessage('<', newMsg);
+            },
+            bold: channel.bold
+        });
+
+        current.isNewUser = false;
+        attachments = [];
+        return { valid: true };
+    };
+
+    const started = switchUser(as, name);
+    if (!started.valid) throw new Error(started.reason);
+
+    return {
+        userId: () => current.id,
+        run: async (line) => {
+            const text = line.trim();
+            if (!text || text.startsWith('#')) return { valid: true };
+            if (echo) console.log(`> ${text}\n`);
+
+            if (!text.startsWith(':')) return send(text);
+
+            const [, command, rest = ''] = /^:(\S+)\s*(.*)$/.exec(text);
+            const [first, ...others] = rest.split(/\s+/);
+            switch (command) {
+                case 'as': return switchUser(first, others.join(' '));
+                case 'attach': return attach(rest);
+                case 'pay': return pay(first);
+                case 'expect': return expect(rest);
+                case 'help':
+                    console.log(`${HELP}\n`);
+                    return { valid: true };
+                default:
+                    return { valid: false, reason: `Unknown console command :${command}. Send :help to see them.` };
+            }
+        }
+    };
+}
@@ -0,0 +1,294 @@
+// Telegram channel
+import { Context, Telegraf } from 'telegraf';
+import { setTimeout as sleep } from 'timers/promises';
+import { BOT_TOKEN, WEBHOOK_URL } from '../lib/config.js';
+import { getUser, createUser, userKey } from '../lib/users.js';
+import { notifyAdmins } from '../lib/admin.js';
+import { registerTransport } from '../lib/channels.js';
+import { handleMessage } from '../lib/pipeline.js';
+import { enqueue, registerQueueHandler, updateQueued } from '../lib/queue.js';
+import { determineMediaType } from '../lib/media.js';
+import { splitMessage } from '../lib/replies.js';
+import { requireTelegramSecret, telegramSecret } from '../lib/webhookAuth.js';
+
+if (!BOT_TOKEN) throw new Error("BOT_TOKEN is required in .env");
+
+const bot = new Telegraf(BOT_TOKEN);
+
+const STARTING_TOKENS = 10;
+const MEDIA_GROUP_DELAY = 1500; // ms to wait for the rest of an album
+const TELEGRAM_MAX_DOWNLOAD = 20 * 1024 * 1024; // bots can't download bigger files
+const MAX_MESSAGE_LENGTH = 4096; // Telegram rejects longer messages
+
+// User management functions
+function addUser_tg(user) {
+    const userData = createUser('telegram', user.id, {
+        name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+        username: user.username || '',
+        languageCode: user.language_code || '',
+        tokens: STARTING_TOKENS
+    });
+    console.log(`User added: ${userData.id}`);
+    return userData;
+}
+
+function getUser_tg(tgId) {
+    return getUser('telegram', tgId);
+}
+
+// Message handling functions
+async function createMessage_tg(newMsg, tgId) {
+    try {
+        for (const part of splitMessage(newMsg, MAX_MESSAGE_LENGTH)) {
+            await bot.telegram.sendMessage(tgId, part);
+        }
+    } catch (error) {
+        console.error('Error sending message:', error);
+        throw error;
+    }
+}
+
+/**
+ * Describe the photos and documents in a set of messages for the pipeline
+ * @param {Array<Object>} messages - Telegram messages
+ * @returns {Array<Object>}
+ */
+function getMediaItems_tg(messages) {
+    const fileUrl = (fileId) => async () => {
+        const file = await bot.telegram.getFile(fileId);
+        return `https://api.telegram.org/file/bot${BOT_TOKEN}/${file.file_path}`;
+    };
+
+    return messages.flatMap(message => {
+        if (message.photo) {
+            // Telegram sends each photo in several sizes; the last one is the largest
+            const photo = message.photo.at(-1);
+            return [{
+                contentType: 'image/jpeg', // Telegram re-encodes every photo as JPEG
+                size: photo.file_size,
+                getUrl: fileUrl(photo.file_id)
+            }];
+        }
+        if (message.document) {
+            const { file_id, file_name = '', mime_type, file_size } = message.document;
+            return [{
+                contentType: determineMediaType(file_name, mime_type),
+                name: file_name,
+                size: file_size,
+                getUrl: fileUrl(file_id)
+            }];
+        }
+        return [];
+    });
+}
+
+/**
+ * The ledger reference for a message. Message ids are only unique within a
+ * chat, so the chat id is part of it.
+ * @param {Object} message - Telegram message
+ * @returns {string}
+ */
+function messageRef_tg(message) {
+    return `${message.chat.id}:${message.message_id}`;
+}
+
+/**
+ * Hand one message, or every message in an album, to the pipeline
+ * @param {Object} ctx - Telegraf context of the first message
+ * @param {boolean} isNewUser
+ * @param {Array<Object>} messages - Telegram messages making up the prompt
+ */
+async function handleMessages_tg(ctx, isNewUser, messages) {
+    const user = getUser_tg(ctx.from.id);
+
+    // Follows the language the student's Telegram app is in, until they choose one with /language
+    if (ctx.from.language_code) user.languageCode = ctx.from.language_code;
+
+    await handleMessage({
+        channel: 'telegram',
+        user,
+        isNewUser,
+        text: messages.map(message => message.text || message.caption).filter(Boolean).join('\n'),
+        messageId: messageRef_tg(messages[0]),
+        firstName: ctx.from.first_name,
+        mediaItems: getMediaItems_tg(messages),
+        maxDownloadSize: TELEGRAM_MAX_DOWNLOAD,
+        groupId: ctx.chat.type === 'private' ? null : `telegram:${ctx.chat.id}`,
+        isGroupAdmin: async () => ['creator', 'administrator'].includes((await ctx.getChatMember(ctx.from.id)).status),
+        maxMessageLength: MAX_MESSAGE_LENGTH,
+        reply: async (newMsg) => {
+            for (const part of splitMessage(newMsg, MAX_MESSAGE_LENGTH)) {
+                await ctx.reply(part);
+            }
+        },
+        replyEditable: async (newMsg) => {
+            const message = await ctx.reply(newMsg);
+            return { edit: (text) => ctx.telegram.editMessageText(ctx.chat.id, message.message_id, undefined, text) };
+        },
+        bold: (text) => text // messages are sent as plain text
+    });
+}
+
+/**
+ * Queue one item of an album. Albums arrive as one update per item; they're
+ * gathered into a single queued message, handled as one prompt once no more
+ * items have come for MEDIA_GROUP_DELAY.
+ * @param {Object} update - Telegram update with a media_group_id
+ * @param {string} userId
+ */
+function queueAlbumItem_tg(update, userId) {
+    const { message } = update;
+    const id = `telegram:album:${message.chat.id}:${message.media_group_id}`;
+
+    const added = updateQueued(id, (queued) => {
+        const { updates } = queued.payload;
+        if (updates.some(item => item.update_id === update.update_id)) return; // redelivered
+
+        // Items can arrive out of order; the album's first item gives its ledger reference
+        updates.push(update);
+        updates.sort((a, b) => a.message.message_id - b.message.message_id);
+        queued.ref = messageRef_tg(updates[0].message);
+    }, MEDIA_GROUP_DELAY);
+    if (added) return;
+
+    const queued = enqueue({
+        id,
+        kind: 'telegram-album',
+        userId,
+        ref: messageRef_tg(message),
+        payload: { updates: [update] },
+        delay: MEDIA_GROUP_DELAY
+    });
+    if (!queued) console.log(`Ignored Telegram update ${update.update_id}: its album ${message.media_group_id} was already handled`);
+}
+
+// Every update, from the webhook or long polling, is queued first and handled
+// by processUpdate_tg, so Telegram's redeliveries are ignored and slow answers
+// don't hold up the webhook
+bot.use(async (ctx, next) => {
+    if (ctx.state.dequeued) return next();
+
+    const { update } = ctx;
+    const from = Object.values(update).find(value => value?.from)?.from;
+    const userId = from ? userKey('telegram', from.id) : null;
+
+    if (update.message?.media_group_id) {
+        return queueAlbumItem_tg(update, userId);
+    }
+
+    const queued = enqueue({
+        id: `telegram:${update.update_id}`,
+        kind: 'telegram',
+        userId,
+        ref: update.message ? messageRef_tg(update.message) : null,
+        payload: update
+    });
+    if (!queued) console.log(`Ignored redelivered Telegram update ${update.update_id}`);
+});
+
+/**
+ * Handle a queued update. Unlike bot.handleUpdate, errors reach the queue so
+ * it can retry.
+ * @param {Object} update - Telegram update
+ * @param {Object} [state] - Starting ctx.state, e.g. { album } with every message of an album
+ */
+async function processUpdate_tg(update, state = {}) {
+    bot.botInfo ??= await bot.telegram.getMe();
+    const ctx = new Context(update, bot.telegram, bot.botInfo);
+    Object.assign(ctx.state, state, { dequeued: true });
+    await bot.middleware()(ctx, async () => {});
+}
+
+/**
+ * Handle a queued album as one update, its first item's, carrying all its messages
+ * @param {{updates: Array<Object>}} payload - The album's updates, in order
+ */
+async function processAlbum_tg({ updates }) {
+    await processUpdate_tg(updates[0], { album: updates.map(update => update.message) });
+}
+
+bot.on('message', async (ctx) => {
+    console.log('Incoming message:', ctx.message);
+    if (ctx.from.is_bot) return;
+
+    // Decided on the first attempt and kept with the queued update, so a
+    // retry still welcomes the user rather than charging for their first message
+    ctx.update.isNewUser ??= !getUser_tg(ctx.from.id);
+    if (!getUser_tg(ctx.from.id)) {
+        const user = addUser_tg(ctx.from);
+        notifyAdmins(`A new user, ${user.name}${user.username ? ` (@${user.username})` : ''} has joined Florence* on Telegram.`);
+    }
+
+    // An album comes from the queue as its first item, with the rest in ctx.state.album
+    await handleMessages_tg(ctx, ctx.update.isNewUser, ctx.state.album || [ctx.message]);
+});
+
+bot.catch((error, ctx) => {
+    console.error(`Error handling Telegram update ${ctx.update.update_id}:`, error);
+});
+
+// Implement retry logic for webhook setup
+async function setWebhookWithRetry(bot, webhookUrl, maxRetries = 5, initialDelay = 5000) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            await bot.telegram.setWebhook(webhookUrl, { secret_token: telegramSecret });
+            console.log(`Webhook successfully set to: ${webhookUrl}`);
+            return true;
+        } catch (error) {
+            console.error(`Attempt ${attempt}/${maxRetries} failed to set webhook:`, error.message);
+
+            if (attempt === maxRetries) {
+                console.error('Max retries reached. Continuing without webhook setup...');
+                return false;
+            }
+
+            // Exponential backoff: wait longer between each retry
+            const delay = initialDelay * Math.pow(2, attempt - 1);
+            console.log(`Retrying in ${delay / 1000} seconds...`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Add the Telegram webhook to the Express app
+ * @param {import('express').Express} app
+ */
+export function mountTelegram(app) {
+    registerTransport('telegram', createMessage_tg);
+    registerQueueHandler('telegram', processUpdate_tg);
+    registerQueueHandler('telegram-album', processAlbum_tg);
+    app.use('/telegram', requireTelegramSecret);
+    app.use(bot.webhookCallback('/telegram'));
+}
+
+/**
+ * Point Telegram at our webhook, falling back to long polling
+ */
+export async function startTelegram() {
+    const webhookUrl = `${WEBHOOK_URL}/telegram`;
+
+    // Try to set up webhook with retry logic
+    const webhookSuccess = await setWebhookWithRetry(bot, webhookUrl);
+
+    if (!webhookSuccess) {
+        // Fall back to long polling if webhook setup fails
+        console.log('Falling back to long polling...');
+        bot.launch().catch(error => {
+            console.error('Error launching bot:', error);
+        });
+    }
+}
+
+/**
+ * Stop the bot on shutdown
+ * @param {string} signal
+ */
+export function stopTelegram(signal) {
+    // Only long polling needs stopping; with a webhook, Telegraf says the bot isn't running
+    try {
+        bot.stop(signal);
+    } catch (error) {
+        if (error.message !== 'Bot is not running!') throw error;
+    }
+}
@@ -0,0 +1,353 @@
+// Web chat, for the school portal: a REST API with Florence*'s replies streamed
+// back as Server-Sent Events. The portal signs its students in with
+// WEB_API_KEY as a Bearer token, and gives each one an access token for the rest:
+//   POST /web/sessions {studentId, name}    (portal key) sign a student in -> {token, expiresAt, account}
+//   GET  /web/me                            balance, streak and plan
+//   POST /web/messages {text, files?}       a prompt or command; the reply is an event stream
+//   GET  /web/events                        event stream of messages the student didn't ask for, e.g. reminders
+//   GET  /web/conversations                 the current conversation and past ones
+//   GET  /web/conversations/:id             one conversation's messages; 'current' for the current one
+// Files are sent inside the message as [{name, contentType, data}], with data base64-encoded.
+// Browsers can't set headers on an EventSource, so /web/events also takes the token as ?token=.
+//
+// Reply streams carry these events, each with JSON data:
+//   message  {id, text}       a new message from Florence*
+//   edit     {id, text}       a message that changed, as an answer streams in
+//   done     {account}        the reply is complete
+//   error    {error}          handling the message failed
+import crypto from 'crypto';
+import express from 'express';
+import bodyParser from 'body-parser';
+import { WEB_ALLOWED_ORIGINS, WEB_API_KEY, WEB_MAX_UPLOAD_SIZE, WEB_TOKEN_DAYS } from '../lib/config.js';
+import { getUser, createUser, getUserById, userKey } from '../lib/users.js';
+import { notifyAdmins } from '../lib/admin.js';
+import { registerTransport } from '../lib/channels.js';
+import { languageFor } from '../lib/i18n.js';
+import { getConversation, getPastConversations } from '../lib/conversation.js';
+import { MAX_ATTACHMENTS, determineMediaType } from '../lib/media.js';
+import { handleMessage } from '../lib/pipeline.js';
+import { planFor } from '../lib/pricing.js';
+import { startOutsideQueue } from '../lib/queue.js';
+import { currentStreak } from '../lib/rewards.js';
+import { collection, save } from '../lib/store.js';
+import { safeEqual } from '../lib/webhookAuth.js';
+
+const STARTING_TOKENS = 10;
+const DAY = 24 * 60 * 60 * 1000;
+const HEARTBEAT_INTERVAL = 25 * 1000; // ms between keep-alive comments, so proxies don't close idle streams
+const STUDENT_ID = /^[A-Za-z0-9_-]{1,64}$/; // also ends up in referral codes, which can only use these
+const UNKNOWN_MEDIA_TYPE = 'application/octet-stream'; // for uploads with no content type and an unknown extension
+const MAX_BODY_SIZE = Math.ceil(WEB_MAX_UPLOAD_SIZE * MAX_ATTACHMENTS * 4 / 3) + 64 * 1024; // base64 is a third bigger
+
+const listeners = new Map(); // account id (see getUserById) -> Set of open /web/events responses
+
+/**
+ * Hash an access token; only hashes are stored, so a copy of the data file can't be used to sign in
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create an access token for a student, clearing out expired ones
+ * @param {Object} user
+ * @returns {{token: string, expiresAt: string}}
+ */
+function issueToken(user) {
+    const tokens = collection('webTokens');
+    for (const [hash, record] of Object.entries(tokens)) {
+        if (new Date(record.expiresAt) < Date.now()) delete tokens[hash];
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + WEB_TOKEN_DAYS * DAY).toISOString();
+    tokens[hashToken(token)] = { userId: user.id, createdAt: new Date().toISOString(), expiresAt };
+    save();
+
+    return { token, expiresAt };
+}
+
+/**
+ * Find the student an access token belongs to
+ * @param {string|undefined} token
+ * @returns {Object|undefined}
+ */
+function userForToken(token) {
+    const record = token && collection('webTokens')[hashToken(token)];
+    if (!record || new Date(record.expiresAt) < Date.now()) return undefined;
+    return getUserById(record.userId);
+}
+
+/**
+ * What a student sees about their own account
+ * @param {Object} user
+ * @returns {Object}
+ */
+function account(user) {
+    const { id, name, tokens, streakFreezes, mode, profile } = user;
+    return {
+        id, name, tokens, streak: currentStreak(user), streakFreezes, plan: planFor(user), mode, profile,
+        language: languageFor(user)
+    };
+}
+
+/**
+ * Start a Server-Sent Events response
+ * @param {import('express').Response} res
+ * @returns {function(string, Object)} - (event, data) to send an event
+ */
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop nginx holding events back
+    });
+    res.flushHeaders();
+
+    return (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+/**
+ * Send a message to a student's open /web/events streams
+ * @param {string} newMsg
+ * @param {string} studentId
+ */
+async function createMessage_web(newMsg, studentId) {
+    // Streams are kept by account, which is another channel's once the student has used /link
+    const open = listeners.get(getUserById(userKey('web', studentId))?.id);
+    if (!open?.size) {
+        throw new Error(`Web user ${studentId} is not connected`);
+    }
+    for (const send of open) send('message', { id: crypto.randomUUID(), text: newMsg });
+}
+
+/**
+ * Send a message the student didn't ask for. The web can only reach students
+ * with the portal open, so it's skipped otherwise.
+ * @param {Object} user
+ * @param {string} newMsg
+ * @returns {Promise<boolean>} - Whether it was sent
+ */
+async function sendNotification_web(user, newMsg) {
+    if (!listeners.get(user.id)?.size) {
+        console.log(`Skipped notification to ${user.id}: not connected`);
+        return false;
+    }
+    await createMessage_web(newMsg, user.channelId);
+    return true;
+}
+
+/**
+ * Turn files sent with a message into media items for the pipeline
+ * @param {Array<Object>} files - [{name, contentType, data}], data base64-encoded
+ * @returns {{valid: boolean, reason?: string, mediaItems?: Array<Object>}}
+ */
+function getMediaItems_web(files) {
+    if (!Array.isArray(files)) {
+        return { valid: false, reason: 'files must be a list of {name, contentType, data}' };
+    }
+
+    const mediaItems = [];
+    for (const { name = '', contentType, data } of files) {
+        if (typeof data !== 'string' || !data) {
+            return { valid: false, reason: `File ${name || mediaItems.length + 1} has no data` };
+        }
+        const buffer = Buffer.from(data, 'base64');
+        mediaItems.push({
+            // Not guessed at when it can't be worked out, so the pipeline turns it down instead of charging for it
+            contentType: determineMediaType(name, contentType, UNKNOWN_MEDIA_TYPE),
+            name,
+            size: buffer.length,
+            buffer
+        });
+    }
+    return { valid: true, mediaItems };
+}
+
+/**
+ * Express middleware checking the portal's API key
+ * @type {import('express').RequestHandler}
+ */
+function requirePortalKey(req, res, next) {
+    const [scheme, key] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !safeEqual(WEB_API_KEY, key)) {
+        console.warn(`Rejected web sign-in from ${req.ip}: missing or wrong API key`);
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+}
+
+/**
+ * Express middleware finding the student from their access token, as
+ * req.user. Event streams may pass it as ?token=.
+ * @type {import('express').RequestHandler}
+ */
+function requireStudent(req, res, next) {
+    const [scheme, bearer] = (req.get('Authorization') || '').split(' ');
+    const token = scheme === 'Bearer' ? bearer : req.path === '/events' && req.query.token;
+
+    req.user = userForToken(token);
+    if (!req.user) {
+        return res.status(401).json({ error: 'Invalid or expired access token' });
+    }
+    next();
+}
+
+/**
+ * Express middleware letting the portal's pages call the API from the browser
+ * @type {import('express').RequestHandler}
+ */
+function allowPortalOrigins(req, res, next) {
+    const origin = req.get('Origin');
+    if (origin && WEB_ALLOWED_ORIGINS.includes(origin)) {
+        res.set({
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            Vary: 'Origin'
+        });
+    }
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+}
+
+/**
+ * Add the web chat API to the Express app
+ * @param {import('express').Express} app
+ */
+export function mountWeb(app) {
+    if (!WEB_API_KEY) {
+        console.warn('WEB_API_KEY is not set: web chat is disabled.');
+        return;
+    }
+
+    registerTransport('web', createMessage_web, sendNotification_web);
+
+    const router = express.Router();
+    router.use(allowPortalOrigins);
+
+    router.post('/sessions', requirePortalKey, bodyParser.json(), async (req, res) => {
+        const { studentId, name } = req.body || {};
+        if (typeof studentId !== 'string' || !STUDENT_ID.test(studentId)) {
+            return res.status(400).json({ error: 'studentId must be 1-64 letters, digits, _ or -' });
+        }
+
+        let user = getUser('web', studentId);
+        if (!user) {
+            user = createUser('web', studentId, { name: String(name || '').trim(), tokens: STARTING_TOKENS });
+            console.log(`User added: ${user.id}`);
+            await notifyAdmins(`A new user, ${user.name || studentId} (${studentId}) has joined Florence* on the web.`);
+        }
+
+        res.json({ ...issueToken(user), account: account(user) });
+    });
+
+    router.use(requireStudent);
+
+    router.get('/me', (req, res) => {
+        res.json(account(req.user));
+    });
+
+    router.post('/messages', bodyParser.json({ limit: MAX_BODY_SIZE }), async (req, res) => {
+        const { user } = req;
+        const { text = '', files = [] } = req.body || {};
+
+        if (typeof text !== 'string') {
+            return res.status(400).json({ error: 'text must be a string' });
+        }
+        const media = getMediaItems_web(files);
+        if (!media.valid) {
+            return res.status(400).json({ error: media.reason });
+        }
+
+        // One message at a time, in turn with the account's messages on its other channels, so answers arrive in order
+        const finished = startOutsideQueue(user.id);
+        if (!finished) {
+            return res.status(409).json({ error: 'Florence* is still answering your last message' });
+        }
+
+        const send = openEventStream(res);
+        const reply = async (newMsg) => {
+            const id = crypto.randomUUID();
+            send('message', { id, text: newMsg });
+            return id;
+        };
+
+        try {
+            await handleMessage({
+                channel: 'web',
+                user,
+                isNewUser: user.lastMessageAt === user.createdAt, // set together when the student signs in, and changed by every message
+                text: text.trim(),
+                messageId: crypto.randomUUID(),
+                firstName: (user.name || 'there').split(' ')[0],
+                mediaItems: media.mediaItems,
+                maxDownloadSize: WEB_MAX_UPLOAD_SIZE,
+                groupId: null,
+                isGroupAdmin: async () => false,
+                maxMessageLength: Infinity, // the portal shows replies whole, so they're never split
+                reply,
+                replyEditable: async (newMsg) => {
+                    const id = await reply(newMsg);
+                    return { edit: async (edited) => send('edit', { id, text: edited }) };
+                },
+                bold: (text) => `**${text}**`
+            });
+            send('done', { account: account(user) });
+        } catch (error) {
+            console.error('Error processing web message:', error);
+            send('error', { error: 'An error occurred while processing your message' });
+        } finally {
+            finished();
+            res.end();
+        }
+    });
+
+    router.get('/events', (req, res) => {
+        const { user } = req;
+        const send = openEventStream(res);
+
+        if (!listeners.has(user.id)) listeners.set(user.id, new Set());
+        listeners.get(user.id).add(send);
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            listeners.get(user.id)?.delete(send);
+            if (listeners.get(user.id)?.size === 0) listeners.delete(user.id);
+        });
+    });
+
+    router.get('/conversations', (req, res) => {
+        const describe = ({ id, summary, messages, startedAt, endedAt = null }) => ({
+            id,
+            startedAt,
+            endedAt,
+            summary,
+            messageCount: messages.length,
+            preview: messages.find(message => message.role === 'user')?.content.slice(0, 100) || ''
+        });
+
+        res.json({
+            current: describe({ id: 'current', ...getConversation(req.user.id) }),
+            past: getPastConversations(req.user.id).map(describe)
+        });
+    });
+
+    router.get('/conversations/:id', (req, res) => {
+        const { id } = req.params;
+        const conversation = id === 'current'
+            ? { id, ...getConversation(req.user.id) }
+            : getPastConversations(req.user.id).find(past => past.id === id);
+        if (!conversation) return res.status(404).json({ error: `No conversation ${id}` });
+
+        res.json(conversation);
+    });
+
+    app.use('/web', router);
+}
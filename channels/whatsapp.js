@@ -0,0 +1,205 @@
+// WhatsApp channel, through Twilio
+import bodyParser from 'body-parser';
+import twilio from 'twilio';
+import { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_NOTIFICATION_TEMPLATE_SID, TWILIO_WHATSAPP_NUMBER } from '../lib/config.js';
+import { getUser, createUser, userKey } from '../lib/users.js';
+import { notifyAdmins } from '../lib/admin.js';
+import { registerTransport } from '../lib/channels.js';
+import { handleMessage } from '../lib/pipeline.js';
+import { enqueue, registerQueueHandler } from '../lib/queue.js';
+import { splitMessage } from '../lib/replies.js';
+import { requireTwilioSignature } from '../lib/webhookAuth.js';
+
+const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+const STARTING_TOKENS = 100;
+const SESSION_WINDOW = 24 * 60 * 60 * 1000; // WhatsApp only allows free-form messages this long after the user's last one
+const MAX_MESSAGE_LENGTH = 1600; // Twilio rejects longer WhatsApp bodies
+
+/**
+ * Check if a user is new based on WaId
+ * @param {string} WaId - WhatsApp ID
+ * @returns {boolean}
+ */
+function isNewUser(WaId) {
+    return !getUser_wa(WaId);
+}
+
+/**
+ * Add a new user to the database
+ * @param {string} WaId - WhatsApp ID
+ * @param {string} ProfileName
+ * @param {number} tokens
+ * @param {number} streak
+ * @returns {Object} - The stored user
+ */
+function addUser_wa(WaId, ProfileName, tokens, streak) {
+    return createUser('whatsapp', WaId, {
+        name: ProfileName,
+        tokens,
+        streak
+    });
+}
+
+/**
+ * Get user by WhatsApp ID
+ * @param {string} WaId - WhatsApp ID
+ * @returns {Object|undefined}
+ */
+function getUser_wa(WaId) {
+    return getUser('whatsapp', WaId);
+}
+
+/**
+ * Send a WhatsApp message, in parts if it's too long for one
+ * @param {string} newMsg
+ * @param {string} WaId
+ * @returns {Promise<Object>} - The last message sent
+ */
+async function createMessage_wa(newMsg, WaId) {
+    try {
+        let message;
+        // One at a time, so the parts arrive in order
+        for (const part of splitMessage(newMsg, MAX_MESSAGE_LENGTH)) {
+            message = await client.messages.create({
+                body: part,
+                from: `whatsapp:${TWILIO_WHATSAPP_NUMBER}`,
+                to: `whatsapp:+${WaId}`,
+            });
+        }
+        return message;
+    } catch (error) {
+        console.error('Error sending message:', error);
+        throw error;
+    }
+}
+
+/**
+ * Send a message the user didn't ask for. Inside the 24-hour session window
+ * it's an ordinary message; outside it WhatsApp only delivers approved
+ * templates, so it goes out as the notification template or not at all.
+ * @param {Object} user
+ * @param {string} newMsg
+ * @returns {Promise<boolean>} - Whether it was sent
+ */
+async function sendNotification_wa(user, newMsg) {
+    if (Date.now() - new Date(user.lastMessageAt) < SESSION_WINDOW) {
+        await createMessage_wa(newMsg, user.channelId);
+        return true;
+    }
+
+    if (!TWILIO_NOTIFICATION_TEMPLATE_SID) {
+        console.log(`Skipped notification to ${user.id}: outside the session window and no template configured`);
+        return false;
+    }
+
+    try {
+        await client.messages.create({
+            contentSid: TWILIO_NOTIFICATION_TEMPLATE_SID,
+            // Template variables can't contain newlines or runs of spaces
+            contentVariables: JSON.stringify({ 1: newMsg.replace(/\s+/g, ' ').trim() }),
+            from: `whatsapp:${TWILIO_WHATSAPP_NUMBER}`,
+            to: `whatsapp:+${user.channelId}`,
+        });
+        return true;
+    } catch (error) {
+        console.error('Error sending template message:', error);
+        throw error;
+    }
+}
+
+/**
+ * Headers for downloading media from Twilio, which requires account credentials
+ * @returns {Object}
+ */
+function twilioMediaHeaders() {
+    return {
+        Authorization: `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`
+    };
+}
+
+/**
+ * Collect every MediaUrlN/MediaContentTypeN pair from a Twilio webhook body
+ * @param {Object} body - Twilio webhook body
+ * @returns {Array<Object>} - Media items for the message pipeline
+ */
+function getMediaItems_wa(body) {
+    const mediaItems = [];
+    for (let i = 0; i < (parseInt(body.NumMedia) || 0); i++) {
+        const url = body[`MediaUrl${i}`];
+        if (!url) continue; // Only include items with valid URLs
+        mediaItems.push({
+            contentType: body[`MediaContentType${i}`],
+            headers: twilioMediaHeaders(),
+            getUrl: async () => url
+        });
+    }
+    return mediaItems;
+}
+
+/**
+ * Handle a queued WhatsApp message
+ * @param {Object} body - Twilio webhook body, as queued
+ */
+async function processMessage_wa(body) {
+    const { WaId, MessageSid, ProfileName, Body } = body;
+
+    // Decided on the first attempt and kept with the queued message, so a
+    // retry still welcomes the user rather than charging for their first message
+    body.isNewUser ??= isNewUser(WaId);
+    let user = getUser_wa(WaId);
+
+    if (!user) {
+        user = addUser_wa(WaId, ProfileName, STARTING_TOKENS, 0);
+        console.log(`User added: ${user.id}`);
+        await notifyAdmins(`A new user, ${ProfileName} (+${WaId}) has joined Florence* on WhatsApp.`);
+    }
+
+    await handleMessage({
+        channel: 'whatsapp',
+        user,
+        isNewUser: body.isNewUser,
+        text: Body || '',
+        messageId: MessageSid,
+        firstName: (ProfileName || user.name).split(' ')[0],
+        mediaItems: getMediaItems_wa(body),
+        groupId: null, // Twilio only delivers one-to-one WhatsApp chats
+        isGroupAdmin: async () => false,
+        maxMessageLength: MAX_MESSAGE_LENGTH,
+        reply: (newMsg) => createMessage_wa(newMsg, WaId),
+        bold: (text) => `*${text}*`
+    });
+}
+
+/**
+ * Add the WhatsApp webhook to the Express app
+ * @param {import('express').Express} app
+ */
+export function mountWhatsApp(app) {
+    registerTransport('whatsapp', createMessage_wa, sendNotification_wa);
+    registerQueueHandler('whatsapp', processMessage_wa);
+
+    // Answer Twilio straight away: it retries webhooks that take over 15 seconds,
+    // and the queue ignores those retries
+    app.post('/whatsapp', bodyParser.urlencoded({ extended: false }), requireTwilioSignature, (req, res) => {
+        const { WaId, MessageSid } = req.body;
+
+        console.log(req.body);
+
+        try {
+            const queued = enqueue({
+                id: `whatsapp:${MessageSid}`,
+                kind: 'whatsapp',
+                userId: userKey('whatsapp', WaId),
+                ref: MessageSid,
+                payload: req.body
+            });
+            if (!queued) console.log(`Ignored redelivered WhatsApp message ${MessageSid}`);
+
+            res.status(200).send('Request received');
+        } catch (error) {
+            console.error('Error queueing request:', error);
+            res.status(500).send('An error occurred while processing your request');
+        }
+    });
+}
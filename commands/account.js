@@ -0,0 +1,126 @@
+// Account commands: balance, streak, history and payments
+import { registerCommand } from '../lib/commands.js';
+import { t } from '../lib/i18n.js';
+import { getHistory } from '../lib/ledger.js';
+import { createPaymentLink, tokensForAmount } from '../lib/payments.js';
+import { planFor } from '../lib/pricing.js';
+import { buyStreakFreeze, currentStreak } from '../lib/rewards.js';
+import { DEFAULT_PAYMENT_AMOUNT, MAX_STREAK_FREEZES, PAID_PLAN_DAYS, PLANS, STREAK_FREEZE_COST, STREAK_FREEZE_EVERY, TOKEN_PRICE } from '../lib/config.js';
+
+const LOW_TOKENS = 4;
+
+registerCommand('start', {
+    description: 'Florence* is now listening to you.',
+    handler: async (ctx) => {
+        await ctx.reply(t(ctx.user, 'start.hello', { name: ctx.firstName, tokens: ctx.user.tokens }));
+
+        // /stop turns reminders off; /start turns them back on
+        if (ctx.user.notificationsOff) {
+            ctx.user.notificationsOff = false;
+            await ctx.reply(t(ctx.user, 'start.remindersOn'));
+        }
+    }
+});
+
+registerCommand('about', {
+    description: 'for more about Florence*.',
+    handler: async (ctx) => {
+        await ctx.reply(t(ctx.user, 'about'));
+    }
+});
+
+registerCommand('tokens', {
+    description: 'see how many tokens you have left.',
+    handler: async (ctx) => {
+        const plan = planFor(ctx.user);
+        await ctx.reply(t(ctx.user, 'tokens.balance', {
+            name: ctx.firstName,
+            tokens: ctx.user.tokens,
+            plan,
+            planName: t(ctx.user, `plan.${plan}`),
+            max: PLANS[plan].maxPromptCost,
+            days: PAID_PLAN_DAYS
+        }));
+
+        if (ctx.user.tokens <= LOW_TOKENS) {
+            await ctx.reply(t(ctx.user, 'tokens.low'));
+        }
+    }
+});
+
+registerCommand('streak', {
+    description: 'see your streak.',
+    handler: async (ctx) => {
+        const { user } = ctx;
+        await ctx.reply(t(user, 'streak.status', {
+            name: ctx.firstName,
+            streak: currentStreak(user),
+            freezes: user.streakFreezes
+        }));
+    }
+});
+
+registerCommand('freeze', {
+    description: `buy a streak freeze to cover a day you miss (${STREAK_FREEZE_COST} tokens).`,
+    usage: '[buy]',
+    handler: async (ctx, [action]) => {
+        const { user } = ctx;
+
+        if (action?.toLowerCase() !== 'buy') {
+            return ctx.reply(t(user, 'freeze.about', {
+                every: STREAK_FREEZE_EVERY,
+                cost: STREAK_FREEZE_COST,
+                max: MAX_STREAK_FREEZES,
+                freezes: user.streakFreezes
+            }));
+        }
+
+        const result = buyStreakFreeze(user, ctx.messageId);
+        if (!result.valid) {
+            return ctx.reply(result.reason);
+        }
+        await ctx.reply(t(user, 'freeze.bought', { freezes: user.streakFreezes, tokens: user.tokens }));
+    }
+});
+
+registerCommand('history', {
+    description: 'see where your tokens went.',
+    handler: async (ctx) => {
+        const entries = getHistory(ctx.user.id, 10);
+        if (entries.length === 0) {
+            return ctx.reply(t(ctx.user, 'history.empty'));
+        }
+
+        const lines = entries.map(entry => {
+            const date = new Date(entry.at).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+            const amount = entry.amount > 0 ? `+${entry.amount}` : `${entry.amount}`;
+            return t(ctx.user, 'history.line', { date, amount, reason: entry.reason, balance: entry.balance });
+        });
+
+        await ctx.reply(t(ctx.user, 'history.list', { lines: lines.join('\n'), tokens: ctx.user.tokens }));
+    }
+});
+
+registerCommand('payments', {
+    description: 'Top up your tokens* in a click.',
+    usage: '[amount]',
+    handler: async (ctx, [amountArg]) => {
+        const amount = amountArg ? parseInt(amountArg.replace(/[,₦]/g, '')) : DEFAULT_PAYMENT_AMOUNT;
+        if (!amount || tokensForAmount(amount) < 1) {
+            return ctx.reply(t(ctx.user, 'payments.invalid', { price: TOKEN_PRICE, example: DEFAULT_PAYMENT_AMOUNT }));
+        }
+
+        try {
+            const link = await createPaymentLink(ctx.user, amount);
+            await ctx.reply(t(ctx.user, 'payments.link', {
+                price: TOKEN_PRICE,
+                amount,
+                tokens: tokensForAmount(amount),
+                link
+            }));
+        } catch (error) {
+            console.error('Error creating payment link:', error.response?.data || error.message);
+            await ctx.reply(t(ctx.user, 'payments.failed'));
+        }
+    }
+});
@@ -0,0 +1,103 @@
+// Admin commands, for the users listed in ADMINS
+import { registerCommand } from '../lib/commands.js';
+import { adjustBalance, broadcast, isAdmin, searchUsers } from '../lib/admin.js';
+import { t } from '../lib/i18n.js';
+import { getHistory } from '../lib/ledger.js';
+import { getRecentPayments } from '../lib/payments.js';
+import { getUserById, saveUser } from '../lib/users.js';
+
+/**
+ * Format a date for admin replies
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+const subcommands = {
+    users: async (ctx, args) => {
+        const { total, users } = searchUsers(args.join(' '), { limit: 10 });
+        if (total === 0) return ctx.reply(t(ctx.user, 'admin.noUsers'));
+
+        const lines = users.map(user => t(ctx.user, 'admin.userLine', {
+            id: user.id,
+            name: user.name || t(ctx.user, 'admin.noName'),
+            tokens: user.tokens
+        }));
+        await ctx.reply(t(ctx.user, 'admin.users', { total, shown: users.length, lines: lines.join('\n') }));
+    },
+
+    user: async (ctx, [id]) => {
+        const user = id && getUserById(id);
+        if (!user) return ctx.reply(t(ctx.user, 'admin.noUser', { id: id || '' }));
+
+        const history = getHistory(user.id, 5)
+            .map(entry => `${formatDate(entry.at)}: ${entry.amount > 0 ? '+' : ''}${entry.amount} (${entry.reason})`);
+        await ctx.reply(t(ctx.user, 'admin.user', {
+            id: user.id,
+            name: `${user.name || t(ctx.user, 'admin.noName')}${user.username ? ` (@${user.username})` : ''}`,
+            tokens: user.tokens,
+            streak: user.streak,
+            joined: formatDate(user.createdAt),
+            history: history.join('\n') || t(ctx.user, 'admin.noHistory')
+        }));
+    },
+
+    adjust: async (ctx, [id, amountArg, ...reasonWords]) => {
+        const user = id && getUserById(id);
+        if (!user) return ctx.reply(t(ctx.user, 'admin.adjustUsage', { id: id || '' }));
+
+        const amount = Number(amountArg);
+        const reason = reasonWords.join(' ');
+        const result = adjustBalance(user, amount, reason, ctx.user.id);
+        if (!result.valid) return ctx.reply(result.reason);
+
+        saveUser(user);
+        console.log(`Admin ${ctx.user.id} adjusted ${user.id} by ${amount}: ${reason}`);
+        await ctx.reply(t(ctx.user, 'admin.adjusted', { id: user.id, tokens: user.tokens }));
+    },
+
+    payments: async (ctx) => {
+        const payments = getRecentPayments(10);
+        if (payments.length === 0) return ctx.reply(t(ctx.user, 'admin.noPayments'));
+
+        const lines = payments.map(payment => t(ctx.user, 'admin.paymentLine', {
+            date: formatDate(payment.creditedAt),
+            amount: payment.amount,
+            currency: payment.currency,
+            id: payment.userId,
+            tokens: payment.tokens
+        }));
+        await ctx.reply(t(ctx.user, 'admin.payments', { lines: lines.join('\n') }));
+    },
+
+    broadcast: async (ctx) => {
+        // Take the message from the raw text so its line breaks survive
+        const message = ctx.text.replace(/^\/admin(@\w+)?\s+broadcast\s*/i, '').trim();
+        if (!message) return ctx.reply(t(ctx.user, 'admin.broadcastUsage'));
+
+        await ctx.reply(t(ctx.user, 'admin.broadcasting'));
+
+        // Sending to everyone takes a while, so don't hold up this message
+        broadcast(message)
+            .then(({ sent, skipped, failed }) => ctx.reply(t(ctx.user, 'admin.broadcastDone', { sent, skipped, failed })))
+            .catch(error => console.error('Error sending broadcast:', error));
+    }
+};
+
+registerCommand('admin', {
+    description: 'manage users, tokens and announcements.',
+    hidden: true,
+    handler: async (ctx, [subcommand, ...args]) => {
+        // Look like any other unknown command to everyone else
+        if (!isAdmin(ctx.user)) {
+            return ctx.reply(t(ctx.user, 'command.unknown', { name: 'admin' }));
+        }
+
+        const run = subcommands[subcommand?.toLowerCase()];
+        if (!run) return ctx.reply(t(ctx.user, 'admin.usage'));
+
+        await run(ctx, args);
+    }
+});
@@ -0,0 +1,12 @@
+// Conversation commands
+import { registerCommand } from '../lib/commands.js';
+import { resetConversation } from '../lib/conversation.js';
+import { t } from '../lib/i18n.js';
+
+registerCommand('new', {
+    description: 'start a fresh conversation.',
+    handler: async (ctx) => {
+        resetConversation(ctx.user.id);
+        await ctx.reply(t(ctx.user, 'new.done'));
+    }
+});
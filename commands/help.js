@@ -0,0 +1,14 @@
+// Help: lists every other command, so it's registered last
+import { registerCommand, listCommands } from '../lib/commands.js';
+import { commandDescription, commandUsage, t } from '../lib/i18n.js';
+
+registerCommand('help', {
+    description: 'see all commands.',
+    handler: async (ctx) => {
+        const lines = listCommands().map(command => {
+            const usage = commandUsage(ctx.user, command);
+            return `${ctx.bold(`/${command.name}${usage ? ` ${usage}` : ''}`)} - ${commandDescription(ctx.user, command)}`;
+        });
+        await ctx.reply(t(ctx.user, 'help', { commands: lines.join('\n') }));
+    }
+});
@@ -0,0 +1,13 @@
+// Registers every command. Import order is the order they're listed in /help.
+import './account.js';
+import './link.js';
+import './language.js';
+import './conversation.js';
+import './profile.js';
+import './mode.js';
+import './quiz.js';
+import './review.js';
+import './reminders.js';
+import './refer.js';
+import './admin.js';
+import './help.js';
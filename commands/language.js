@@ -0,0 +1,26 @@
+// Language: /language to see or change the language Florence* talks and answers in
+import { registerCommand } from '../lib/commands.js';
+import { LANGUAGES, languageFor, languageList, parseLanguage, t } from '../lib/i18n.js';
+
+registerCommand('language', {
+    description: 'choose the language Florence* talks to you in: English, Pidgin, Yorùbá, Igbo or Hausa.',
+    usage: '[language]',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+
+        if (args.length === 0) {
+            return ctx.reply(t(user, 'language.current', {
+                language: LANGUAGES[languageFor(user)].name,
+                languages: languageList()
+            }));
+        }
+
+        const language = parseLanguage(args.join(' '));
+        if (!language) {
+            return ctx.reply(t(user, 'language.unknown', { language: args.join(' '), languages: languageList() }));
+        }
+
+        user.language = language;
+        await ctx.reply(t(user, 'language.set', { language: LANGUAGES[language].name }));
+    }
+});
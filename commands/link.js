@@ -0,0 +1,67 @@
+// Account linking: /link to join accounts on different channels into one, /unlink to split them again
+import { sendMessageToUser } from '../lib/channels.js';
+import { registerCommand } from '../lib/commands.js';
+import { LINK_CODE_MINUTES } from '../lib/config.js';
+import { t } from '../lib/i18n.js';
+import { channelName, confirmLinkCode, createLinkCode, linkedChannels, unlinkChannel } from '../lib/linking.js';
+import { currentStreak } from '../lib/rewards.js';
+
+registerCommand('link', {
+    description: 'use one account on WhatsApp, Telegram and the web, sharing your tokens and streak.',
+    usage: '[code]',
+    handler: async (ctx, [code]) => {
+        if (!code) {
+            const { user } = ctx;
+            const newCode = createLinkCode(user);
+            return ctx.reply(
+                (user.linked.length > 0 ? `${t(user, 'link.linkedOn', { channels: linkedChannels(user) })}\n\n` : '') +
+                t(user, 'link.code', { code: newCode, boldCode: ctx.bold(newCode), minutes: LINK_CODE_MINUTES })
+            );
+        }
+
+        const result = confirmLinkCode(ctx.user, code, ctx.channel);
+        if (!result.valid) {
+            return ctx.reply(result.reason);
+        }
+
+        const { user, other } = result;
+        const summary = t(user, 'link.summary', { channels: linkedChannels(user), tokens: user.tokens, streak: currentStreak(user) });
+
+        await ctx.reply(t(user, 'link.done', { summary }));
+        await sendMessageToUser({ ...user, ...other }, t(user, 'link.doneOther', { channel: channelName(user, ctx.channel), summary }))
+            .catch(error => console.error('Error sending link confirmation:', error.message));
+    }
+});
+
+registerCommand('unlink', {
+    description: 'separate an account you linked with /link.',
+    usage: '<whatsapp|telegram|web>',
+    handler: async (ctx, [channelArg]) => {
+        const { user } = ctx;
+        const channel = channelArg?.toLowerCase();
+
+        if (!channel) {
+            if (user.linked.length === 0) {
+                return ctx.reply(t(user, 'unlink.none'));
+            }
+            return ctx.reply(
+                `${t(user, 'link.linkedOn', { channels: linkedChannels(user) })}\n\n` +
+                t(user, 'unlink.usage', { example: user.linked[0].channel })
+            );
+        }
+
+        const result = unlinkChannel(user, channel);
+        if (!result.valid) {
+            return ctx.reply(result.reason);
+        }
+
+        const kept = t(user, 'unlink.kept', { tokens: user.tokens, channels: linkedChannels(user) });
+        if (ctx.channel === channel) {
+            return ctx.reply(`${t(user, 'unlink.thisChat')} ${kept}`);
+        }
+
+        await ctx.reply(`${t(user, 'unlink.done', { channel: channelName(user, channel) })} ${kept}`);
+        await sendMessageToUser(result.unlinked, t(result.unlinked, 'unlink.notice'))
+            .catch(error => console.error('Error sending unlink message:', error.message));
+    }
+});
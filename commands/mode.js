@@ -0,0 +1,78 @@
+// Hint mode: /mode to switch between full answers and step-by-step hints, /reveal for the full solution
+import { registerCommand } from '../lib/commands.js';
+import { askClaude, summariseConversation } from '../lib/claude.js';
+import { REVEAL_COST } from '../lib/config.js';
+import { buildMessages, getConversation, recordExchange, withSummary } from '../lib/conversation.js';
+import { t } from '../lib/i18n.js';
+import { credit, debit } from '../lib/ledger.js';
+import { errorMessage } from '../lib/llm.js';
+import { MODES, getGroupMode, modeFor, setGroupMode, tutorPrompt } from '../lib/tutoring.js';
+
+const REVEAL_REQUEST = "I'd like to see the full worked solution now, please.";
+
+registerCommand('mode', {
+    description: 'choose full answers or step-by-step hints that let you do the work: /mode hint or /mode answer.',
+    usage: 'hint|answer',
+    handler: async (ctx, [modeArg]) => {
+        const { user, groupId } = ctx;
+        const mode = modeArg?.toLowerCase();
+
+        if (!mode) {
+            const groupMode = groupId && getGroupMode(groupId);
+            return ctx.reply(t(user, groupMode ? 'mode.currentGroup' : 'mode.current', {
+                mode: modeFor(ctx),
+                description: t(user, MODES[modeFor(ctx)])
+            }));
+        }
+
+        if (!MODES[mode]) {
+            return ctx.reply(t(user, 'mode.usage'));
+        }
+
+        // In a group the mode applies to everyone, so only its admins can change it
+        if (groupId) {
+            if (!await ctx.isGroupAdmin()) {
+                return ctx.reply(t(user, 'mode.adminsOnly'));
+            }
+            setGroupMode(groupId, mode, user.id);
+            return ctx.reply(t(user, 'mode.groupSet', { mode, description: t(user, MODES[mode]) }));
+        }
+
+        user.mode = mode;
+        await ctx.reply(t(user, 'mode.set', { mode, description: t(user, MODES[mode]) }));
+    }
+});
+
+registerCommand('reveal', {
+    description: `in hint mode, see the full solution to the current question (${REVEAL_COST} tokens).`,
+    handler: async (ctx) => {
+        const { user } = ctx;
+
+        if (modeFor(ctx) !== 'hint') {
+            return ctx.reply(t(user, 'reveal.answerMode'));
+        }
+        if (getConversation(user.id).messages.length === 0) {
+            return ctx.reply(t(user, 'reveal.nothing'));
+        }
+        if (user.tokens < REVEAL_COST) {
+            return ctx.reply(t(user, 'reveal.cantAfford', { cost: REVEAL_COST, tokens: user.tokens }));
+        }
+
+        debit(user, REVEAL_COST, { reason: 'solution reveal', ref: ctx.messageId });
+        await ctx.reply(t(user, 'reveal.working'));
+
+        try {
+            // Answer mode's prompt, so Florence* is allowed to give the solution this once
+            const response = await askClaude(
+                buildMessages(user.id, REVEAL_REQUEST),
+                withSummary(user.id, tutorPrompt(user, 'answer'))
+            );
+            await ctx.reply(response);
+            await recordExchange(user.id, REVEAL_REQUEST, response, summariseConversation);
+        } catch (error) {
+            console.error('Error revealing solution:', error.message);
+            credit(user, REVEAL_COST, { reason: 'refund', ref: ctx.messageId });
+            await ctx.reply(`${errorMessage(error, user)} ${t(user, 'prompt.notCharged')}`);
+        }
+    }
+});
@@ -0,0 +1,98 @@
+// Tutoring profile commands: /subject, /level, /exam and /profile
+import { registerCommand } from '../lib/commands.js';
+import { t } from '../lib/i18n.js';
+import { EXAMS, LEVELS, describeProfile, parseExam, parseLevel, parseSubject } from '../lib/tutoring.js';
+
+const EXAM_CHOICES = Object.values(EXAMS).map(exam => exam.label).join(', ');
+
+/**
+ * Whether the arguments ask to clear a setting
+ * @param {Array<string>} args
+ * @returns {boolean}
+ */
+function isClear(args) {
+    return args.length === 1 && ['clear', 'off', 'none'].includes(args[0].toLowerCase());
+}
+
+registerCommand('profile', {
+    description: 'see what Florence* knows about your studies.',
+    handler: async (ctx) => {
+        await ctx.reply(t(ctx.user, 'profile.show', { profile: describeProfile(ctx.user) }));
+    }
+});
+
+registerCommand('subject', {
+    description: 'set the subject you\'re studying, e.g. /subject Chemistry.',
+    usage: '<subject>|clear',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+        const { profile } = user;
+
+        if (args.length === 0) {
+            const current = profile.subject ? t(user, 'subject.current', { subject: profile.subject }) : t(user, 'subject.none');
+            return ctx.reply(`${current} ${t(user, 'subject.usage')}`);
+        }
+        if (isClear(args)) {
+            profile.subject = null;
+            return ctx.reply(t(user, 'subject.cleared'));
+        }
+
+        const result = parseSubject(user, args.join(' '));
+        if (!result.valid) return ctx.reply(result.reason);
+
+        profile.subject = result.subject;
+        await ctx.reply(t(user, 'subject.set', { subject: profile.subject }));
+    }
+});
+
+registerCommand('level', {
+    description: 'set your class or level, e.g. /level SSS2 or /level 100-level.',
+    usage: '<level>|clear',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+        const { profile } = user;
+
+        if (args.length === 0) {
+            const current = profile.level ? t(user, 'level.current', { level: LEVELS[profile.level].label }) : t(user, 'level.none');
+            return ctx.reply(`${current} ${t(user, 'level.usage')}`);
+        }
+        if (isClear(args)) {
+            profile.level = null;
+            return ctx.reply(t(user, 'level.cleared'));
+        }
+
+        const level = parseLevel(args.join(' '));
+        if (!level) {
+            return ctx.reply(t(user, 'level.unknown'));
+        }
+
+        profile.level = level;
+        await ctx.reply(t(user, 'level.set', { level: LEVELS[level].label }));
+    }
+});
+
+registerCommand('exam', {
+    description: 'set the exam you\'re preparing for: WAEC, NECO, JAMB or post-UTME.',
+    usage: '<exam>|clear',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+        const { profile } = user;
+
+        if (args.length === 0) {
+            const current = profile.exam ? t(user, 'exam.current', { exam: EXAMS[profile.exam].label }) : t(user, 'exam.none');
+            return ctx.reply(`${current} ${t(user, 'exam.usage', { exams: EXAM_CHOICES })}`);
+        }
+        if (isClear(args)) {
+            profile.exam = null;
+            return ctx.reply(t(user, 'exam.cleared'));
+        }
+
+        const exam = parseExam(args.join(' '));
+        if (!exam) {
+            return ctx.reply(t(user, 'exam.unknown', { exams: EXAM_CHOICES }));
+        }
+
+        profile.exam = exam;
+        await ctx.reply(t(user, 'exam.set', { exam: EXAMS[exam].label }));
+    }
+});
@@ -0,0 +1,106 @@
+// Quiz mode: /quiz <topic> [count]
+import { registerCommand } from '../lib/commands.js';
+import { QUIZ_COST, QUIZ_DEFAULT_QUESTIONS, QUIZ_MAX_QUESTIONS } from '../lib/config.js';
+import { t } from '../lib/i18n.js';
+import { credit, debit } from '../lib/ledger.js';
+import { correctOption, formatQuestion, generateQuiz, getQuizResults, looksLikeAnswer, parseAnswer, recordQuizResult } from '../lib/quiz.js';
+import { endSession, getSession, registerSessionHandler, saveSession, startSession } from '../lib/sessions.js';
+
+/**
+ * A question of a quiz, numbered, with how to answer it
+ * @param {Object} user
+ * @param {Array<Object>} questions
+ * @param {number} index - Zero-based position in the quiz
+ * @returns {string}
+ */
+function questionMessage(user, questions, index) {
+    return t(user, 'quiz.question', { number: index + 1, total: questions.length, question: formatQuestion(questions[index]) });
+}
+
+registerCommand('quiz', {
+    description: `test yourself with multiple-choice questions (${QUIZ_COST} tokens per quiz).`,
+    usage: '<topic> [count]',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+
+        if (args.length === 0) {
+            const results = getQuizResults(user.id);
+            const scores = results.length === 0
+                ? t(user, 'quiz.noResults')
+                : t(user, 'quiz.results', { results: results.map(result => `${result.topic}: ${result.correct}/${result.total}`).join('\n') });
+            return ctx.reply(t(user, 'quiz.usage', { max: QUIZ_MAX_QUESTIONS, scores }));
+        }
+
+        if (args.length === 1 && args[0].toLowerCase() === 'stop') {
+            if (getSession(user.id)?.kind !== 'quiz') {
+                return ctx.reply(t(user, 'quiz.notRunning'));
+            }
+            endSession(user.id);
+            return ctx.reply(t(user, 'quiz.stopped'));
+        }
+
+        let count = QUIZ_DEFAULT_QUESTIONS;
+        if (args.length > 1 && /^\d+$/.test(args.at(-1))) {
+            count = Math.min(Math.max(parseInt(args.pop()), 1), QUIZ_MAX_QUESTIONS);
+        }
+        const topic = args.join(' ');
+
+        if (user.tokens < QUIZ_COST) {
+            return ctx.reply(t(user, 'quiz.cantAfford', { cost: QUIZ_COST, tokens: user.tokens }));
+        }
+
+        debit(user, QUIZ_COST, { reason: 'quiz', ref: ctx.messageId });
+        await ctx.reply(t(user, 'quiz.preparing', { count, topic }));
+
+        let questions;
+        try {
+            questions = await generateQuiz(user, topic, count);
+        } catch (error) {
+            console.error('Error generating quiz:', error.message);
+            credit(user, QUIZ_COST, { reason: 'refund', ref: ctx.messageId });
+            return ctx.reply(t(user, 'quiz.failed'));
+        }
+
+        startSession(user.id, 'quiz', { topic, questions, current: 0, correct: 0, ref: ctx.messageId });
+        await ctx.reply(questionMessage(user, questions, 0));
+    }
+});
+
+// Messages while a quiz is running are answers
+registerSessionHandler('quiz', async (ctx, session) => {
+    const { user } = ctx;
+    const { questions } = session;
+    const question = questions[session.current];
+
+    const choice = parseAnswer(question, ctx.text);
+    if (choice === -1 && looksLikeAnswer(ctx.text) && !ctx.mediaItems?.length) {
+        return ctx.reply(t(user, 'quiz.answerPlease'));
+    }
+
+    // Anything else is taken as a question, so a student who moves on isn't stuck in the quiz.
+    // They paid for the whole quiz, so the questions they won't get to are refunded.
+    if (choice === -1) {
+        const refund = Math.ceil(QUIZ_COST * (questions.length - session.current) / questions.length);
+        credit(user, refund, { reason: 'refund', ref: session.ref });
+        await ctx.reply(t(user, 'quiz.notAnAnswer', { refund }));
+        return false;
+    }
+
+    const isCorrect = choice === question.answer;
+    if (isCorrect) session.correct += 1;
+    session.current += 1;
+
+    await ctx.reply(
+        `${isCorrect ? t(user, 'quiz.correct') : t(user, 'quiz.wrong', { answer: correctOption(question) })}\n\n` +
+        question.explanation
+    );
+
+    if (session.current < questions.length) {
+        saveSession(user.id, session);
+        return ctx.reply(questionMessage(user, questions, session.current));
+    }
+
+    endSession(user.id);
+    recordQuizResult(user.id, { topic: session.topic, correct: session.correct, total: questions.length });
+    await ctx.reply(t(user, 'quiz.complete', { correct: session.correct, total: questions.length, topic: session.topic }));
+});
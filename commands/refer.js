@@ -0,0 +1,42 @@
+// Referral command: share your code, or enter a friend's
+import { registerCommand } from '../lib/commands.js';
+import { REFERRAL_BONUS, REFERRAL_QUALIFYING_QUESTIONS, REFERRAL_WELCOME_BONUS } from '../lib/config.js';
+import { t } from '../lib/i18n.js';
+import { claimReferral, referralLinks, referralStats } from '../lib/referrals.js';
+
+registerCommand('refer', {
+    description: `invite friends and get ${REFERRAL_BONUS} tokens for each one who starts learning.`,
+    usage: '[friend\'s code]',
+    handler: async (ctx, [code]) => {
+        const { user } = ctx;
+
+        if (code) {
+            const result = claimReferral(user, code);
+            if (!result.valid) {
+                return ctx.reply(result.reason);
+            }
+            return ctx.reply(t(user, 'refer.joined', {
+                name: result.referrer.name || t(user, 'referral.aFriend'),
+                questions: REFERRAL_QUALIFYING_QUESTIONS,
+                bonus: REFERRAL_WELCOME_BONUS
+            }));
+        }
+
+        const links = referralLinks(user);
+        const { joined, rewarded } = referralStats(user.id);
+        const shareLines = [
+            links.whatsapp && `WhatsApp: ${links.whatsapp}`,
+            links.telegram && `Telegram: ${links.telegram}`
+        ].filter(Boolean).join('\n');
+
+        await ctx.reply(t(user, 'refer.code', {
+            code: ctx.bold(user.referralId),
+            links: shareLines,
+            questions: REFERRAL_QUALIFYING_QUESTIONS,
+            bonus: REFERRAL_BONUS,
+            welcomeBonus: REFERRAL_WELCOME_BONUS,
+            joined,
+            rewarded
+        }));
+    }
+});
@@ -0,0 +1,165 @@
+// Reminder commands: study reminders, a daily goal, quiet hours, timezone and opting out
+import { registerCommand } from '../lib/commands.js';
+import { GOAL_CHECKIN_TIME, MAX_REMINDERS } from '../lib/config.js';
+import { t } from '../lib/i18n.js';
+import { addReminder, getReminders, questionsAskedToday, removeReminder, rescheduleForTimezone, scheduleStreakNudge, setDailyGoal } from '../lib/reminders.js';
+import { streakDeadline } from '../lib/rewards.js';
+import { formatTimeOfDay, isQuietTime, isValidTimezone, localParts, parseTimeOfDay, userTimezone } from '../lib/time.js';
+
+const MAX_GOAL = 100;
+
+/**
+ * Take a time of day off the front of the arguments, e.g. ['7:30', 'pm', ...]
+ * @param {Array<string>} args - Mutated: the time is removed
+ * @returns {{hour: number, minute: number}|null}
+ */
+function shiftTimeOfDay(args) {
+    if (/^(am|pm)$/i.test(args[1] || '')) {
+        const time = parseTimeOfDay(`${args[0]} ${args[1]}`);
+        if (time) args.splice(0, 2);
+        return time;
+    }
+
+    const time = parseTimeOfDay(args[0]);
+    if (time) args.shift();
+    return time;
+}
+
+registerCommand('remind', {
+    description: 'get a study reminder at the same time every day, e.g. /remind 19:00 revise chemistry.',
+    usage: '<time> <what to study>',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+        const reminders = getReminders(user.id);
+
+        if (args.length === 0) {
+            const list = reminders.length === 0
+                ? t(user, 'remind.none')
+                : t(user, 'remind.list', { reminders: reminders.map((job, i) => `${i + 1}. ${formatTimeOfDay(job.data.time)} ${job.data.text}`).join('\n') });
+            return ctx.reply(`${list}\n\n${t(user, 'remind.usage')}`);
+        }
+
+        if (args[0].toLowerCase() === 'cancel') {
+            const reminder = reminders[parseInt(args[1]) - 1];
+            if (!reminder) {
+                return ctx.reply(t(user, 'remind.cancelUsage'));
+            }
+            removeReminder(reminder.id);
+            return ctx.reply(t(user, 'remind.deleted', { time: formatTimeOfDay(reminder.data.time) }));
+        }
+
+        const time = shiftTimeOfDay(args);
+        const text = args.join(' ');
+        if (!time || !text) {
+            return ctx.reply(t(user, 'remind.invalid'));
+        }
+
+        if (reminders.length >= MAX_REMINDERS) {
+            return ctx.reply(t(user, 'remind.max', { max: MAX_REMINDERS }));
+        }
+
+        const job = addReminder(user, time, text);
+        let confirmation = t(user, 'remind.set', { text, time: formatTimeOfDay(time) });
+        if (isQuietTime(new Date(job.runAt), user.quietHours, userTimezone(user))) {
+            confirmation += ` ${t(user, 'remind.quiet')}`;
+        }
+        if (user.notificationsOff) {
+            confirmation += ` ${t(user, 'remind.off')}`;
+        }
+        await ctx.reply(confirmation);
+    }
+});
+
+registerCommand('goal', {
+    description: `set how many questions you want to ask each day, and get a check-in at ${GOAL_CHECKIN_TIME}.`,
+    usage: '<number>|off',
+    handler: async (ctx, [goalArg]) => {
+        const { user } = ctx;
+
+        if (!goalArg) {
+            return ctx.reply(user.dailyGoal
+                ? t(user, 'goal.current', { goal: user.dailyGoal, asked: questionsAskedToday(user) })
+                : t(user, 'goal.none'));
+        }
+
+        if (goalArg.toLowerCase() === 'off') {
+            setDailyGoal(user, null);
+            return ctx.reply(t(user, 'goal.off'));
+        }
+
+        const goal = parseInt(goalArg);
+        if (!/^\d+$/.test(goalArg) || goal < 1 || goal > MAX_GOAL) {
+            return ctx.reply(t(user, 'goal.invalid', { max: MAX_GOAL }));
+        }
+
+        setDailyGoal(user, goal);
+        await ctx.reply(t(user, 'goal.set', { goal, time: GOAL_CHECKIN_TIME }));
+    }
+});
+
+registerCommand('quiet', {
+    description: 'set hours when Florence* won\'t send you reminders, e.g. /quiet 22:00-07:00.',
+    usage: '<start>-<end>|off',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+        const current = user.quietHours
+            ? t(user, 'quiet.current', { start: formatTimeOfDay(user.quietHours.start), end: formatTimeOfDay(user.quietHours.end) })
+            : t(user, 'quiet.none');
+
+        if (args.length === 0) {
+            return ctx.reply(`${current} ${t(user, 'quiet.usage')}`);
+        }
+
+        if (args[0].toLowerCase() === 'off') {
+            user.quietHours = null;
+            return ctx.reply(t(user, 'quiet.off'));
+        }
+
+        const [startText, endText] = args.join(' ').split(/\s*(?:-|to)\s*/i);
+        const start = parseTimeOfDay(startText);
+        const end = parseTimeOfDay(endText);
+        if (!start || !end || formatTimeOfDay(start) === formatTimeOfDay(end)) {
+            return ctx.reply(t(user, 'quiet.invalid'));
+        }
+
+        user.quietHours = { start, end };
+        await ctx.reply(t(user, 'quiet.set', { start: formatTimeOfDay(start), end: formatTimeOfDay(end) }));
+    }
+});
+
+registerCommand('timezone', {
+    description: 'set your timezone, so reminders and streak days follow your clock.',
+    usage: '<timezone>',
+    handler: async (ctx, [timeZone]) => {
+        const { user } = ctx;
+
+        if (!timeZone) {
+            return ctx.reply(t(user, 'timezone.current', {
+                timezone: userTimezone(user),
+                time: formatTimeOfDay(localParts(new Date(), userTimezone(user)))
+            }));
+        }
+
+        if (!isValidTimezone(timeZone)) {
+            return ctx.reply(t(user, 'timezone.unknown', { timezone: timeZone }));
+        }
+
+        // Normalise the capitalisation, e.g. africa/lagos -> Africa/Lagos
+        user.timezone = new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+        rescheduleForTimezone(user);
+        scheduleStreakNudge(user, streakDeadline(user));
+
+        await ctx.reply(t(user, 'timezone.set', {
+            timezone: user.timezone,
+            time: formatTimeOfDay(localParts(new Date(), user.timezone))
+        }));
+    }
+});
+
+registerCommand('stop', {
+    description: 'stop all reminders and nudges.',
+    handler: async (ctx) => {
+        ctx.user.notificationsOff = true;
+        await ctx.reply(t(ctx.user, 'stop.done'));
+    }
+});
@@ -0,0 +1,131 @@
+// Flashcards: /save the last answer, /review the cards that are due
+import { registerCommand } from '../lib/commands.js';
+import { REVIEW_BATCH, SAVE_COST } from '../lib/config.js';
+import { getConversation } from '../lib/conversation.js';
+import { addCards, generateFlashcards, getCards, getDueCards, nextDueDate, reviewCard } from '../lib/flashcards.js';
+import { t } from '../lib/i18n.js';
+import { credit, debit } from '../lib/ledger.js';
+import { recordActivity, streakMessages } from '../lib/rewards.js';
+import { endSession, getSession, registerSessionHandler, saveSession, startSession } from '../lib/sessions.js';
+import { GRADES } from '../lib/srs.js';
+
+/**
+ * The grades a card can be given, e.g. '1 (Again), 2 (Hard)'
+ * @param {Object} user
+ * @returns {string}
+ */
+function gradeList(user) {
+    return Object.keys(GRADES).map(key => `${key} (${t(user, `review.grade.${key}`)})`).join(', ');
+}
+
+/**
+ * Describe when the next card is due
+ * @param {Object} user
+ * @returns {string}
+ */
+function nextDueMessage(user) {
+    const due = nextDueDate(user.id);
+    if (!due) return t(user, 'review.noCards');
+
+    const date = due.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+    return t(user, 'review.nextDue', { count: getCards(user.id).length, date });
+}
+
+registerCommand('save', {
+    description: `turn Florence*'s last answer into flashcards (${SAVE_COST} token${SAVE_COST === 1 ? '' : 's'}).`,
+    handler: async (ctx) => {
+        const { user } = ctx;
+        const { messages } = getConversation(user.id);
+        const answerIndex = messages.map(message => message.role).lastIndexOf('assistant');
+
+        if (answerIndex < 1) {
+            return ctx.reply(t(user, 'save.nothing'));
+        }
+        if (user.tokens < SAVE_COST) {
+            return ctx.reply(t(user, 'save.cantAfford', { cost: SAVE_COST, tokens: user.tokens }));
+        }
+
+        debit(user, SAVE_COST, { reason: 'flashcards', ref: ctx.messageId });
+
+        let cards;
+        try {
+            cards = await generateFlashcards(messages[answerIndex - 1].content, messages[answerIndex].content);
+        } catch (error) {
+            console.error('Error generating flashcards:', error.message);
+            credit(user, SAVE_COST, { reason: 'refund', ref: ctx.messageId });
+            return ctx.reply(t(user, 'save.failed'));
+        }
+
+        addCards(user.id, cards);
+        await ctx.reply(t(user, 'save.done', { count: cards.length, cards: cards.map(card => `• ${card.front}`).join('\n') }));
+    }
+});
+
+registerCommand('review', {
+    description: 'practise the flashcards that are due.',
+    handler: async (ctx, args) => {
+        const { user } = ctx;
+
+        if (args[0]?.toLowerCase() === 'stop') {
+            if (getSession(user.id)?.kind !== 'review') {
+                return ctx.reply(t(user, 'review.notRunning'));
+            }
+            endSession(user.id);
+            return ctx.reply(t(user, 'review.stopped'));
+        }
+
+        const due = getDueCards(user.id, REVIEW_BATCH);
+        if (due.length === 0) {
+            return ctx.reply(t(user, 'review.nothingDue', { next: nextDueMessage(user) }));
+        }
+
+        startSession(user.id, 'review', {
+            cards: due.map(card => ({ id: card.id, front: card.front, back: card.back })),
+            current: 0,
+            revealed: false
+        });
+        await ctx.reply(
+            `${t(user, 'review.start', { count: due.length })}\n\n` +
+            t(user, 'review.card', { number: 1, total: due.length, front: due[0].front })
+        );
+    }
+});
+
+// During a review, the first reply to a card reveals the answer and the second grades it
+registerSessionHandler('review', async (ctx, session) => {
+    const { user } = ctx;
+    const { cards } = session;
+    const card = cards[session.current];
+
+    if (!session.revealed) {
+        session.revealed = true;
+        saveSession(user.id, session);
+        return ctx.reply(t(user, 'review.answer', { back: card.back, grades: gradeList(user) }));
+    }
+
+    // Anything but a grade is taken as a question, so a student who moves on isn't stuck in the review
+    const grade = GRADES[ctx.text.trim()];
+    if (!grade) {
+        await ctx.reply(t(user, 'review.notAGrade'));
+        return false;
+    }
+
+    reviewCard(user.id, card.id, grade.quality);
+    session.current += 1;
+    session.revealed = false;
+
+    if (session.current < cards.length) {
+        saveSession(user.id, session);
+        return ctx.reply(t(user, 'review.card', { number: session.current + 1, total: cards.length, front: cards[session.current].front }));
+    }
+
+    endSession(user.id);
+
+    // A finished review counts towards the streak, like a prompt does
+    const streak = recordActivity(user);
+
+    await ctx.reply(t(user, 'review.complete', { count: cards.length, next: nextDueMessage(user) }));
+    for (const message of streakMessages(user, streak)) {
+        await ctx.reply(message);
+    }
+});
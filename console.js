@@ -0,0 +1,112 @@
+// Console: talk to Florence* from a terminal, with no Twilio, Telegram,
+// Flutterwave or Anthropic credentials. Messages go through the real pipeline
+// (see channels/console.js), answered by the mock language model and paid for
+// through mock Flutterwave.
+//
+//   npm run console -- --as whatsapp:2348012345678 [--name Ada]
+//   npm run console -- --as telegram:123456 journeys/first-week.txt [more scripts...]
+//
+// Options:
+//   --as <user id>   who to send as; created on their first message if they don't exist
+//   --name <name>    the new user's name
+//   --data <file>    data file to use. Typed sessions default to data/console.json, so the
+//                    live data is never touched; scripts start from an empty file each run.
+//   --llm <name>     language model provider, 'mock' by default; 'anthropic' needs ANTHROPIC_API_KEY
+//
+// Scripts are run a line at a time as if typed, sharing one data file, and the
+// run fails at the first :expect that doesn't match.
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { parseArgs } from 'util';
+
+const { values: options, positionals: scripts } = parseArgs({
+    options: {
+        as: { type: 'string', default: 'whatsapp:2348000000000' },
+        name: { type: 'string' },
+        data: { type: 'string' },
+        llm: { type: 'string', default: 'mock' }
+    },
+    allowPositionals: true
+});
+
+// Settle the config before anything reads it, overriding .env
+dotenv.config();
+process.env.DATA_FILE = options.data || (scripts.length > 0
+    ? path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'florence-')), 'console.json')
+    : 'data/console.json');
+process.env.LLM_PROVIDER = options.llm;
+process.env.PAYMENTS_PROVIDER = 'mock';
+
+const { createConsoleSession } = await import('./channels/console.js');
+const { startScheduler, stopScheduler } = await import('./lib/scheduler.js');
+const { flush: flushStore } = await import('./lib/store.js');
+await import('./commands/index.js');
+
+const session = createConsoleSession({ as: options.as, name: options.name, echo: scripts.length > 0 });
+
+/**
+ * Run one line, turning errors into a failed result
+ * @param {string} line
+ * @returns {Promise<{valid: boolean, reason?: string}>}
+ */
+async function run(line) {
+    try {
+        return await session.run(line);
+    } catch (error) {
+        console.error('Error processing console message:', error);
+        return { valid: false, reason: error.message };
+    }
+}
+
+/**
+ * Replay a script, stopping at the first line that fails
+ * @param {string} file
+ * @returns {Promise<boolean>} - Whether every line passed
+ */
+async function runScript(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const [index, line] of lines.entries()) {
+        const result = await run(line);
+        if (!result.valid) {
+            console.error(`${file}:${index + 1}: ${result.reason}`);
+            return false;
+        }
+    }
+    console.log(`${file}: passed\n`);
+    return true;
+}
+
+/**
+ * Read messages from the terminal until Ctrl+D
+ */
+async function repl() {
+    console.log('Type a message for Florence*, or :help for console commands. Press Ctrl+D to quit.\n');
+    startScheduler(); // so reminders and nudges show up while you type
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.setPrompt(`${session.userId()}> `);
+    rl.prompt();
+    for await (const line of rl) {
+        const result = await run(line);
+        if (!result.valid) console.log(`(${result.reason})\n`);
+        rl.setPrompt(`${session.userId()}> `);
+        rl.prompt();
+    }
+
+    stopScheduler();
+}
+
+let passed = true;
+if (scripts.length > 0) {
+    for (const file of scripts) {
+        passed = await runScript(file) && passed;
+    }
+} else {
+    await repl();
+}
+
+flushStore();
+process.exit(passed ? 0 : 1);
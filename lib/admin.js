@@ -0,0 +1,121 @@
+// Admin operations, shared by the HTTP API and the in-chat /admin command
+import { ADMINS } from './config.js';
+import { notifyUser } from './channels.js';
+import { t } from './i18n.js';
+import { credit, debit } from './ledger.js';
+import { collection } from './store.js';
+import { getUserById, userIdentities, userKey } from './users.js';
+
+/**
+ * Whether a user is an admin
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export function isAdmin(user) {
+    return userIdentities(user).some(({ channel, channelId }) => ADMINS.includes(userKey(channel, channelId)));
+}
+
+/**
+ * The parts of a user an admin needs to see
+ * @param {Object} user
+ * @returns {Object}
+ */
+export function userSummary(user) {
+    const { id, channel, channelId, name, username, tokens, streak, createdAt, lastActivity } = user;
+    return { id, channel, channelId, name, username, tokens, streak, createdAt, lastActivity };
+}
+
+/**
+ * Find users whose id, name or username contains the query, newest first
+ * @param {string} [query] - Leave empty to list everyone
+ * @param {Object} [options]
+ * @param {string} [options.channel] - Only this channel
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ * @returns {{total: number, users: Array<Object>}}
+ */
+export function searchUsers(query = '', { channel, limit = 20, offset = 0 } = {}) {
+    const needle = query.trim().toLowerCase().replace(/^\+/, '');
+    const matches = Object.values(collection('users'))
+        .filter(user => !channel || user.channel === channel)
+        .filter(user => !needle || [user.id, user.name, user.username]
+            .some(field => (field || '').toLowerCase().includes(needle)))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+        total: matches.length,
+        users: matches.slice(offset, offset + limit).map(userSummary)
+    };
+}
+
+/**
+ * Grant or remove tokens, recording who did it and why in the ledger
+ * @param {Object} user
+ * @param {number} amount - Positive to grant, negative to remove
+ * @param {string} reason - Shown in the user's /history
+ * @param {string} adminId - Who made the change, e.g. a user id or 'api'
+ * @returns {{valid: boolean, reason?: string, entry?: Object}}
+ */
+export function adjustBalance(user, amount, reason, adminId) {
+    // Reasons are in the admin's language; the API, which isn't a user, gets English
+    const admin = getUserById(adminId);
+    if (!Number.isInteger(amount) || amount === 0) {
+        return { valid: false, reason: t(admin, 'admin.badAmount') };
+    }
+    if (!reason?.trim()) {
+        return { valid: false, reason: t(admin, 'admin.noReason') };
+    }
+    if (user.tokens + amount < 0) {
+        return { valid: false, reason: t(admin, 'admin.notEnough', { id: user.id, tokens: user.tokens }) };
+    }
+
+    const details = { reason: `adjustment: ${reason.trim()}`, ref: adminId };
+    const entry = amount > 0 ? credit(user, amount, details) : debit(user, -amount, details);
+    return { valid: true, entry };
+}
+
+/**
+ * Send an announcement to every user, one at a time. Follows the same rules
+ * as reminders: users who sent /stop are left out, and WhatsApp users outside
+ * the 24-hour window only get it if the notification template is configured.
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {string} [options.channel] - Only this channel
+ * @returns {Promise<{sent: number, skipped: number, failed: number}>}
+ */
+export async function broadcast(message, { channel } = {}) {
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    for (const user of Object.values(collection('users'))) {
+        if (channel && user.channel !== channel) continue;
+        if (user.notificationsOff) {
+            result.skipped += 1;
+            continue;
+        }
+
+        try {
+            result[await notifyUser(user, message) ? 'sent' : 'skipped'] += 1;
+        } catch (error) {
+            console.error(`Error sending broadcast to ${user.id}:`, error.message);
+            result.failed += 1;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Tell every admin about something, e.g. a new user
+ * @param {string} message
+ */
+export async function notifyAdmins(message) {
+    for (const adminId of ADMINS) {
+        // Admins who haven't messaged Florence* yet aren't stored users, but can still be reached
+        const [channel, channelId] = adminId.split(/:(.*)/);
+        const admin = getUserById(adminId) || { id: adminId, channel, channelId };
+
+        await notifyUser(admin, message).catch(error => {
+            console.error(`Error alerting admin ${adminId}:`, error.message);
+        });
+    }
+}
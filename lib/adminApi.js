@@ -0,0 +1,111 @@
+// Admin HTTP API, authenticated with ADMIN_API_KEY as a Bearer token:
+//   GET  /admin/users?q=&channel=&limit=&offset=   list and search users
+//   GET  /admin/users/:id                          one user with their recent ledger entries
+//   POST /admin/users/:id/adjust {amount, reason}  grant (positive) or remove (negative) tokens
+//   GET  /admin/payments?limit=                    recently credited payments
+//   GET  /admin/dead-letters?limit=                incoming messages the queue gave up on
+//   POST /admin/broadcast {message, channel?}      send an announcement to every user
+import express from 'express';
+import bodyParser from 'body-parser';
+import { ADMIN_API_KEY } from './config.js';
+import { adjustBalance, broadcast, searchUsers, userSummary } from './admin.js';
+import { getHistory } from './ledger.js';
+import { getRecentPayments } from './payments.js';
+import { getDeadLetters } from './queue.js';
+import { getUserById, saveUser } from './users.js';
+import { safeEqual } from './webhookAuth.js';
+
+const MAX_PAGE = 100;
+
+/**
+ * Express middleware checking the admin API key
+ * @type {import('express').RequestHandler}
+ */
+function requireAdminKey(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(503).json({ error: 'Admin API is disabled: ADMIN_API_KEY is not set' });
+    }
+
+    const [scheme, key] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !safeEqual(ADMIN_API_KEY, key)) {
+        console.warn(`Rejected admin API request from ${req.ip}: missing or wrong API key`);
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    next();
+}
+
+/**
+ * Read a page size from the query string
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function pageSize(value, fallback) {
+    return Math.min(Math.max(parseInt(value) || fallback, 1), MAX_PAGE);
+}
+
+/**
+ * Add the admin API to the Express app
+ * @param {import('express').Express} app
+ */
+export function mountAdminApi(app) {
+    if (!ADMIN_API_KEY) {
+        console.warn('ADMIN_API_KEY is not set: the admin API is disabled.');
+    }
+
+    const router = express.Router();
+    router.use(requireAdminKey, bodyParser.json());
+
+    router.get('/users', (req, res) => {
+        const { q, channel, limit, offset } = req.query;
+        res.json(searchUsers(q, {
+            channel,
+            limit: pageSize(limit, 20),
+            offset: Math.max(parseInt(offset) || 0, 0)
+        }));
+    });
+
+    router.get('/users/:id', (req, res) => {
+        const user = getUserById(req.params.id);
+        if (!user) return res.status(404).json({ error: `No user ${req.params.id}` });
+
+        res.json({ user: userSummary(user), history: getHistory(user.id, 20) });
+    });
+
+    router.post('/users/:id/adjust', (req, res) => {
+        const user = getUserById(req.params.id);
+        if (!user) return res.status(404).json({ error: `No user ${req.params.id}` });
+
+        const { amount, reason } = req.body || {};
+        const result = adjustBalance(user, amount, reason, 'admin-api');
+        if (!result.valid) return res.status(400).json({ error: result.reason });
+
+        saveUser(user);
+        console.log(`Admin API adjusted ${user.id} by ${amount}: ${reason}`);
+        res.json({ user: userSummary(user), entry: result.entry });
+    });
+
+    router.get('/payments', (req, res) => {
+        res.json({ payments: getRecentPayments(pageSize(req.query.limit, 20)) });
+    });
+
+    router.get('/dead-letters', (req, res) => {
+        res.json({ messages: getDeadLetters(pageSize(req.query.limit, 20)) });
+    });
+
+    router.post('/broadcast', (req, res) => {
+        const { message, channel } = req.body || {};
+        if (typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'message is required' });
+        }
+
+        // Sending to everyone takes a while, so answer now and log the outcome
+        broadcast(message.trim(), { channel })
+            .then(result => console.log(`Admin API broadcast finished: ${JSON.stringify(result)}`))
+            .catch(error => console.error('Error sending broadcast:', error));
+        res.status(202).json({ status: 'sending' });
+    });
+
+    app.use('/admin', router);
+}
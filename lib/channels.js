@@ -0,0 +1,45 @@
+// Outgoing messages, for when there's no incoming message to reply to
+const transports = new Map();
+
+/**
+ * Register how to send messages on a channel
+ * @param {string} channel - e.g. 'whatsapp'
+ * @param {function(string, string): Promise<void>} send - (message, channel user id)
+ * @param {function(Object, string): Promise<boolean>} [notify] - (user, message) => whether it was sent.
+ *   For messages the user didn't ask for, on channels with rules about those; defaults to send
+ */
+export function registerTransport(channel, send, notify = (user, newMsg) => send(newMsg, user.channelId).then(() => true)) {
+    transports.set(channel, { send, notify });
+}
+
+/**
+ * Get the transport for a user's channel
+ * @param {Object} user
+ * @returns {{send: Function, notify: Function}}
+ */
+function transportFor(user) {
+    const transport = transports.get(user.channel);
+    if (!transport) {
+        throw new Error(`No transport registered for channel ${user.channel}`);
+    }
+    return transport;
+}
+
+/**
+ * Send a message to a user on whichever channel they use
+ * @param {Object} user
+ * @param {string} newMsg
+ */
+export async function sendMessageToUser(user, newMsg) {
+    await transportFor(user).send(newMsg, user.channelId);
+}
+
+/**
+ * Send a message the user didn't ask for, like a reminder, following the channel's rules for those
+ * @param {Object} user
+ * @param {string} newMsg
+ * @returns {Promise<boolean>} - Whether it was sent
+ */
+export async function notifyUser(user, newMsg) {
+    return transportFor(user).notify(user, newMsg);
+}
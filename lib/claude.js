@@ -0,0 +1,69 @@
+// Claude: Florence*'s prompts and helpers for asking the language model
+import { complete } from './llm.js';
+
+export const SYSTEM_PROMPT = "You are a highly knowledgeable teacher on every subject. Your name is Florence*.";
+
+/**
+ * Send messages to Claude and report the tokens used
+ * @param {Array<{role: string, content: string|Array}>} messages - Content may include attachment blocks
+ * @param {string} [system] - System prompt
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Longest answer Claude may write
+ * @param {function(string)} [options.onText] - Called with the answer so far as it streams in
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+export async function askClaudeWithUsage(messages, system = SYSTEM_PROMPT, { maxTokens, onText } = {}) {
+    try {
+        return await complete({ messages, system, maxTokens, onText });
+    } catch (error) {
+        console.error('Error calling Claude:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Send messages to Claude
+ * @param {Array<{role: string, content: string|Array}>} messages
+ * @param {string} [system] - System prompt
+ * @returns {Promise<string>}
+ */
+export async function askClaude(messages, system = SYSTEM_PROMPT) {
+    const { text } = await askClaudeWithUsage(messages, system);
+    return text;
+}
+
+/**
+ * Fold trimmed conversation turns into a running summary
+ * @param {string} previousSummary
+ * @param {Array<{role: string, content: string}>} messages - Turns being trimmed
+ * @returns {Promise<string>}
+ */
+export async function summariseConversation(previousSummary, messages) {
+    const transcript = messages
+        .map(({ role, content }) => `${role === 'user' ? 'Student' : 'Florence'}: ${content}`)
+        .join('\n\n');
+
+    return askClaude(
+        [{
+            role: 'user',
+            content: (previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '') +
+                `Conversation to add:\n${transcript}`
+        }],
+        "Summarise this tutoring conversation in a short paragraph. Keep the topics, questions, " +
+        "numbered steps and facts about the student that a teacher would need to continue it."
+    );
+}
+
+/**
+ * Pull a JSON array out of a reply. Claude sometimes wraps the JSON in prose
+ * or a code block despite being asked for JSON only.
+ * @param {string} reply
+ * @returns {Array}
+ */
+export function parseJsonArray(reply) {
+    const parsed = JSON.parse(reply.slice(reply.indexOf('['), reply.lastIndexOf(']') + 1));
+    if (!Array.isArray(parsed)) {
+        throw new Error('Expected a JSON array');
+    }
+    return parsed;
+}
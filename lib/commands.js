@@ -0,0 +1,50 @@
+// Command registry shared by every channel
+const commands = new Map();
+
+/**
+ * Register a command
+ * @param {string} name - Without the slash, e.g. 'tokens'
+ * @param {Object} command
+ * @param {string} command.description - Shown in /help and the welcome message
+ * @param {string} [command.usage] - Arguments, e.g. '<topic> [count]'
+ * @param {boolean} [command.hidden] - Leave out of /help
+ * @param {function(Object, Array<string>): Promise<void>} command.handler - (message context, arguments)
+ */
+export function registerCommand(name, { description, usage = '', hidden = false, handler }) {
+    if (commands.has(name)) {
+        throw new Error(`Command /${name} is already registered`);
+    }
+    commands.set(name, { name, description, usage, hidden, handler });
+}
+
+/**
+ * Get a registered command
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export function getCommand(name) {
+    return commands.get(name);
+}
+
+/**
+ * List the commands shown to users, in registration order
+ * @returns {Array<Object>}
+ */
+export function listCommands() {
+    return [...commands.values()].filter(command => !command.hidden);
+}
+
+/**
+ * Split a message into a command and its arguments
+ * @param {string} text - e.g. '/quiz biology 10' or '/quiz@FlorenceBot biology'
+ * @returns {{name: string, args: Array<string>}|null} - null if the message isn't a command
+ */
+export function parseCommand(text) {
+    const match = /^\/([a-zA-Z0-9_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+    if (!match) return null;
+
+    return {
+        name: match[1].toLowerCase(),
+        args: match[2] ? match[2].trim().split(/\s+/) : []
+    };
+}
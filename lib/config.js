@@ -0,0 +1,128 @@
+// Runtime configuration
+import dotenv from 'dotenv';
+
+// Loaded here rather than in index.js so that every module importing this
+// file sees the .env values, whatever the import order.
+dotenv.config();
+
+// Server and integrations
+export const PORT = process.env.PORT || 4000;
+export const WEBHOOK_URL = process.env.WEBHOOK_URL;
+export const BOT_TOKEN = process.env.BOT_TOKEN;
+export const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY; // CLAUDE_API_KEY is the older name
+export const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+export const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+export const TWILIO_WHATSAPP_NUMBER = process.env.TWILIO_WHATSAPP_NUMBER || '+14155238886';
+
+// Webhook authenticity
+export const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET; // defaults to one derived from BOT_TOKEN
+export const WEBHOOK_AUTH_DISABLED = process.env.WEBHOOK_AUTH_DISABLED === 'true'; // local development only
+
+// Web chat
+export const WEB_API_KEY = process.env.WEB_API_KEY; // Bearer token the school portal uses to sign students in; web chat is off without one
+export const WEB_TOKEN_DAYS = parseInt(process.env.WEB_TOKEN_DAYS) || 30; // a student's access token works this long
+// Sites allowed to call the web chat API from the browser, comma-separated, e.g. 'https://portal.example.edu'
+export const WEB_ALLOWED_ORIGINS = (process.env.WEB_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+export const WEB_MAX_UPLOAD_SIZE = parseInt(process.env.WEB_MAX_UPLOAD_SIZE) || 10 * 1024 * 1024; // bytes per attached file
+
+// Language model
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || 'anthropic'; // or 'mock' for canned answers without network access
+export const LLM_MODEL = process.env.LLM_MODEL || 'claude-3-5-sonnet-20241022';
+export const LLM_TIMEOUT = parseInt(process.env.LLM_TIMEOUT) || 60 * 1000; // ms to wait for an answer, or for more of a streamed one
+export const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) || 3; // when rate limited or overloaded
+export const LLM_RETRY_DELAY = parseInt(process.env.LLM_RETRY_DELAY) || 2 * 1000; // ms before the first retry, doubling each time
+
+// Storage
+export const DATA_FILE = process.env.DATA_FILE || 'data/florence.json';
+
+// Message queue
+export const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 4; // messages handled at once, never two from one user
+export const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3; // before a message is dead-lettered
+export const QUEUE_RETRY_DELAY = parseInt(process.env.QUEUE_RETRY_DELAY) || 10 * 1000; // ms before the first retry, doubling each time
+export const QUEUE_DEDUP_HOURS = parseInt(process.env.QUEUE_DEDUP_HOURS) || 48; // handled message ids are remembered this long
+export const QUEUE_DEAD_LETTER_DAYS = parseInt(process.env.QUEUE_DEAD_LETTER_DAYS) || 14; // dead letters are kept this long for admins to look into
+
+// Conversation memory
+export const CONVERSATION_WINDOW = parseInt(process.env.CONVERSATION_WINDOW) || 20; // messages kept verbatim
+export const CONVERSATION_MAX_CHARS = parseInt(process.env.CONVERSATION_MAX_CHARS) || 24000; // across kept messages
+
+// Payments (Flutterwave)
+export const FLW_SECRET_KEY = process.env.FLW_SECRET_KEY; // API secret key, for creating links and verifying transactions
+export const FLW_SECRET_HASH = process.env.FLW_SECRET_HASH; // Must match the "Secret hash" set on the Flutterwave dashboard
+export const PAYMENT_CURRENCY = 'NGN';
+export const TOKEN_PRICE = parseInt(process.env.TOKEN_PRICE) || 100; // naira per token
+export const DEFAULT_PAYMENT_AMOUNT = parseInt(process.env.DEFAULT_PAYMENT_AMOUNT) || 1000;
+export const PAYMENT_REDIRECT_URL = process.env.PAYMENT_REDIRECT_URL || 'https://flutterwave.com';
+export const PAYMENT_EMAIL_DOMAIN = process.env.PAYMENT_EMAIL_DOMAIN || 'users.florence.ai'; // Flutterwave requires a customer email
+export const PAYMENTS_PROVIDER = process.env.PAYMENTS_PROVIDER || 'flutterwave'; // or 'mock' to make payments offline, e.g. from the console
+
+// Study documents
+export const DOCUMENT_MAX_PAGES = parseInt(process.env.DOCUMENT_MAX_PAGES) || 100; // Claude's limit for PDFs
+
+// Quizzes
+export const SESSION_TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 60; // a quiz or review left this long ends
+export const QUIZ_COST = parseInt(process.env.QUIZ_COST) || 3; // tokens per quiz, however many questions
+export const QUIZ_DEFAULT_QUESTIONS = 5;
+export const QUIZ_MAX_QUESTIONS = 15;
+
+// Flashcards
+export const SAVE_COST = parseInt(process.env.SAVE_COST) || 1; // tokens to turn an answer into flashcards
+export const REVIEW_BATCH = parseInt(process.env.REVIEW_BATCH) || 10; // most cards per /review
+
+// Streaks
+export const STREAK_REWARD_EVERY = parseInt(process.env.STREAK_REWARD_EVERY) || 10; // days between repeating milestone rewards
+export const STREAK_REWARD = parseInt(process.env.STREAK_REWARD) || 10; // tokens per repeating milestone
+// Extra milestones as days:tokens pairs, e.g. '3:2,7:5,30:20'. On those days they replace the repeating reward.
+export const STREAK_MILESTONES = Object.fromEntries(
+    (process.env.STREAK_MILESTONES || '').split(',').filter(Boolean).map(pair => pair.split(':').map(Number))
+);
+export const STREAK_FREEZE_EVERY = parseInt(process.env.STREAK_FREEZE_EVERY) || 7; // streak days to earn a freeze
+export const STREAK_FREEZE_COST = parseInt(process.env.STREAK_FREEZE_COST) || 5; // tokens to buy one
+export const MAX_STREAK_FREEZES = parseInt(process.env.MAX_STREAK_FREEZES) || 2; // most a user can hold
+
+// Reminders and nudges
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Lagos'; // for users who haven't set one
+export const SCHEDULER_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL) || 60 * 1000; // ms between checks for due jobs
+export const MAX_REMINDERS = parseInt(process.env.MAX_REMINDERS) || 5; // per user
+export const STREAK_NUDGE_HOURS = parseInt(process.env.STREAK_NUDGE_HOURS) || 6; // warn this long before a streak ends
+export const GOAL_CHECKIN_TIME = process.env.GOAL_CHECKIN_TIME || '20:00'; // users' local time
+// Approved WhatsApp template with one variable, {{1}}, for messages outside the 24-hour session window.
+// Without it, reminders to WhatsApp users who haven't written in the last 24 hours are skipped.
+export const TWILIO_NOTIFICATION_TEMPLATE_SID = process.env.TWILIO_NOTIFICATION_TEMPLATE_SID;
+
+// Admin
+export const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Bearer token for /admin; the API is off without one
+// Users who get /admin and new-user alerts, as comma-separated user ids, e.g. 'whatsapp:2348012345678,telegram:123456'
+export const ADMINS = (process.env.ADMINS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Referrals
+export const TELEGRAM_BOT_USERNAME = process.env.TELEGRAM_BOT_USERNAME; // for t.me share links, without the @
+export const REFERRAL_BONUS = parseInt(process.env.REFERRAL_BONUS) || 10; // tokens for the referrer
+export const REFERRAL_WELCOME_BONUS = parseInt(process.env.REFERRAL_WELCOME_BONUS) || 5; // tokens for the new user
+export const REFERRAL_QUALIFYING_QUESTIONS = parseInt(process.env.REFERRAL_QUALIFYING_QUESTIONS) || 3; // before either bonus is paid
+export const REFERRAL_MONTHLY_LIMIT = parseInt(process.env.REFERRAL_MONTHLY_LIMIT) || 20; // referrer bonuses per 30 days
+export const REFERRAL_CLAIM_DAYS = parseInt(process.env.REFERRAL_CLAIM_DAYS) || 7; // new users can enter a code with /refer this long after joining
+
+// Account linking
+export const LINK_CODE_MINUTES = parseInt(process.env.LINK_CODE_MINUTES) || 10; // a /link code works this long
+
+// Hint mode
+export const REVEAL_COST = parseInt(process.env.REVEAL_COST) || 2; // tokens for the full solution in hint mode
+
+// Usage-based pricing
+// Claude tokens that cost one Florence* token. Claude charges more for output, so it gets fewer.
+export const INPUT_TOKENS_PER_TOKEN = parseInt(process.env.INPUT_TOKENS_PER_TOKEN) || 8000;
+export const OUTPUT_TOKENS_PER_TOKEN = parseInt(process.env.OUTPUT_TOKENS_PER_TOKEN) || 1600;
+export const MIN_PROMPT_COST = parseInt(process.env.MIN_PROMPT_COST) || 1; // tokens, however short the exchange
+export const PAID_PLAN_DAYS = parseInt(process.env.PAID_PLAN_DAYS) || 30; // a payment puts the user on the paid plan this long
+// Per-plan limits: the longest answer Claude may write, and the most a single prompt can cost
+export const PLANS = {
+    free: {
+        maxOutputTokens: parseInt(process.env.FREE_MAX_OUTPUT_TOKENS) || 1024,
+        maxPromptCost: parseInt(process.env.FREE_MAX_PROMPT_COST) || 10
+    },
+    paid: {
+        maxOutputTokens: parseInt(process.env.PAID_MAX_OUTPUT_TOKENS) || 4096,
+        maxPromptCost: parseInt(process.env.PAID_MAX_PROMPT_COST) || 40
+    }
+};
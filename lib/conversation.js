@@ -0,0 +1,123 @@
+// Conversation memory
+import crypto from 'crypto';
+import { collection, save } from './store.js';
+import { CONVERSATION_WINDOW, CONVERSATION_MAX_CHARS } from './config.js';
+
+/**
+ * Get a user's current conversation, starting one if needed
+ * @param {string} userId
+ * @returns {{summary: string, messages: Array<{role: string, content: string}>, startedAt: string}}
+ */
+export function getConversation(userId) {
+    const conversations = collection('conversations');
+    if (!conversations[userId]) {
+        conversations[userId] = {
+            summary: '',
+            messages: [],
+            startedAt: new Date().toISOString()
+        };
+    }
+    return conversations[userId];
+}
+
+const MAX_PAST_CONVERSATIONS = 20; // kept per user, oldest dropped first
+
+/**
+ * Start a fresh session. Claude forgets everything said so far; the old
+ * conversation is kept for the user to look back on.
+ * @param {string} userId
+ */
+export function resetConversation(userId) {
+    const conversations = collection('conversations');
+    const conversation = conversations[userId];
+
+    if (conversation?.messages.length > 0) {
+        const past = collection('pastConversations');
+        past[userId] = [
+            { id: crypto.randomUUID(), ...conversation, endedAt: new Date().toISOString() },
+            ...(past[userId] || [])
+        ].slice(0, MAX_PAST_CONVERSATIONS);
+    }
+
+    delete conversations[userId];
+    save();
+}
+
+/**
+ * A user's earlier conversations, newest first
+ * @param {string} userId
+ * @returns {Array<{id: string, summary: string, messages: Array, startedAt: string, endedAt: string}>}
+ */
+export function getPastConversations(userId) {
+    return collection('pastConversations')[userId] || [];
+}
+
+/**
+ * Build the message list for Claude: the kept history followed by the new prompt
+ * @param {string} userId
+ * @param {string|Array} content - New user turn, plain text or content blocks
+ * @returns {Array<{role: string, content: string|Array}>}
+ */
+export function buildMessages(userId, content) {
+    const { messages } = getConversation(userId);
+    return [
+        ...messages.map(({ role, content }) => ({ role, content })),
+        { role: 'user', content }
+    ];
+}
+
+/**
+ * Add the summary of trimmed turns, if any, to a system prompt
+ * @param {string} userId
+ * @param {string} system - Base system prompt
+ * @returns {string}
+ */
+export function withSummary(userId, system) {
+    const { summary } = getConversation(userId);
+    if (!summary) return system;
+    return `${system}\n\nSummary of the earlier part of this conversation with the student:\n${summary}`;
+}
+
+/**
+ * Check whether the kept history is over the configured window
+ * @param {Array<{content: string}>} messages
+ * @returns {boolean}
+ */
+function isTooLong(messages) {
+    const chars = messages.reduce((total, message) => total + message.content.length, 0);
+    return messages.length > CONVERSATION_WINDOW || chars > CONVERSATION_MAX_CHARS;
+}
+
+/**
+ * Record a question and answer, trimming the history if it gets too long.
+ * Trimmed turns are folded into the running summary when a summariser is given,
+ * and simply dropped otherwise (or if summarising fails).
+ * @param {string} userId
+ * @param {string} prompt - What the user asked, as text
+ * @param {string} reply - Florence's answer
+ * @param {function(string, Array): Promise<string>} [summarise] - (previous summary, trimmed messages) => new summary
+ */
+export async function recordExchange(userId, prompt, reply, summarise) {
+    const conversation = getConversation(userId);
+    const now = new Date().toISOString();
+    conversation.messages.push(
+        { role: 'user', content: prompt, at: now },
+        { role: 'assistant', content: reply, at: now }
+    );
+
+    // Trim whole exchanges so the history always starts with a user turn
+    const trimmed = [];
+    while (conversation.messages.length > 2 && isTooLong(conversation.messages)) {
+        trimmed.push(...conversation.messages.splice(0, 2));
+    }
+
+    if (trimmed.length > 0 && summarise) {
+        try {
+            conversation.summary = await summarise(conversation.summary, trimmed);
+        } catch (error) {
+            console.error('Error summarising conversation:', error.message);
+        }
+    }
+
+    save();
+}
@@ -0,0 +1,91 @@
+// Study documents: lecture notes, past questions and assignments sent as prompts
+import mammoth from 'mammoth';
+// The package entry point runs a self-test when imported from ESM, so load the parser directly
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+import { DOCUMENT_MAX_PAGES } from './config.js';
+import { t } from './i18n.js';
+
+const CHARS_PER_PAGE = 3000; // rough page size for documents without real pages
+
+export const DOCUMENT_TYPES = {
+    'application/pdf': 'PDF',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word document',
+    'text/plain': 'text file',
+    'text/markdown': 'text file'
+};
+
+/**
+ * Check whether a media type is a document Florence can read
+ * @param {string} mediaType
+ * @returns {boolean}
+ */
+export function isDocumentType(mediaType) {
+    return Boolean(DOCUMENT_TYPES[mediaType]);
+}
+
+/**
+ * Wrap extracted text so Claude can tell it apart from the question
+ * @param {string} name
+ * @param {string} text
+ * @returns {Object} - Claude text block
+ */
+function textBlock(name, text) {
+    return {
+        type: 'text',
+        text: `<document name="${name}">\n${text}\n</document>`
+    };
+}
+
+/**
+ * Turn a downloaded document into a Claude content block
+ * @param {Object} user - Who sent it, for the language of the reason it can't be used
+ * @param {Buffer} buffer
+ * @param {string} mediaType - One of DOCUMENT_TYPES
+ * @param {string} [name] - File name, if the channel gives one
+ * @returns {Promise<{valid: boolean, reason?: string, block?: Object, pages?: number}>}
+ */
+export async function prepareDocument(user, buffer, mediaType, name = '') {
+    const shownName = name || t(user, 'document.unnamed');
+
+    try {
+        let block;
+        let pages;
+
+        if (mediaType === 'application/pdf') {
+            // Claude reads PDFs natively, including scans and diagrams; pdf-parse only counts pages
+            const data = await pdf(buffer);
+            pages = data.numpages;
+            block = {
+                type: 'document',
+                source: {
+                    type: 'base64',
+                    media_type: 'application/pdf',
+                    data: buffer.toString('base64')
+                }
+            };
+        } else {
+            const text = mediaType === 'text/plain' || mediaType === 'text/markdown'
+                ? buffer.toString('utf8')
+                : (await mammoth.extractRawText({ buffer })).value;
+
+            if (!text.trim()) {
+                return { valid: false, reason: t(user, 'document.empty', { name: shownName }) };
+            }
+
+            pages = Math.ceil(text.length / CHARS_PER_PAGE);
+            block = textBlock(name || 'document', text);
+        }
+
+        if (pages > DOCUMENT_MAX_PAGES) {
+            return {
+                valid: false,
+                reason: t(user, 'document.tooLong', { name: shownName, pages, max: DOCUMENT_MAX_PAGES })
+            };
+        }
+
+        return { valid: true, block, pages };
+    } catch (error) {
+        console.error('Error reading document:', error);
+        return { valid: false, reason: t(user, 'document.unreadable', { name: shownName }) };
+    }
+}
@@ -0,0 +1,112 @@
+// Flashcards made from Florence's answers, reviewed on a spaced-repetition schedule
+import crypto from 'crypto';
+import { askClaude, parseJsonArray } from './claude.js';
+import { collection, save } from './store.js';
+import { newSchedule, schedule } from './srs.js';
+
+const FLASHCARD_PROMPT = "You turn a tutor's explanation into revision flashcards. " +
+    "Reply with only a JSON array, no other text, of 2 to 5 items like " +
+    '{"front": "...", "back": "..."}. ' +
+    "Each front is a short question testing one idea; each back is its answer in a sentence or two.";
+
+/**
+ * Ask Claude to turn a question and answer into flashcards
+ * @param {string} question - What the student asked
+ * @param {string} answer - Florence's reply
+ * @returns {Promise<Array<{front: string, back: string}>>}
+ */
+export async function generateFlashcards(question, answer) {
+    const reply = await askClaude(
+        [{ role: 'user', content: `Student's question:\n${question}\n\nExplanation:\n${answer}` }],
+        FLASHCARD_PROMPT
+    );
+
+    let cards;
+    try {
+        cards = parseJsonArray(reply);
+    } catch (error) {
+        throw new Error(`Flashcards were not a valid JSON array: ${error.message}`);
+    }
+
+    const valid = cards.filter(card => typeof card?.front === 'string' && typeof card?.back === 'string');
+    if (valid.length === 0) {
+        throw new Error('Flashcards had no usable cards');
+    }
+    return valid;
+}
+
+/**
+ * Get all of a user's cards
+ * @param {string} userId
+ * @returns {Array<Object>}
+ */
+export function getCards(userId) {
+    return collection('flashcards')[userId] || [];
+}
+
+/**
+ * Add cards to a user's deck, due straight away
+ * @param {string} userId
+ * @param {Array<{front: string, back: string}>} cards
+ * @returns {Array<Object>} - The stored cards
+ */
+export function addCards(userId, cards) {
+    const flashcards = collection('flashcards');
+    const deck = flashcards[userId] || (flashcards[userId] = []);
+    const now = new Date();
+
+    const added = cards.map(({ front, back }) => ({
+        id: crypto.randomUUID(),
+        front,
+        back,
+        createdAt: now.toISOString(),
+        lastReviewedAt: null,
+        ...newSchedule(now)
+    }));
+    deck.push(...added);
+    save();
+
+    return added;
+}
+
+/**
+ * Get the cards due for review, most overdue first
+ * @param {string} userId
+ * @param {number} limit
+ * @param {Date} [now]
+ * @returns {Array<Object>}
+ */
+export function getDueCards(userId, limit, now = new Date()) {
+    return getCards(userId)
+        .filter(card => new Date(card.due) <= now)
+        .sort((a, b) => new Date(a.due) - new Date(b.due))
+        .slice(0, limit);
+}
+
+/**
+ * When the user's next card falls due
+ * @param {string} userId
+ * @returns {Date|null}
+ */
+export function nextDueDate(userId) {
+    const dates = getCards(userId).map(card => new Date(card.due));
+    return dates.length === 0 ? null : new Date(Math.min(...dates));
+}
+
+/**
+ * Record how well the user recalled a card and reschedule it
+ * @param {string} userId
+ * @param {string} cardId
+ * @param {number} quality - SM-2 quality, 0-5
+ * @returns {Object|undefined} - The updated card
+ */
+export function reviewCard(userId, cardId, quality) {
+    const card = getCards(userId).find(card => card.id === cardId);
+    if (!card) return undefined;
+
+    const now = new Date();
+    Object.assign(card, schedule(card, quality, now), { lastReviewedAt: now.toISOString() });
+    save();
+
+    return card;
+}
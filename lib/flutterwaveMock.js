@@ -0,0 +1,67 @@
+// Mock Flutterwave: an axios adapter standing in for the Flutterwave API, so
+// payments can be made offline (PAYMENTS_PROVIDER=mock). Links it creates are
+// never paid by anyone; payMockLink pays one and returns the webhook event
+// Flutterwave would send, for processFlutterwaveEvent.
+import crypto from 'crypto';
+import { PAYMENT_CURRENCY } from './config.js';
+
+const transactions = new Map(); // transaction id -> transaction, as the verify endpoint returns it
+
+/**
+ * An error shaped like the one axios throws for an HTTP error
+ * @param {Object} config - axios request config
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(config, status, message) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = { status, statusText: message, headers: {}, config, data: { status: 'error', message } };
+    return error;
+}
+
+/**
+ * Answer a Flutterwave API request
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} - axios response
+ */
+export async function mockFlutterwaveAdapter(config) {
+    const respond = (data) => ({ status: 200, statusText: 'OK', headers: {}, config, data: { status: 'success', data } });
+    const method = config.method.toUpperCase();
+
+    if (method === 'POST' && config.url === '/payments') {
+        const { tx_ref } = JSON.parse(config.data);
+        return respond({ link: `https://checkout.flutterwave.com/mock/${tx_ref}` });
+    }
+
+    const [, transactionId] = /^\/transactions\/([^/]+)\/verify$/.exec(config.url) || [];
+    if (method === 'GET' && transactionId) {
+        const transaction = transactions.get(transactionId);
+        if (!transaction) throw httpError(config, 404, 'No transaction was found for this id');
+        return respond(transaction);
+    }
+
+    throw httpError(config, 404, `Mock Flutterwave doesn't support ${method} ${config.url}`);
+}
+
+/**
+ * Pay a payment link, as a customer would at checkout
+ * @param {string} txRef - The link's tx_ref
+ * @param {number} amount - In naira
+ * @param {string} [status] - e.g. 'failed' to try a payment that didn't go through
+ * @returns {Object} - The charge.completed webhook body
+ */
+export function payMockLink(txRef, amount, status = 'successful') {
+    const transaction = {
+        id: crypto.randomInt(1e8, 1e9),
+        tx_ref: txRef,
+        amount,
+        currency: PAYMENT_CURRENCY,
+        status,
+        created_at: new Date().toISOString()
+    };
+    transactions.set(String(transaction.id), transaction);
+
+    return { event: 'charge.completed', data: transaction };
+}
@@ -0,0 +1,122 @@
+// Translations: Florence*'s messages in each language it speaks, and the
+// language each user gets. A user's choice with /language comes first, then the
+// language their Telegram app is set to, then English. Messages missing from a
+// language's catalogue (lib/locales) are sent in English.
+import { MESSAGES as en } from './locales/en.js';
+import { MESSAGES as ha } from './locales/ha.js';
+import { MESSAGES as ig } from './locales/ig.js';
+import { MESSAGES as pcm } from './locales/pcm.js';
+import { MESSAGES as yo } from './locales/yo.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Languages Florence* speaks, keyed by language code, in the order /language lists them
+ * @type {Object<string, {name: string, prompt: string, messages: Object}>}
+ *   name is what users see; prompt is the language's name for Claude
+ */
+export const LANGUAGES = {
+    en: { name: 'English', prompt: 'English', messages: en },
+    pcm: { name: 'Pidgin', prompt: 'Nigerian Pidgin English (Naija)', messages: pcm },
+    yo: { name: 'Yorùbá', prompt: 'Yoruba, with tone marks', messages: yo },
+    ig: { name: 'Igbo', prompt: 'Igbo', messages: ig },
+    ha: { name: 'Hausa', prompt: 'Hausa', messages: ha }
+};
+
+/**
+ * Other ways students write a language, mapped to a key of LANGUAGES
+ * @type {Object<string, string>}
+ */
+const LANGUAGE_ALIASES = {
+    english: 'en',
+    pidgin: 'pcm', naija: 'pcm', 'naija pidgin': 'pcm', 'nigerian pidgin': 'pcm',
+    yoruba: 'yo',
+    igbo: 'ig', ibo: 'ig',
+    hausa: 'ha'
+};
+
+/**
+ * Match what a student typed to a language, ignoring case and tone marks
+ * @param {string} text - e.g. 'Yorùbá', 'pidgin' or 'ha'
+ * @returns {string|null} - Key of LANGUAGES, null if it isn't one
+ */
+export function parseLanguage(text) {
+    const name = (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (LANGUAGES[name]) return name;
+    return LANGUAGE_ALIASES[name] || null;
+}
+
+/**
+ * The language to talk to a user in
+ * @param {Object} user
+ * @returns {string} - Key of LANGUAGES
+ */
+export function languageFor(user) {
+    if (LANGUAGES[user?.language]) return user.language;
+
+    // Telegram sends codes like 'en-GB', or 'yo' for an app set to Yoruba
+    const fromApp = (user?.languageCode || '').split('-')[0].toLowerCase();
+    return LANGUAGES[fromApp] ? fromApp : DEFAULT_LANGUAGE;
+}
+
+/**
+ * A message in the user's language
+ * @param {Object} user
+ * @param {string} key - e.g. 'prompt.noTokens'
+ * @param {Object} [vars] - Values for the message's {placeholders}
+ * @returns {string}
+ */
+export function t(user, key, vars = {}) {
+    const message = LANGUAGES[languageFor(user)].messages[key] ?? en[key];
+    if (message === undefined) {
+        console.error(`Error translating: no message ${key}`);
+        return key;
+    }
+
+    // Messages that change with a number, like plurals, are functions
+    if (typeof message === 'function') return message(vars);
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => vars[name] ?? placeholder);
+}
+
+/**
+ * A command's description in the user's language, for /help and the welcome message
+ * @param {Object} user
+ * @param {Object} command - From listCommands
+ * @returns {string}
+ */
+export function commandDescription(user, command) {
+    return LANGUAGES[languageFor(user)].messages[`commands.${command.name}`] ?? command.description;
+}
+
+/**
+ * A command's arguments in the user's language, for /help
+ * @param {Object} user
+ * @param {Object} command - From listCommands
+ * @returns {string} - e.g. '<topic> [count]'
+ */
+export function commandUsage(user, command) {
+    return LANGUAGES[languageFor(user)].messages[`usage.${command.name}`] ?? command.usage;
+}
+
+/**
+ * The list of languages, for /language
+ * @returns {string} - e.g. 'English (en), Hausa (ha)'
+ */
+export function languageList() {
+    return Object.entries(LANGUAGES).map(([code, { name }]) => `${name} (${code})`).join(', ');
+}
+
+/**
+ * Tell Claude which language to answer in
+ * @param {Object} user
+ * @returns {string|null} - null for English, which Claude answers in anyway
+ */
+export function languagePrompt(user) {
+    const language = languageFor(user);
+    if (language === DEFAULT_LANGUAGE) return null;
+
+    const { prompt } = LANGUAGES[language];
+    return `Always reply in ${prompt}, whatever language the question or attachment is in, unless the student ` +
+        `asks for another language. Keep formulas, units, code and quotations as they are, and give the English ` +
+        `term in brackets the first time you use a technical word, since exams are set in English.`;
+}
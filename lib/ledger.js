@@ -0,0 +1,122 @@
+// Token ledger: every change to a balance goes through here
+import { collection, save } from './store.js';
+
+const QUESTION_REASONS = ['text prompt', 'attachment prompt'];
+
+/**
+ * Record a change to a user's balance and apply it
+ * @param {Object} user
+ * @param {number} amount - Positive for credits, negative for debits
+ * @param {Object} details
+ * @param {string} details.reason - e.g. 'prompt', 'payment', 'refund'
+ * @param {string} [details.channel] - Channel the change came from; defaults to the user's
+ * @param {string|number|null} [details.ref] - Message or payment id the change belongs to
+ * @returns {Object|null} - The ledger entry, or null for a zero amount
+ */
+function recordEntry(user, amount, { reason, channel = user.channel, ref = null }) {
+    if (!amount) return null;
+
+    const ledger = collection('ledger');
+    const entries = ledger[user.id] || (ledger[user.id] = []);
+
+    user.tokens += amount;
+    const entry = {
+        id: `${user.id}:${entries.length + 1}`,
+        amount,
+        balance: user.tokens,
+        reason,
+        channel,
+        ref: ref === null ? null : String(ref),
+        at: new Date().toISOString()
+    };
+    entries.push(entry);
+    save();
+
+    return entry;
+}
+
+/**
+ * Add tokens to a user's balance
+ * @param {Object} user
+ * @param {number} amount
+ * @param {Object} details - See recordEntry
+ * @returns {Object|null}
+ */
+export function credit(user, amount, details) {
+    return recordEntry(user, Math.abs(amount), details);
+}
+
+/**
+ * Take tokens from a user's balance
+ * @param {Object} user
+ * @param {number} amount
+ * @param {Object} details - See recordEntry
+ * @returns {Object|null}
+ */
+export function debit(user, amount, details) {
+    return recordEntry(user, -Math.abs(amount), details);
+}
+
+/**
+ * Get a user's most recent ledger entries, newest first
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+export function getHistory(userId, limit = 10) {
+    const entries = collection('ledger')[userId] || [];
+    return entries.slice(-limit).reverse();
+}
+
+/**
+ * Net tokens a user has been charged for one message, after any refunds
+ * @param {string} userId
+ * @param {string|number} ref - The message id used as the ledger reference
+ * @returns {number}
+ */
+export function chargedFor(userId, ref) {
+    return -(collection('ledger')[userId] || [])
+        .filter(entry => entry.ref === String(ref))
+        .reduce((total, entry) => total + entry.amount, 0);
+}
+
+/**
+ * Count the questions a user has been charged for and not refunded
+ * @param {string} userId
+ * @param {Date} [since]
+ * @returns {number}
+ */
+export function questionsAsked(userId, since = new Date(0)) {
+    const entries = (collection('ledger')[userId] || []).filter(entry => new Date(entry.at) >= since);
+
+    // A refunded question failed, so it doesn't count
+    const refunded = new Set(entries.filter(entry => entry.reason === 'refund').map(entry => entry.ref));
+    return entries.filter(entry => QUESTION_REASONS.includes(entry.reason) && !refunded.has(entry.ref)).length;
+}
+
+/**
+ * Check a user's balance against the sum of their ledger entries
+ * @param {Object} user
+ * @returns {{ok: boolean, expected: number, actual: number}}
+ */
+export function auditBalance(user) {
+    const entries = collection('ledger')[user.id] || [];
+    const expected = entries.reduce((total, entry) => total + entry.amount, 0);
+    return { ok: expected === user.tokens, expected, actual: user.tokens };
+}
+
+/**
+ * Audit every user and log any balance that doesn't match the ledger
+ * @returns {Array<{userId: string, expected: number, actual: number}>} - Mismatches
+ */
+export function auditAllBalances() {
+    const mismatches = [];
+    for (const user of Object.values(collection('users'))) {
+        const { ok, expected, actual } = auditBalance(user);
+        if (!ok) {
+            console.warn(`Balance mismatch for ${user.id}: ledger says ${expected}, balance is ${actual}`);
+            mismatches.push({ userId: user.id, expected, actual });
+        }
+    }
+    return mismatches;
+}
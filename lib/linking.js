@@ -0,0 +1,310 @@
+// Account linking: a student who uses Florence* on more than one channel can
+// join their accounts into one, with a code from /link on one channel sent back
+// with /link on the other. The account that joined first keeps its id and takes
+// in the other one, which from then on is an alias of it (see getUserById).
+//
+// Merging never loses or creates tokens: the balances are added together and
+// both ledgers become one, as if the student had always had one account.
+// Unlinking gives the channel a fresh account with no tokens, so tokens can't
+// be copied by linking and unlinking.
+import crypto from 'crypto';
+import { LINK_CODE_MINUTES, MAX_STREAK_FREEZES } from './config.js';
+import { resetConversation } from './conversation.js';
+import { t } from './i18n.js';
+import { scheduleStreakNudge, setDailyGoal } from './reminders.js';
+import { accountBusy, pendingMessages } from './queue.js';
+import { currentStreak, streakDeadline } from './rewards.js';
+import { endSession } from './sessions.js';
+import { collection, save } from './store.js';
+import { createUser, getUserById, saveUser, setHomeChannel, userIdentities, userKey } from './users.js';
+
+const CODE_LENGTH = 8;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to mix up
+const MINUTE = 60 * 1000;
+
+/**
+ * A channel's name, for messages
+ * @param {Object} user - Who the message is for
+ * @param {string} channel
+ * @returns {string} - e.g. 'WhatsApp'
+ */
+export function channelName(user, channel) {
+    return ['whatsapp', 'telegram', 'web'].includes(channel) ? t(user, `channel.${channel}`) : channel;
+}
+
+/**
+ * Create a one-time code for linking another account to this one, replacing
+ * any code the user already had
+ * @param {Object} user
+ * @returns {string}
+ */
+export function createLinkCode(user) {
+    const codes = collection('linkCodes');
+    for (const [code, record] of Object.entries(codes)) {
+        if (record.userId === user.id || new Date(record.expiresAt) < Date.now()) delete codes[code];
+    }
+
+    const code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    codes[code] = {
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + LINK_CODE_MINUTES * MINUTE).toISOString()
+    };
+    save();
+
+    return code;
+}
+
+/**
+ * Check whether two accounts can be linked
+ * @param {Object} user
+ * @param {Object} other
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function canLink(user, other) {
+    if (user.id === other.id) {
+        return { valid: false, reason: t(user, 'link.sameAccount') };
+    }
+
+    const channels = new Set(userIdentities(user).map(identity => identity.channel));
+    const shared = userIdentities(other).find(identity => channels.has(identity.channel));
+    if (shared) {
+        return { valid: false, reason: t(user, 'link.sameChannel', { channel: channelName(user, shared.channel) }) };
+    }
+
+    // Otherwise a student could refer themselves and keep both bonuses
+    if (user.referredBy === other.id || other.referredBy === user.id) {
+        return { valid: false, reason: t(user, 'link.referred') };
+    }
+
+    // A question being answered settles its tokens on its own account, so it must finish first.
+    // The sender's one running message is this /link, as an account's messages run one at a time.
+    const sending = pendingMessages(user.id).filter(message => message.status === 'queued');
+    if (sending.length > 0 || accountBusy(other.id)) {
+        return { valid: false, reason: t(user, 'link.busy') };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Move one user's entries in a collection keyed by user id to another
+ * @param {string} name - Collection name
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {function(Array, Array): Array} combine - (into's entries, from's entries) => merged entries
+ */
+function mergeLists(name, fromId, toId, combine) {
+    const lists = collection(name);
+    if (!lists[fromId]) return;
+
+    lists[toId] = combine(lists[toId] || [], lists[fromId]);
+    delete lists[fromId];
+}
+
+/**
+ * Join two ledgers into one, in time order, with the balances they'd have had
+ * as one account
+ * @param {string} userId - Whose ledger it becomes
+ * @param {Array<Object>} entries
+ * @param {Array<Object>} others
+ * @returns {Array<Object>}
+ */
+function mergeLedgers(userId, entries, others) {
+    let balance = 0;
+    return [...entries, ...others]
+        .sort((a, b) => new Date(a.at) - new Date(b.at))
+        .map((entry, index) => {
+            balance += entry.amount;
+            return { ...entry, id: `${userId}:${index + 1}`, balance };
+        });
+}
+
+/**
+ * Fill in the settings the account being kept hasn't set from the other
+ * @param {Object} into
+ * @param {Object} from
+ */
+function mergeSettings(into, from) {
+    for (const field of ['name', 'username', 'languageCode', 'language', 'timezone', 'quietHours', 'dailyGoal']) {
+        if (!into[field] && from[field]) into[field] = from[field];
+    }
+    for (const field of Object.keys(into.profile)) {
+        into.profile[field] ??= from.profile[field];
+    }
+
+    // If either asked for no reminders, respect that
+    into.notificationsOff = into.notificationsOff || from.notificationsOff;
+
+    if (!into.referredBy && from.referredBy) {
+        into.referredBy = from.referredBy;
+        into.referralStatus = from.referralStatus;
+    }
+
+    // The longer streak carries on, and freezes are pooled up to the usual limit
+    if (currentStreak(from) > currentStreak(into)) {
+        into.streak = from.streak;
+        into.streakDay = from.streakDay;
+    }
+    into.streakFreezes = Math.min(into.streakFreezes + from.streakFreezes, MAX_STREAK_FREEZES);
+
+    // The later of these, so activity rewards aren't paid twice and WhatsApp's window stays accurate
+    for (const field of ['lastTokenReward', 'lastActivity', 'lastMessageAt']) {
+        if (new Date(from[field]) > new Date(into[field])) into[field] = from[field];
+    }
+}
+
+/**
+ * Merge one account into another: tokens, history, streak, settings,
+ * conversations, flashcards, quiz results and reminders
+ * @param {Object} into - The account that is kept
+ * @param {Object} from - The account that becomes an alias of it
+ */
+function mergeAccounts(into, from) {
+    const now = new Date().toISOString();
+
+    mergeSettings(into, from);
+    into.tokens += from.tokens;
+    mergeLists('ledger', from.id, into.id, (entries, others) => mergeLedgers(into.id, entries, others));
+
+    // The other account's conversation is ended, so it can be looked back on
+    resetConversation(from.id);
+    mergeLists('pastConversations', from.id, into.id, (past, others) =>
+        [...past, ...others].sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt)));
+    mergeLists('flashcards', from.id, into.id, (cards, others) => [...cards, ...others]);
+    mergeLists('quizResults', from.id, into.id, (results, others) =>
+        [...results, ...others].sort((a, b) => new Date(a.at) - new Date(b.at)));
+    endSession(from.id);
+
+    // Reminders move across; the goal check-in and streak nudge are one per user, so they're made again
+    const jobs = collection('jobs');
+    for (const job of Object.values(jobs)) {
+        if (job.userId !== from.id) continue;
+        if (job.kind === 'reminder') {
+            job.userId = into.id;
+        } else {
+            delete jobs[job.id];
+        }
+    }
+    setDailyGoal(into, into.dailyGoal);
+    scheduleStreakNudge(into, streakDeadline(into));
+
+    // Everything else that points at the old account
+    for (const record of [
+        ...Object.values(collection('webTokens')),
+        ...Object.values(collection('paymentLinks')),
+        ...Object.values(collection('transactions')),
+        ...Object.values(collection('inbox'))
+    ]) {
+        if (record.userId === from.id) record.userId = into.id;
+    }
+    for (const user of Object.values(collection('users'))) {
+        if (user.referredBy === from.id) user.referredBy = into.id;
+    }
+
+    // The other account, and anything already linked to it, now leads here
+    const links = collection('userLinks');
+    const [joined] = userIdentities(from);
+    for (const identity of [{ ...joined, createdAt: from.createdAt, linkedAt: now }, ...from.linked]) {
+        links[userKey(identity.channel, identity.channelId)] = into.id;
+        into.linked.push(identity);
+    }
+    for (const [id, target] of Object.entries(links)) {
+        if (target === from.id) links[id] = into.id;
+    }
+
+    delete collection('users')[from.id];
+    saveUser(into);
+}
+
+/**
+ * Link the account a code was made for with this one
+ * @param {Object} user - The account sending the code
+ * @param {string} code - From createLinkCode, on the other channel
+ * @param {string} channel - Where the code was sent from; messages the user didn't ask for go there now
+ * @returns {{valid: boolean, reason?: string, user?: Object, other?: {channel: string, channelId: string}}}
+ *   user is the linked account; other is where the code was made, to tell them there too
+ */
+export function confirmLinkCode(user, code, channel) {
+    const codes = collection('linkCodes');
+    const record = codes[code.toUpperCase()];
+    if (!record || new Date(record.expiresAt) < Date.now()) {
+        return { valid: false, reason: t(user, 'link.badCode') };
+    }
+
+    const other = getUserById(record.userId);
+    if (!other) {
+        delete codes[code.toUpperCase()];
+        save();
+        return { valid: false, reason: t(user, 'link.noAccount') };
+    }
+
+    const allowed = canLink(user, other);
+    if (!allowed.valid) return allowed;
+
+    delete codes[code.toUpperCase()];
+    const otherIdentity = { channel: other.channel, channelId: other.channelId };
+
+    // The account that joined first keeps its id, so its referral code and links keep working
+    const [into, from] = new Date(other.createdAt) <= new Date(user.createdAt) ? [other, user] : [user, other];
+    mergeAccounts(into, from);
+    setHomeChannel(into, channel);
+    save();
+
+    return { valid: true, user: into, other: otherIdentity };
+}
+
+/**
+ * Split a linked channel off into an account of its own. Tokens, streak,
+ * history and settings stay with this account; the channel starts afresh,
+ * with no tokens, and keeps the date it first joined so it can't claim a
+ * referral code again.
+ * @param {Object} user
+ * @param {string} channel - A channel linked with /link, not the one the account was made on
+ * @returns {{valid: boolean, reason?: string, unlinked?: Object}} - unlinked is the new account
+ */
+export function unlinkChannel(user, channel) {
+    const index = user.linked.findIndex(identity => identity.channel === channel);
+    if (index === -1) {
+        const [joined] = userIdentities(user);
+        return {
+            valid: false,
+            reason: joined.channel === channel
+                ? t(user, 'unlink.homeChannel', { channel: channelName(user, channel) })
+                : t(user, 'unlink.notLinked', { channel: channelName(user, channel) })
+        };
+    }
+
+    const [identity] = user.linked.splice(index, 1);
+    const id = userKey(identity.channel, identity.channelId);
+    delete collection('userLinks')[id];
+
+    if (user.channel === identity.channel) {
+        setHomeChannel(user, userIdentities(user)[0].channel);
+    }
+
+    const unlinked = createUser(identity.channel, identity.channelId, { name: user.name, tokens: 0 });
+    unlinked.createdAt = identity.createdAt;
+    saveUser(unlinked);
+    saveUser(user);
+
+    // Web access tokens are only ever given to web students, so they go with the web account
+    if (identity.channel === 'web') {
+        for (const record of Object.values(collection('webTokens'))) {
+            if (record.userId === user.id) record.userId = unlinked.id;
+        }
+        save();
+    }
+
+    return { valid: true, unlinked };
+}
+
+/**
+ * The channels a user's account covers, the one it started on first
+ * @param {Object} user
+ * @returns {string} - e.g. 'WhatsApp and Telegram'
+ */
+export function linkedChannels(user) {
+    const names = userIdentities(user).map(identity => channelName(user, identity.channel));
+    return t(user, 'channel.list', { names });
+}
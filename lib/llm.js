@@ -0,0 +1,114 @@
+// Language model: one interface over every provider, with timeouts, retries
+// when the provider is busy, and error messages fit to show users.
+//
+// A provider is { name, complete(request, signal) } where request is
+//   model, system, messages, maxTokens
+//   onText(textSoFar)  optional, called as the answer streams in
+// and complete resolves to { text, usage: { inputTokens, outputTokens } }.
+// It should stop when signal aborts. Errors from the API carry its HTTP
+// `status`, and `retryAfter` in seconds when the API asks for a wait.
+import { LLM_MAX_RETRIES, LLM_MODEL, LLM_PROVIDER, LLM_RETRY_DELAY, LLM_TIMEOUT } from './config.js';
+import { t } from './i18n.js';
+import { createAnthropicProvider } from './providers/anthropic.js';
+import { createMockProvider } from './providers/mock.js';
+
+const providers = {
+    anthropic: createAnthropicProvider,
+    mock: createMockProvider
+};
+
+const RETRY_STATUSES = [429, 529]; // rate limited, overloaded
+const MAX_RETRY_DELAY = 30 * 1000;
+
+if (!providers[LLM_PROVIDER]) {
+    throw new Error(`Unknown LLM_PROVIDER ${LLM_PROVIDER}. Use one of: ${Object.keys(providers).join(', ')}`);
+}
+const provider = providers[LLM_PROVIDER]();
+
+/**
+ * Run one attempt, giving up if nothing arrives for LLM_TIMEOUT
+ * @param {Object} request
+ * @returns {Promise<{text: string, usage: Object}>}
+ */
+async function attempt(request) {
+    const controller = new AbortController();
+    let timer;
+    let fail;
+
+    const timeout = new Promise((resolve, reject) => {
+        fail = reject;
+    });
+    const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const error = new Error(`${provider.name} did not answer within ${LLM_TIMEOUT} ms`);
+            error.code = 'ETIMEDOUT';
+            controller.abort();
+            fail(error);
+        }, LLM_TIMEOUT);
+    };
+
+    // A streamed answer can take a while in total, so only time out when it stalls
+    const onText = request.onText && ((text) => {
+        restartTimer();
+        request.onText(text);
+    });
+
+    restartTimer();
+    try {
+        return await Promise.race([provider.complete({ ...request, onText }, controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Ask the configured model for a reply, retrying with backoff while the
+ * provider is rate limited or overloaded
+ * @param {Object} request
+ * @param {Array<{role: string, content: string|Array}>} request.messages
+ * @param {string} [request.system] - System prompt
+ * @param {number} [request.maxTokens] - Longest answer the model may write
+ * @param {string} [request.model] - Defaults to LLM_MODEL
+ * @param {function(string)} [request.onText] - Stream the answer: called with the text so far as it arrives
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+export async function complete({ messages, system, maxTokens = 1024, model = LLM_MODEL, onText }) {
+    let streamed = false;
+    const onTextOnce = onText && ((text) => {
+        streamed = true;
+        onText(text);
+    });
+
+    for (let retry = 0; ; retry++) {
+        try {
+            return await attempt({ model, system, messages, maxTokens, onText: onTextOnce });
+        } catch (error) {
+            // Retrying after part of the answer has been shown would show it twice
+            if (streamed || !RETRY_STATUSES.includes(error.status) || retry >= LLM_MAX_RETRIES) throw error;
+
+            const delay = Math.min(error.retryAfter * 1000 || LLM_RETRY_DELAY * 2 ** retry, MAX_RETRY_DELAY);
+            console.warn(`${provider.name} returned ${error.status}, retry ${retry + 1}/${LLM_MAX_RETRIES} in ${delay} ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * A message for the user explaining why their request failed
+ * @param {Error} error - From complete
+ * @param {Object} user - Who to explain it to, for their language
+ * @returns {string}
+ */
+export function errorMessage(error, user) {
+    if (RETRY_STATUSES.includes(error.status)) {
+        return t(user, 'error.busy');
+    }
+    if (error.code === 'ETIMEDOUT') {
+        return t(user, 'error.timeout');
+    }
+    if (error.status === 400 || error.status === 413) {
+        return t(user, 'error.unreadable');
+    }
+    return t(user, 'error.general');
+}
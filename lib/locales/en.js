@@ -0,0 +1,289 @@
+// English: every message, and the one other languages fall back to. Keys are
+// grouped by where they're sent from. {placeholders} are filled in by t();
+// messages that change with a number are functions of the same values.
+//
+// Command descriptions ('commands.<name>') and arguments ('usage.<name>') come
+// from registerCommand in English, so only other languages list them.
+
+const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+export const MESSAGES = {
+    // Welcome and prompts (pipeline.js)
+    'welcome': ({ bold, tokens, commands }) =>
+        `Hello there! Welcome to Florence*, your educational assistant at your fingertips.\n\n` +
+        `Interacting with Florence* costs you ${bold('tokens*')}. Every now and then you'll get these, ` +
+        `but you can also purchase more of them at any time.\n\n` +
+        `You currently have ${tokens} tokens*. Feel free to send your text, images, or documents like ` +
+        `PDFs and lecture notes and get answers immediately. Each answer costs tokens* for how much Florence* ` +
+        `reads and writes: a short question is usually one token*, while long documents and answers cost more.\n\n` +
+        `Here are a few helpful commands for a smooth experience:\n\n` +
+        `${commands}\n\n` +
+        `${bold('Please note:')} Every message except commands will be considered a prompt.`,
+    'prompt.unreadable': 'Florence* can only read text, images and documents (PDF, Word or text files) for now.',
+    'prompt.noTokens': "You've run out of tokens. Please purchase more using /payments",
+    'prompt.tooManyFiles': "Sorry, we can't handle that many images/documents right now. Please send {max} or fewer at a time.",
+    'prompt.unsupported': "Sorry, Florence* can't read {files} yet. Please send JPEG, PNG, GIF or WebP images, or PDF, Word or text documents.",
+    'prompt.tooBig': 'Please send files smaller than {mb} MB.',
+    'document.unnamed': 'The document',
+    'document.empty': '{name} looks empty. Please check the file and send it again.',
+    'document.tooLong': '{name} has {pages} pages. Please send documents of {max} pages or fewer.',
+    'document.unreadable': "{name} couldn't be read. It may be damaged or password-protected.",
+    'prompt.notCharged': 'You have not been charged.',
+    'prompt.processing': 'Processing your request...',
+    'prompt.cost': ({ charge, tokens }) => `(${plural(charge, 'token', 'tokens')} used, ${tokens} left)`,
+    'command.unknown': "Florence* doesn't know /{name}. Send /help to see all commands.",
+
+    // Prices (pricing.js)
+    'quote.tooLong': "That's too long for one question: it would cost about {needed} tokens, and the most one " +
+        'question can cost on the {plan} plan is {max}. Please send less at once.',
+    'quote.notEnough': 'That needs about {needed} tokens but you have {tokens}. Send less at once or top up using /payments',
+    'plan.free': 'free',
+    'plan.paid': 'paid',
+
+    // Claude errors (llm.js)
+    'error.busy': 'Florence* is very busy right now. Please try again in a few minutes.',
+    'error.timeout': 'Florence* took too long to answer. Please try again, or ask a shorter question.',
+    'error.unreadable': "Florence* couldn't read that. If you sent a file, check that it opens, or try sending less at once.",
+    'error.general': 'Sorry, there was an error processing your request. Please try again.',
+
+    // Rewards and referrals (pipeline.js, rewards.js)
+    'reward.activity': "You've earned {tokens} tokens for staying active! 🎉",
+    'referral.joined': "You joined with {name}'s referral code! Ask {questions} questions and you'll both get bonus tokens.",
+    'referral.aFriend': 'a friend',
+    'referral.welcomeBonus': "🎁 Thanks for learning with Florence*! You've earned {bonus} tokens for joining with a friend's code.",
+    'referral.referrerBonus': "🎁 {name} joined Florence* with your code. You've earned {bonus} tokens! Send /refer to invite more friends.",
+    'referral.someone': 'A friend',
+    'streak.freezesUsed': ({ count, streak }) =>
+        `🧊 ${count === 1 ? 'A streak freeze' : `${count} streak freezes`} kept your streak alive ` +
+        `while you were away. Your streak is now ${streak} days!`,
+    'streak.broken': 'Your last streak has ended, but today is day 1 of a new one. Study again tomorrow to keep it going!',
+    'streak.reward': "🔥 Congratulations! You've maintained a {streak}-day streak! You've earned {reward} bonus tokens! 🎉",
+    'streak.freezeEarned': "🧊 You've earned a streak freeze for {streak} days in a row! It'll cover a day you miss. You have {freezes}.",
+    'freeze.max': 'You already have {freezes} streak freezes, the most you can hold.',
+    'freeze.cantAfford': 'A streak freeze costs {cost} tokens but you have {tokens}. Top up using /payments',
+
+    // Account commands (commands/account.js, payments.js)
+    'start.hello': 'Hello {name}, welcome to Florence*! What do you need help with today?\n\nYou have {tokens} tokens.',
+    'start.remindersOn': 'Reminders and nudges are back on. Send /stop to turn them off again.',
+    'about': 'Florence* is the educational assistant at your fingertips. More info here: <link>.',
+    'tokens.balance': ({ name, tokens, plan, planName, max, days }) =>
+        `Hey ${name}, you have ${tokens} tokens. To top up, send /payments.\n\n` +
+        `Each answer is charged for how much Florence* reads and writes. You're on the ${planName} plan, ` +
+        `so one question costs at most ${max} tokens` +
+        (plan === 'free' ? `. Top up to get longer answers for ${days} days.` : ` and answers can be longer.`),
+    'tokens.low': 'You are running low on tokens. Top up by sending /payments.',
+    'streak.status': ({ name, streak, freezes }) =>
+        `Hey ${name}, you are on a ${streak}-day streak. Send one prompt a day to keep it going!\n\n` +
+        `You have ${plural(freezes, 'streak freeze', 'streak freezes')}. Each one covers a day you miss; send /freeze to find out more.`,
+    'freeze.about': "A streak freeze keeps your streak going through a day you don't study. " +
+        'You earn one for every {every} days in a row, or can buy one for {cost} tokens ' +
+        'with /freeze buy. You can hold up to {max}, and you have {freezes}.',
+    'freeze.bought': '🧊 Streak freeze bought! You now have {freezes}, and {tokens} tokens.',
+    'history.empty': 'You have no token history yet.',
+    'history.line': '{date}: {amount} ({reason}), balance {balance}',
+    'history.list': 'Your recent token history:\n\n{lines}\n\nYou have {tokens} tokens.',
+    'payments.invalid': 'Please enter an amount of at least {price} naira, e.g. /payments {example}',
+    'payments.link': 'Tokens cost {price} naira each. Pay {amount} naira for {tokens} tokens here:\n\n' +
+        '{link}\n\n' +
+        'Your tokens are added automatically once the payment is confirmed. ' +
+        'To buy a different amount, send /payments followed by the amount in naira.',
+    'payments.failed': "Sorry, we couldn't create a payment link right now. Please try again in a few minutes.",
+    'payments.received': 'Payment of {amount} naira received! {tokens} tokens have been added to your account. ' +
+        'You now have {balance} tokens.',
+
+    // Other commands (commands/conversation.js, help.js, language.js)
+    'new.done': 'Starting a fresh session. Florence* has forgotten the previous conversation.',
+    'help': "Here's everything Florence* can do:\n\n{commands}",
+    'language.current': 'Florence* is talking to you in {language}. To change it, send /language followed by one of: {languages}.',
+    'language.set': 'Florence* will talk to you in {language} from now on, and answer your questions in it too.',
+    'language.unknown': "Florence* doesn't speak {language} yet. Choose one of: {languages}.",
+
+    // Reminders and nudges (reminders.js)
+    'reminder': '⏰ Reminder: {text}',
+    'reminder.stop': '(Send /stop to turn off reminders.)',
+    'goal.hit': "🎯 You hit today's goal: {asked} of {goal} questions. Well done!",
+    'goal.progress': "📚 You've asked {asked} of your {goal} questions today. There's still time to reach your goal!",
+    'streak.nudge': ({ streak, hours }) =>
+        `⏳ Your ${streak}-day streak ends in ${plural(hours, 'hour', 'hours')}! ` +
+        `Send Florence* a question or do a /review to keep it going.`,
+
+    // Answer modes (commands/mode.js, tutoring.js)
+    'mode.answer': 'Florence* explains and gives full solutions.',
+    'mode.hint': 'Florence* guides you step by step and asks for your attempt; send /reveal for the full solution.',
+    'mode.current': "You're in {mode} mode. {description}\n\nSend /mode hint or /mode answer to change it.",
+    'mode.currentGroup': "You're in {mode} mode, set for this group by its admins. {description}\n\nSend /mode hint or /mode answer to change it.",
+    'mode.usage': 'Send /mode hint for step-by-step hints, or /mode answer for full answers.',
+    'mode.adminsOnly': "Only this group's admins can change its mode.",
+    'mode.groupSet': 'This group is now in {mode} mode for everyone. {description}',
+    'mode.set': "You're now in {mode} mode. {description}",
+    'reveal.answerMode': "You're in answer mode, so Florence* already gives full solutions. /reveal is for hint mode.",
+    'reveal.nothing': "There's nothing to reveal yet. Send Florence* a question first.",
+    'reveal.cantAfford': 'Revealing the solution costs {cost} tokens but you have {tokens}. Top up using /payments',
+    'reveal.working': 'Working out the full solution...',
+
+    // Tutoring profile (commands/profile.js, tutoring.js)
+    'profile.show': 'Your tutoring profile:\n\n{profile}\n\nFlorence* pitches answers to match. Change it with /subject, /level and /exam.',
+    'profile.describe': 'Subject: {subject}\nLevel: {level}\nExam: {exam}',
+    'profile.anySubject': 'any',
+    'profile.notSet': 'not set',
+    'subject.current': 'Your subject is {subject}.',
+    'subject.none': "You haven't set a subject.",
+    'subject.usage': 'Send /subject followed by a subject, e.g. /subject Chemistry, or /subject clear.',
+    'subject.cleared': 'Subject cleared. Florence* will help with anything you ask.',
+    'subject.set': 'Your subject is now {subject}. You can still ask about anything else.',
+    'subject.missing': 'Please name a subject, e.g. /subject Chemistry',
+    'subject.tooLong': 'Please keep the subject under {max} characters.',
+    'level.current': 'Your level is {level}.',
+    'level.none': "You haven't set a level.",
+    'level.usage': 'Send /level followed by primary, JSS1-3, SSS1-3, 100-level to 500-level or postgraduate, or /level clear.',
+    'level.cleared': 'Level cleared.',
+    'level.unknown': "Florence* doesn't know that level. Please choose primary, JSS1-3, SSS1-3, 100-level to 500-level or postgraduate.",
+    'level.set': 'Your level is now {level}. Florence* will pitch answers to match.',
+    'exam.current': "You're preparing for {exam}.",
+    'exam.none': "You haven't set an exam.",
+    'exam.usage': 'Send /exam followed by one of {exams}, or /exam clear.',
+    'exam.cleared': 'Exam cleared.',
+    'exam.unknown': "Florence* doesn't know that exam. Please choose one of {exams}.",
+    'exam.set': "You're now preparing for {exam}. Florence* will follow its syllabus and answer style.",
+
+    // Quizzes (commands/quiz.js)
+    'quiz.usage': 'Send /quiz followed by a topic and, optionally, how many questions you want ' +
+        '(up to {max}), e.g. /quiz photosynthesis 10\n\n{scores}',
+    'quiz.noResults': "You haven't finished a quiz yet.",
+    'quiz.results': 'Your recent scores:\n{results}',
+    'quiz.notRunning': "You don't have a quiz in progress.",
+    'quiz.stopped': 'Quiz stopped. Send /quiz to start another one.',
+    'quiz.cantAfford': 'A quiz costs {cost} tokens but you have {tokens}. Top up using /payments',
+    'quiz.preparing': ({ count, topic }) => `Preparing ${plural(count, 'question', 'questions')} on ${topic}...`,
+    'quiz.failed': "Sorry, Florence* couldn't write that quiz. You have not been charged. Please try again.",
+    'quiz.question': 'Question {number}/{total}\n\n{question}\n\nReply with A, B, C or D.',
+    'quiz.answerPlease': 'Please reply with just A, B, C or D, or send /quiz stop to end the quiz.',
+    'quiz.notAnAnswer': ({ refund }) => "That doesn't look like an answer, so the quiz has ended. " +
+        `You've got ${plural(refund, 'token', 'tokens')} back for the questions you didn't answer. Send /quiz to start another one.`,
+    'quiz.correct': '✅ Correct!',
+    'quiz.wrong': '❌ Not quite. The answer is {answer}.',
+    'quiz.complete': 'Quiz complete! You scored {correct}/{total} on {topic}. Send /quiz to see your recent scores or start another one.',
+
+    // Flashcards (commands/review.js)
+    'save.nothing': "There's nothing to save yet. Ask Florence* something, then send /save.",
+    'save.cantAfford': 'Saving flashcards costs {cost} tokens but you have {tokens}. Top up using /payments',
+    'save.failed': "Sorry, Florence* couldn't make flashcards from that answer. You have not been charged.",
+    'save.done': 'Saved {count} flashcards:\n\n{cards}\n\n' +
+        'Send /review to practise them. Florence* will space out the reviews as you get them right.',
+    'review.noCards': "You don't have any flashcards yet. Ask Florence* something, then send /save to make some.",
+    'review.nextDue': 'You have {count} flashcards. The next one is due {date}.',
+    'review.notRunning': "You don't have a review in progress.",
+    'review.stopped': 'Review stopped. The cards you graded have been rescheduled.',
+    'review.nothingDue': 'Nothing is due for review right now. {next}',
+    'review.start': ({ count }) => `${plural(count, 'card', 'cards')} to review. Try to answer each one before you see the answer.`,
+    'review.card': 'Card {number}/{total}\n\n{front}',
+    'review.answer': 'Answer: {back}\n\nHow well did you remember it? Reply {grades}.',
+    'review.grade.1': 'Again',
+    'review.grade.2': 'Hard',
+    'review.grade.3': 'Good',
+    'review.grade.4': 'Easy',
+    'review.notAGrade': "That isn't a grade, so the review has ended. The cards you graded have been rescheduled.",
+    'review.complete': ({ count, next }) => `Review complete! You went through ${plural(count, 'card', 'cards')}. ${next}`,
+
+    // Reminder commands (commands/reminders.js)
+    'remind.none': 'You have no reminders.',
+    'remind.list': 'Your reminders:\n{reminders}\n\nTo delete one, send /remind cancel followed by its number.',
+    'remind.usage': 'To add one, send /remind followed by a time and what to study, e.g. /remind 19:00 revise chemistry',
+    'remind.cancelUsage': 'Send /remind cancel followed by the number of the reminder, from the list you get with /remind.',
+    'remind.deleted': 'Deleted your {time} reminder.',
+    'remind.invalid': 'Please send a time and what to study, e.g. /remind 19:00 revise chemistry or /remind 7pm practise maths.',
+    'remind.max': 'You can have up to {max} reminders. Delete one first with /remind cancel.',
+    'remind.set': 'Done! Florence* will remind you "{text}" at {time} every day.',
+    'remind.quiet': "That's during your quiet hours, so you won't get it until you change them with /quiet.",
+    'remind.off': 'Reminders are turned off; send /start to turn them back on.',
+    'goal.current': "Your daily goal is {goal} questions, and you've asked {asked} today. " +
+        'Send /goal followed by a number to change it, or /goal off to stop.',
+    'goal.none': 'You have no daily goal. Send /goal followed by how many questions you want to ask each day, e.g. /goal 5',
+    'goal.off': 'Daily goal turned off.',
+    'goal.invalid': 'Please send a number of questions from 1 to {max}, e.g. /goal 5',
+    'goal.set': ({ goal, time }) =>
+        `Your daily goal is now ${plural(goal, 'question', 'questions')}. Florence* will check in on your progress at ${time} each day.`,
+    'quiet.current': 'Your quiet hours are {start}-{end}.',
+    'quiet.none': 'You have no quiet hours.',
+    'quiet.usage': 'Send /quiet followed by a start and end time, e.g. /quiet 22:00-07:00, or /quiet off.',
+    'quiet.off': 'Quiet hours turned off.',
+    'quiet.invalid': 'Please send a start and end time, e.g. /quiet 22:00-07:00',
+    'quiet.set': "Florence* won't send you reminders between {start} and {end}. " +
+        'Reminders set for those hours are skipped, and streak warnings wait until your quiet hours end.',
+    'timezone.current': "Your timezone is {timezone}, where it's now {time}. " +
+        'To change it, send /timezone followed by a timezone name, e.g. /timezone Africa/Lagos or /timezone Europe/London',
+    'timezone.unknown': "Florence* doesn't know the timezone {timezone}. Try a name like Africa/Lagos, Africa/Accra or Europe/London.",
+    'timezone.set': "Your timezone is now {timezone}, where it's {time}. Your reminders and streak days follow this clock from now on.",
+    'stop.done': "Florence* won't send you reminders or nudges any more. You can still ask questions as usual. Send /start to turn them back on.",
+
+    // Referral command (commands/refer.js, referrals.js)
+    'refer.joined': "Done! You joined with {name}'s code. Ask {questions} questions and you'll get {bonus} bonus tokens.",
+    'refer.code': ({ code, links, questions, bonus, welcomeBonus, joined, rewarded }) =>
+        `Your referral code is ${code}\n\n` +
+        `Share one of these links with your friends:\n${links}\n\n` +
+        `When a friend joins with your code and asks ${questions} questions, ` +
+        `you get ${bonus} tokens and they get ${welcomeBonus}. ` +
+        `So far ${joined} friend${joined === 1 ? ' has' : 's have'} joined and ${rewarded} earned you a bonus.`,
+    'referral.alreadyJoined': "You've already joined with a referral code.",
+    'referral.noCode': "There's no referral code {code}. Check it and try again.",
+    'referral.ownCode': "You can't use your own referral code. Share it with friends instead!",
+    'referral.tooLate': 'Referral codes can only be used in your first {days} days on Florence*.',
+    'referral.joinedAfter': 'You can only use the code of someone who joined Florence* before you.',
+
+    // Account linking (commands/link.js, linking.js)
+    'channel.whatsapp': 'WhatsApp',
+    'channel.telegram': 'Telegram',
+    'channel.web': 'the web',
+    'channel.list': ({ names }) => names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0],
+    'link.linkedOn': 'Your account is linked on {channels}.',
+    'link.code': 'Your link code is {boldCode}\n\n' +
+        'Within {minutes} minutes, send /link {code} to Florence* on your other channel. ' +
+        'Your tokens, streak, history and settings will be combined into one account. ' +
+        "Don't share this code: whoever sends it gets to use your tokens.",
+    'link.summary': 'Your accounts are now linked on {channels}, with {tokens} tokens and a {streak}-day streak. ' +
+        'Send /unlink to separate them again.',
+    'link.done': '🔗 Linked! {summary}',
+    'link.doneOther': '🔗 Your {channel} account was linked to this one. {summary}',
+    'link.sameAccount': 'That code is for this account. Send it from Florence* on your other channel.',
+    'link.sameChannel': 'Both accounts are on {channel}. You can only link accounts on different channels.',
+    'link.referred': "One of these accounts joined with the other's referral code, so they can't be linked.",
+    'link.busy': 'Florence* is still answering a message on one of these accounts. Send the code again in a minute.',
+    'link.badCode': 'That code is wrong or has expired. Send /link on your other channel for a new one.',
+    'link.noAccount': "That code's account no longer exists.",
+    'unlink.none': "Your account isn't linked to any other channel. Send /link to link one.",
+    'unlink.usage': 'To separate a channel, send /unlink followed by its name, e.g. /unlink {example}. ' +
+        'Your tokens, streak and history stay with this account, and that channel starts again with no tokens.',
+    'unlink.homeChannel': "This account started on {channel}, so that channel can't be unlinked. Unlink the others instead.",
+    'unlink.notLinked': "{channel} isn't linked to this account.",
+    'unlink.thisChat': 'This chat is unlinked and now has its own account, with no tokens.',
+    'unlink.done': '{channel} is unlinked and now has its own account, with no tokens.',
+    'unlink.kept': 'Your {tokens} tokens, streak and history stay on {channels}.',
+    'unlink.notice': 'This chat was unlinked from your other Florence* account and now has its own, with no tokens. Send /payments to top up.',
+
+    // Admin commands (commands/admin.js, admin.js)
+    'admin.usage': 'Admin commands:\n' +
+        '/admin users [search] - find users by id, name or username\n' +
+        "/admin user <id> - a user's balance and recent history\n" +
+        '/admin adjust <id> <amount> <reason> - grant tokens, or remove them with a negative amount\n' +
+        '/admin payments - recently credited payments\n' +
+        '/admin broadcast <message> - send an announcement to every user',
+    'admin.noUsers': 'No users found.',
+    'admin.noName': 'no name',
+    'admin.userLine': '{id} - {name}, {tokens} tokens',
+    'admin.users': ({ total, shown, lines }) =>
+        `${plural(total, 'user', 'users')}${total > shown ? `, showing the newest ${shown}` : ''}:\n\n${lines}`,
+    'admin.noUser': 'No user {id}. Find ids with /admin users',
+    'admin.user': '{id} - {name}\n{tokens} tokens, {streak}-day streak, joined {joined}\n\nRecent history:\n{history}',
+    'admin.noHistory': 'none',
+    'admin.adjustUsage': 'No user {id}. Send /admin adjust <id> <amount> <reason>',
+    'admin.adjusted': 'Done. {id} now has {tokens} tokens.',
+    'admin.badAmount': 'Amount must be a whole number of tokens other than 0.',
+    'admin.noReason': 'A reason is required.',
+    'admin.notEnough': '{id} only has {tokens} tokens.',
+    'admin.noPayments': 'No payments yet.',
+    'admin.paymentLine': '{date}: {amount} {currency} from {id}, {tokens} tokens',
+    'admin.payments': 'Recent payments:\n\n{lines}',
+    'admin.broadcastUsage': 'Send /admin broadcast followed by the announcement.',
+    'admin.broadcasting': "Sending your announcement to every user. Florence* will tell you when it's done.",
+    'admin.broadcastDone': "Announcement sent to {sent} users. {skipped} skipped (opted out or outside WhatsApp's 24-hour window), {failed} failed."
+};
@@ -0,0 +1,320 @@
+// Hausa. Keys and placeholders are the same as en.js; anything missing here is
+// sent in English.
+import { GOAL_CHECKIN_TIME, QUIZ_COST, REFERRAL_BONUS, REVEAL_COST, SAVE_COST, STREAK_FREEZE_COST } from '../config.js';
+
+export const MESSAGES = {
+    // Welcome and prompts
+    'welcome': ({ bold, tokens, commands }) =>
+        `Sannu! Barka da zuwa Florence*, mataimakiyar karatu da ke hannunka.\n\n` +
+        `Amfani da Florence* yana cin ${bold('tokens*')}. Za ka riƙa samun su lokaci zuwa lokaci, ` +
+        `amma kana iya sayen ƙarin su a kowane lokaci.\n\n` +
+        `Kana da tokens* ${tokens} yanzu. Aiko da rubutu, hotuna, ko takardu kamar PDF da bayanan lacca, ` +
+        `za ka sami amsa nan take. Kowace amsa tana cin tokens* gwargwadon abin da Florence* ta karanta ta rubuta: ` +
+        `gajeriyar tambaya yawanci token* ɗaya ce, amma dogayen takardu da dogayen amsoshi suna cin fiye da haka.\n\n` +
+        `Ga wasu umarnin da za su taimake ka:\n\n` +
+        `${commands}\n\n` +
+        `${bold('Lura:')} Duk saƙon da ba umarni ba za a ɗauke shi a matsayin tambaya.`,
+    'prompt.unreadable': 'A yanzu Florence* tana iya karanta rubutu, hotuna da takardu (PDF, Word ko fayil ɗin rubutu) kawai.',
+    'prompt.noTokens': 'Tokens ɗinka sun ƙare. Da fatan za ka sayi ƙari ta /payments',
+    'prompt.tooManyFiles': 'Yi haƙuri, ba za mu iya karɓar hotuna/takardu masu yawa haka yanzu ba. Da fatan za ka aiko da {max} ko ƙasa da haka a lokaci ɗaya.',
+    'prompt.unsupported': 'Yi haƙuri, Florence* ba ta iya karanta {files} ba tukuna. Da fatan za ka aiko da hotunan JPEG, PNG, GIF ko WebP, ko takardun PDF, Word ko fayil ɗin rubutu.',
+    'prompt.tooBig': 'Da fatan za ka aiko da fayilolin da ba su kai {mb} MB ba.',
+    'document.unnamed': 'Takardar',
+    'document.empty': 'Da alama {name} babu komai a ciki. Da fatan za ka duba fayil ɗin ka sake aiko da shi.',
+    'document.tooLong': '{name} yana da shafuka {pages}. Da fatan za ka aiko da takardun da ba su wuce shafuka {max} ba.',
+    'document.unreadable': 'Ba a iya karanta {name} ba. Yana iya lalace ko yana da kalmar sirri.',
+    'prompt.notCharged': 'Ba a caje ka ba.',
+    'prompt.processing': 'Florence* tana aiki a kai...',
+    'prompt.cost': '(an yi amfani da token {charge}, saura {tokens})',
+    'command.unknown': 'Florence* ba ta san /{name} ba. Aiko da /help don ganin duk umarnin.',
+
+    // Prices
+    'quote.tooLong': 'Wannan ya yi tsayi da yawa don tambaya ɗaya: zai ci kusan tokens {needed}, amma mafi yawan abin da tambaya ɗaya ' +
+        'za ta iya ci a tsarin {plan} shi ne {max}. Da fatan za ka aiko da ƙasa a lokaci ɗaya.',
+    'quote.notEnough': 'Wannan yana buƙatar kusan tokens {needed} amma kana da {tokens}. Aiko da ƙasa a lokaci ɗaya ko ka sayi ƙari ta /payments',
+    'plan.free': 'kyauta',
+    'plan.paid': 'na biya',
+
+    // Claude errors
+    'error.busy': 'Florence* tana da aiki sosai yanzu. Da fatan za ka sake gwadawa bayan ƴan mintuna.',
+    'error.timeout': 'Florence* ta daɗe kafin ta amsa. Da fatan za ka sake gwadawa, ko ka yi gajeriyar tambaya.',
+    'error.unreadable': 'Florence* ba ta iya karanta wannan ba. Idan fayil ka aiko, ka tabbata yana buɗewa, ko ka aiko da ƙasa a lokaci ɗaya.',
+    'error.general': 'Yi haƙuri, an sami matsala wajen aiwatar da buƙatarka. Da fatan za ka sake gwadawa.',
+
+    // Rewards and referrals
+    'reward.activity': 'Ka sami tokens {tokens} saboda ci gaba da karatu! 🎉',
+    'referral.joined': 'Ka shiga da lambar gayyatar {name}! Yi tambayoyi {questions} kuma ku biyu za ku sami ƙarin tokens.',
+    'referral.aFriend': 'abokinka',
+    'referral.welcomeBonus': '🎁 Mun gode da karatu tare da Florence*! Ka sami tokens {bonus} saboda shiga da lambar abokinka.',
+    'referral.referrerBonus': '🎁 {name} ya shiga Florence* da lambarka. Ka sami tokens {bonus}! Aiko da /refer don gayyatar ƙarin abokai.',
+    'referral.someone': 'Wani abokinka',
+    'streak.freezesUsed': '🧊 Streak freeze ({count}) ya kare streak ɗinka lokacin da ba ka nan. Streak ɗinka ya kai kwanaki {streak} yanzu!',
+    'streak.broken': 'Streak ɗinka na baya ya ƙare, amma yau ce rana ta farko ta sabo. Sake karatu gobe don ya ci gaba!',
+    'streak.reward': '🔥 Taya murna! Ka riƙe streak na kwanaki {streak}! Ka sami ƙarin tokens {reward}! 🎉',
+    'streak.freezeEarned': '🧊 Ka sami streak freeze saboda kwanaki {streak} a jere! Zai rufe rana ɗaya da ka rasa. Kana da {freezes}.',
+    'freeze.max': 'Kana da streak freeze {freezes} riga, mafi yawan da za ka iya riƙewa.',
+    'freeze.cantAfford': 'Streak freeze ɗaya yana kan tokens {cost} amma kana da {tokens}. Sayi ƙari ta /payments',
+
+    // Account commands
+    'start.hello': 'Sannu {name}, barka da zuwa Florence*! Me kake buƙatar taimako a kai yau?\n\nKana da tokens {tokens}.',
+    'start.remindersOn': 'Tunatarwa sun dawo. Aiko da /stop don sake kashe su.',
+    'about': 'Florence* ita ce mataimakiyar karatu da ke hannunka. Ƙarin bayani a nan: <link>.',
+    'tokens.balance': ({ name, tokens, plan, planName, max, days }) =>
+        `Sannu ${name}, kana da tokens ${tokens}. Don sayen ƙari, aiko da /payments.\n\n` +
+        `Ana cajin kowace amsa gwargwadon abin da Florence* ta karanta ta rubuta. Kana kan tsarin ${planName}, ` +
+        `don haka tambaya ɗaya ba za ta ci fiye da tokens ${max} ba` +
+        (plan === 'free' ? `. Sayi tokens don samun dogayen amsoshi na kwanaki ${days}.` : `, kuma amsoshi za su iya yin tsayi.`),
+    'tokens.low': 'Tokens ɗinka suna ƙarewa. Sayi ƙari ta hanyar aiko da /payments.',
+    'streak.status': 'Sannu {name}, kana kan streak na kwanaki {streak}. Aiko da tambaya ɗaya kowace rana don ya ci gaba!\n\n' +
+        'Kana da streak freeze {freezes}. Kowanne yana rufe rana ɗaya da ka rasa; aiko da /freeze don ƙarin bayani.',
+    'freeze.about': 'Streak freeze yana sa streak ɗinka ya ci gaba a ranar da ba ka yi karatu ba. ' +
+        'Kana samun ɗaya duk kwanaki {every} a jere, ko ka sayi ɗaya kan tokens {cost} ' +
+        'ta /freeze buy. Za ka iya riƙe har {max}, kuma kana da {freezes}.',
+    'freeze.bought': '🧊 Ka sayi streak freeze! Yanzu kana da {freezes}, da tokens {tokens}.',
+    'history.empty': 'Ba ka da tarihin tokens tukuna.',
+    'history.line': '{date}: {amount} ({reason}), saura {balance}',
+    'history.list': 'Tarihin tokens ɗinka na baya-bayan nan:\n\n{lines}\n\nKana da tokens {tokens}.',
+    'payments.invalid': 'Da fatan za ka shigar da adadin da bai gaza naira {price} ba, misali /payments {example}',
+    'payments.link': 'Kowane token naira {price} ne. Biya naira {amount} don tokens {tokens} a nan:\n\n' +
+        '{link}\n\n' +
+        'Za a ƙara tokens ɗinka kai tsaye da zarar an tabbatar da biyan. ' +
+        'Don sayen wani adadi, aiko da /payments tare da adadin a naira.',
+    'payments.failed': 'Yi haƙuri, ba mu iya ƙirƙirar hanyar biya yanzu ba. Da fatan za ka sake gwadawa bayan ƴan mintuna.',
+    'payments.received': 'An karɓi biyan naira {amount}! An ƙara tokens {tokens} a asusunka. ' +
+        'Yanzu kana da tokens {balance}.',
+
+    // Other commands
+    'new.done': 'An fara sabuwar tattaunawa. Florence* ta manta da tattaunawar da ta gabata.',
+    'help': 'Ga duk abin da Florence* za ta iya yi:\n\n{commands}',
+    'language.current': 'Florence* tana magana da kai da {language}. Don canzawa, aiko da /language tare da ɗaya daga cikin: {languages}.',
+    'language.set': 'Daga yanzu Florence* za ta riƙa magana da kai da {language}, kuma ta amsa tambayoyinka da {language}.',
+    'language.unknown': 'Florence* ba ta iya {language} ba tukuna. Zaɓi ɗaya daga cikin: {languages}.',
+
+    // Reminders and nudges
+    'reminder': '⏰ Tunatarwa: {text}',
+    'reminder.stop': '(Aiko da /stop don kashe tunatarwa.)',
+    'goal.hit': '🎯 Ka cimma burin yau: tambayoyi {asked} cikin {goal}. Madalla!',
+    'goal.progress': '📚 Ka yi tambayoyi {asked} cikin {goal} yau. Akwai sauran lokaci don cimma burinka!',
+    'streak.nudge': '⏳ Streak ɗinka na kwanaki {streak} zai ƙare cikin awa {hours}! Aiko wa Florence* tambaya ko ka yi /review don ya ci gaba.',
+
+    // Answer modes
+    'mode.answer': 'Florence* tana bayani kuma tana ba ka cikakkiyar amsa.',
+    'mode.hint': 'Florence* tana jagorantar ka mataki-mataki kuma tana neman ka gwada da kanka; aiko da /reveal don cikakkiyar amsa.',
+    'mode.current': 'Kana cikin yanayin {mode}. {description}\n\nAiko da /mode hint ko /mode answer don canzawa.',
+    'mode.currentGroup': 'Kana cikin yanayin {mode}, wanda masu kula da wannan rukuni suka zaɓa masa. {description}\n\nAiko da /mode hint ko /mode answer don canzawa.',
+    'mode.usage': 'Aiko da /mode hint don jagora mataki-mataki, ko /mode answer don cikakkun amsoshi.',
+    'mode.adminsOnly': 'Masu kula da wannan rukuni ne kawai za su iya canza yanayinsa.',
+    'mode.groupSet': 'Wannan rukuni yana cikin yanayin {mode} ga kowa yanzu. {description}',
+    'mode.set': 'Yanzu kana cikin yanayin {mode}. {description}',
+    'reveal.answerMode': 'Kana cikin yanayin answer, don haka Florence* tana ba ka cikakkun amsoshi riga. /reveal na yanayin hint ne.',
+    'reveal.nothing': 'Babu abin da za a bayyana tukuna. Fara aiko wa Florence* tambaya.',
+    'reveal.cantAfford': 'Bayyana amsar yana kan tokens {cost} amma kana da {tokens}. Sayi ƙari ta /payments',
+    'reveal.working': 'Florence* tana aiki a kan cikakkiyar amsa...',
+
+    // Tutoring profile
+    'profile.show': 'Bayanan karatunka:\n\n{profile}\n\nFlorence* tana daidaita amsoshinta da su. Canza su ta /subject, /level da /exam.',
+    'profile.describe': 'Darasi: {subject}\nMataki: {level}\nJarrabawa: {exam}',
+    'profile.anySubject': 'kowane',
+    'profile.notSet': 'ba a saita ba',
+    'subject.current': 'Darasinka shi ne {subject}.',
+    'subject.none': 'Ba ka saita darasi ba.',
+    'subject.usage': 'Aiko da /subject tare da sunan darasi, misali /subject Chemistry, ko /subject clear.',
+    'subject.cleared': 'An share darasi. Florence* za ta taimake ka a kan duk abin da ka tambaya.',
+    'subject.set': 'Darasinka yanzu shi ne {subject}. Har yanzu kana iya tambaya game da komai.',
+    'subject.missing': 'Da fatan za ka faɗi sunan darasi, misali /subject Chemistry',
+    'subject.tooLong': 'Da fatan sunan darasin kada ya wuce haruffa {max}.',
+    'level.current': 'Matakinka shi ne {level}.',
+    'level.none': 'Ba ka saita mataki ba.',
+    'level.usage': 'Aiko da /level tare da primary, JSS1-3, SSS1-3, 100-level zuwa 500-level ko postgraduate, ko /level clear.',
+    'level.cleared': 'An share mataki.',
+    'level.unknown': 'Florence* ba ta san wannan mataki ba. Da fatan za ka zaɓi primary, JSS1-3, SSS1-3, 100-level zuwa 500-level ko postgraduate.',
+    'level.set': 'Matakinka yanzu shi ne {level}. Florence* za ta daidaita amsoshinta da shi.',
+    'exam.current': 'Kana shirin {exam}.',
+    'exam.none': 'Ba ka saita jarrabawa ba.',
+    'exam.usage': 'Aiko da /exam tare da ɗaya daga cikin {exams}, ko /exam clear.',
+    'exam.cleared': 'An share jarrabawa.',
+    'exam.unknown': 'Florence* ba ta san wannan jarrabawa ba. Da fatan za ka zaɓi ɗaya daga cikin {exams}.',
+    'exam.set': 'Yanzu kana shirin {exam}. Florence* za ta bi manhajarta da salon amsoshinta.',
+
+    // Quizzes
+    'quiz.usage': 'Aiko da /quiz tare da maudu\'i kuma, idan kana so, yawan tambayoyin da kake so ' +
+        '(har {max}), misali /quiz photosynthesis 10\n\n{scores}',
+    'quiz.noResults': 'Ba ka gama wani quiz ba tukuna.',
+    'quiz.results': 'Makin ka na baya-bayan nan:\n{results}',
+    'quiz.notRunning': 'Ba ka da quiz da ke gudana.',
+    'quiz.stopped': 'An dakatar da quiz. Aiko da /quiz don fara wani.',
+    'quiz.cantAfford': 'Quiz ɗaya yana kan tokens {cost} amma kana da {tokens}. Sayi ƙari ta /payments',
+    'quiz.preparing': 'Florence* tana shirya tambayoyi {count} a kan {topic}...',
+    'quiz.failed': 'Yi haƙuri, Florence* ba ta iya rubuta wannan quiz ba. Ba a caje ka ba. Da fatan za ka sake gwadawa.',
+    'quiz.question': 'Tambaya {number}/{total}\n\n{question}\n\nAmsa da A, B, C ko D.',
+    'quiz.answerPlease': 'Da fatan za ka amsa da A, B, C ko D kawai, ko ka aiko da /quiz stop don kammala quiz ɗin.',
+    'quiz.notAnAnswer': 'Wannan ba ya kama da amsa, don haka quiz ya ƙare. An mayar maka da tokens {refund} saboda tambayoyin da ba ka amsa ba. Aiko da /quiz don fara wani.',
+    'quiz.correct': '✅ Daidai ne!',
+    'quiz.wrong': '❌ Ba daidai ba. Amsar ita ce {answer}.',
+    'quiz.complete': 'Quiz ya ƙare! Ka sami {correct}/{total} a kan {topic}. Aiko da /quiz don ganin makinka ko fara wani.',
+
+    // Flashcards
+    'save.nothing': 'Babu abin da za a adana tukuna. Tambayi Florence* wani abu, sannan ka aiko da /save.',
+    'save.cantAfford': 'Adana flashcards yana kan tokens {cost} amma kana da {tokens}. Sayi ƙari ta /payments',
+    'save.failed': 'Yi haƙuri, Florence* ba ta iya yin flashcards daga wannan amsar ba. Ba a caje ka ba.',
+    'save.done': 'An adana flashcards {count}:\n\n{cards}\n\n' +
+        'Aiko da /review don yin bita a kansu. Florence* za ta riƙa raba lokutan bita yayin da kake samun su daidai.',
+    'review.noCards': 'Ba ka da flashcards tukuna. Tambayi Florence* wani abu, sannan ka aiko da /save don yin wasu.',
+    'review.nextDue': 'Kana da flashcards {count}. Na gaba zai kai lokacinsa a {date}.',
+    'review.notRunning': 'Ba ka da bitar da ke gudana.',
+    'review.stopped': 'An dakatar da bita. An sake tsara lokacin katunan da ka ba maki.',
+    'review.nothingDue': 'Babu abin da ya kai lokacin bita yanzu. {next}',
+    'review.start': 'Katuna {count} ne za a yi bita. Yi ƙoƙarin amsa kowanne kafin ka ga amsar.',
+    'review.card': 'Kati {number}/{total}\n\n{front}',
+    'review.answer': 'Amsa: {back}\n\nYaya ka tuna shi? Amsa da {grades}.',
+    'review.grade.1': 'Na manta',
+    'review.grade.2': 'Da wuya',
+    'review.grade.3': 'Da kyau',
+    'review.grade.4': 'Da sauƙi',
+    'review.notAGrade': 'Wannan ba maki ba ne, don haka bita ta ƙare. An sake tsara lokacin katunan da ka ba maki.',
+    'review.complete': 'Bita ta ƙare! Ka yi katuna {count}. {next}',
+
+    // Reminder commands
+    'remind.none': 'Ba ka da tunatarwa.',
+    'remind.list': 'Tunatarwarka:\n{reminders}\n\nDon goge ɗaya, aiko da /remind cancel tare da lambarta.',
+    'remind.usage': 'Don ƙara ɗaya, aiko da /remind tare da lokaci da abin da za ka karanta, misali /remind 19:00 revise chemistry',
+    'remind.cancelUsage': 'Aiko da /remind cancel tare da lambar tunatarwar, daga jerin da /remind ke nunawa.',
+    'remind.deleted': 'An goge tunatarwarka ta {time}.',
+    'remind.invalid': 'Da fatan za ka aiko da lokaci da abin da za ka karanta, misali /remind 19:00 revise chemistry ko /remind 7pm practise maths.',
+    'remind.max': 'Za ka iya samun tunatarwa har {max}. Fara goge ɗaya ta /remind cancel.',
+    'remind.set': 'An gama! Florence* za ta tunatar da kai "{text}" da ƙarfe {time} kowace rana.',
+    'remind.quiet': 'Wannan yana cikin lokacin shirunka, don haka ba za ka same ta ba sai ka canza su ta /quiet.',
+    'remind.off': 'Tunatarwa a kashe suke; aiko da /start don kunna su.',
+    'goal.current': 'Burinka na kowace rana tambayoyi {goal} ne, kuma ka yi {asked} yau. ' +
+        'Aiko da /goal tare da lamba don canza shi, ko /goal off don dakatarwa.',
+    'goal.none': 'Ba ka da burin kowace rana. Aiko da /goal tare da yawan tambayoyin da kake so ka yi kowace rana, misali /goal 5',
+    'goal.off': 'An kashe burin kowace rana.',
+    'goal.invalid': 'Da fatan za ka aiko da yawan tambayoyi daga 1 zuwa {max}, misali /goal 5',
+    'goal.set': 'Burinka na kowace rana yanzu tambayoyi {goal} ne. Florence* za ta duba ci gabanka da ƙarfe {time} kowace rana.',
+    'quiet.current': 'Lokacin shirunka shi ne {start}-{end}.',
+    'quiet.none': 'Ba ka da lokacin shiru.',
+    'quiet.usage': 'Aiko da /quiet tare da lokacin farawa da na ƙarewa, misali /quiet 22:00-07:00, ko /quiet off.',
+    'quiet.off': 'An kashe lokacin shiru.',
+    'quiet.invalid': 'Da fatan za ka aiko da lokacin farawa da na ƙarewa, misali /quiet 22:00-07:00',
+    'quiet.set': 'Florence* ba za ta aiko maka da tunatarwa tsakanin {start} da {end} ba. ' +
+        'Za a tsallake tunatarwar da ta faɗa a wannan lokaci, kuma gargaɗin streak zai jira har lokacin shirunka ya ƙare.',
+    'timezone.current': 'Yankin lokacinka shi ne {timezone}, inda yanzu ƙarfe {time} ne. ' +
+        'Don canzawa, aiko da /timezone tare da sunan yankin lokaci, misali /timezone Africa/Lagos ko /timezone Europe/London',
+    'timezone.unknown': 'Florence* ba ta san yankin lokaci {timezone} ba. Gwada suna kamar Africa/Lagos, Africa/Accra ko Europe/London.',
+    'timezone.set': 'Yankin lokacinka yanzu shi ne {timezone}, inda ƙarfe {time} ne. Tunatarwarka da kwanakin streak za su bi wannan agogo daga yanzu.',
+    'stop.done': 'Florence* ba za ta ƙara aiko maka da tunatarwa ko gargaɗi ba. Har yanzu kana iya yin tambayoyi kamar yadda ka saba. Aiko da /start don kunna su.',
+
+    // Referral command
+    'refer.joined': 'An gama! Ka shiga da lambar {name}. Yi tambayoyi {questions} kuma za ka sami ƙarin tokens {bonus}.',
+    'refer.code': 'Lambar gayyatarka ita ce {code}\n\n' +
+        'Raba ɗaya daga cikin waɗannan hanyoyin da abokanka:\n{links}\n\n' +
+        'Idan aboki ya shiga da lambarka kuma ya yi tambayoyi {questions}, ' +
+        'za ka sami tokens {bonus} shi kuma zai sami {welcomeBonus}. ' +
+        'Zuwa yanzu abokai {joined} sun shiga, kuma {rewarded} daga cikinsu sun kawo maka ƙarin tokens.',
+    'referral.alreadyJoined': 'Ka riga ka shiga da lambar gayyata.',
+    'referral.noCode': 'Babu lambar gayyata {code}. Duba ta ka sake gwadawa.',
+    'referral.ownCode': 'Ba za ka iya amfani da lambar gayyatarka ba. Raba ta da abokanka maimakon haka!',
+    'referral.tooLate': 'Ana iya amfani da lambar gayyata ne kawai a kwanakinka {days} na farko a Florence*.',
+    'referral.joinedAfter': 'Za ka iya amfani da lambar wanda ya shiga Florence* kafin kai ne kawai.',
+
+    // Account linking
+    'channel.whatsapp': 'WhatsApp',
+    'channel.telegram': 'Telegram',
+    'channel.web': 'yanar gizo',
+    'channel.list': ({ names }) => names.length > 1 ? `${names.slice(0, -1).join(', ')} da ${names.at(-1)}` : names[0],
+    'link.linkedOn': 'Asusunka yana haɗe a {channels}.',
+    'link.code': 'Lambar haɗinka ita ce {boldCode}\n\n' +
+        'Cikin mintuna {minutes}, aiko da /link {code} zuwa Florence* a ɗayan hanyarka. ' +
+        'Tokens, streak, tarihi da saitunanka za su zama asusu ɗaya. ' +
+        'Kada ka raba wannan lambar: duk wanda ya aiko ta zai iya amfani da tokens ɗinka.',
+    'link.summary': 'Asusunka yanzu suna haɗe a {channels}, da tokens {tokens} da streak na kwanaki {streak}. ' +
+        'Aiko da /unlink don raba su.',
+    'link.done': '🔗 An haɗa! {summary}',
+    'link.doneOther': '🔗 An haɗa asusunka na {channel} da wannan. {summary}',
+    'link.sameAccount': 'Wannan lambar ta wannan asusun ce. Aiko da ita daga Florence* a ɗayan hanyarka.',
+    'link.sameChannel': 'Asusun biyu duka suna a {channel}. Za ka iya haɗa asusun da ke a hanyoyi daban-daban ne kawai.',
+    'link.referred': 'Ɗaya daga cikin waɗannan asusun ya shiga da lambar gayyatar ɗayan, don haka ba za a iya haɗa su ba.',
+    'link.busy': 'Florence* tana amsa saƙo a ɗaya daga cikin waɗannan asusun. Sake aiko da lambar bayan minti ɗaya.',
+    'link.badCode': 'Wannan lambar ba daidai ba ce ko ta ƙare. Aiko da /link a ɗayan hanyarka don samun sabuwa.',
+    'link.noAccount': 'Asusun wannan lambar ba ya nan kuma.',
+    'unlink.none': 'Asusunka ba a haɗa shi da wata hanya ba. Aiko da /link don haɗa ɗaya.',
+    'unlink.usage': 'Don raba wata hanya, aiko da /unlink tare da sunanta, misali /unlink {example}. ' +
+        'Tokens, streak da tarihinka za su zauna a wannan asusun, kuma waccan hanyar za ta fara sabo ba tare da tokens ba.',
+    'unlink.homeChannel': 'Wannan asusun ya fara ne a {channel}, don haka ba za a iya raba waccan hanyar ba. Raba sauran maimakon haka.',
+    'unlink.notLinked': 'Ba a haɗa {channel} da wannan asusun ba.',
+    'unlink.thisChat': 'An raba wannan tattaunawa kuma yanzu tana da nata asusun, ba tare da tokens ba.',
+    'unlink.done': 'An raba {channel} kuma yanzu yana da nasa asusun, ba tare da tokens ba.',
+    'unlink.kept': 'Tokens {tokens}, streak da tarihinka suna nan a {channels}.',
+    'unlink.notice': 'An raba wannan tattaunawa daga ɗayan asusunka na Florence* kuma yanzu tana da nata, ba tare da tokens ba. Aiko da /payments don sayen tokens.',
+
+    // Admin commands
+    'admin.usage': 'Umarnin masu kula:\n' +
+        '/admin users [search] - nemo masu amfani ta id, suna ko username\n' +
+        '/admin user <id> - tokens na mai amfani da tarihinsa na baya-bayan nan\n' +
+        '/admin adjust <id> <amount> <reason> - ba da tokens, ko cire su da adadi mara kyau\n' +
+        '/admin payments - biyan kuɗin da aka karɓa kwanan nan\n' +
+        '/admin broadcast <message> - aika sanarwa ga kowane mai amfani',
+    'admin.noUsers': 'Ba a sami mai amfani ba.',
+    'admin.noName': 'babu suna',
+    'admin.userLine': '{id} - {name}, tokens {tokens}',
+    'admin.users': ({ total, shown, lines }) =>
+        `Masu amfani ${total}${total > shown ? `, ga sabbin ${shown}` : ''}:\n\n${lines}`,
+    'admin.noUser': 'Babu mai amfani {id}. Nemo id ta /admin users',
+    'admin.user': '{id} - {name}\nTokens {tokens}, streak na kwanaki {streak}, ya shiga {joined}\n\nTarihi na baya-bayan nan:\n{history}',
+    'admin.noHistory': 'babu',
+    'admin.adjustUsage': 'Babu mai amfani {id}. Aiko da /admin adjust <id> <amount> <reason>',
+    'admin.adjusted': 'An gama. {id} yanzu yana da tokens {tokens}.',
+    'admin.badAmount': 'Adadin dole ya zama cikakken lambar tokens da ba 0 ba.',
+    'admin.noReason': 'Ana buƙatar dalili.',
+    'admin.notEnough': '{id} yana da tokens {tokens} kawai.',
+    'admin.noPayments': 'Babu biyan kuɗi tukuna.',
+    'admin.paymentLine': '{date}: {amount} {currency} daga {id}, tokens {tokens}',
+    'admin.payments': 'Biyan kuɗi na baya-bayan nan:\n\n{lines}',
+    'admin.broadcastUsage': 'Aiko da /admin broadcast tare da sanarwar.',
+    'admin.broadcasting': 'Ana aika sanarwarka ga kowane mai amfani. Florence* za ta gaya maka idan ta gama.',
+    'admin.broadcastDone': 'An aika sanarwa ga masu amfani {sent}. An tsallake {skipped} (sun kashe ko suna wajen lokacin awa 24 na WhatsApp), {failed} sun gaza.',
+
+    // Command descriptions
+    'commands.start': 'Florence* tana sauraronka yanzu.',
+    'commands.about': 'don ƙarin bayani game da Florence*.',
+    'commands.tokens': 'ga yawan tokens da suka rage maka.',
+    'commands.streak': 'ga streak ɗinka.',
+    'commands.freeze': `sayi streak freeze don rufe rana ɗaya da ka rasa (tokens ${STREAK_FREEZE_COST}).`,
+    'commands.history': 'ga inda tokens ɗinka suka tafi.',
+    'commands.payments': 'Sayi tokens* da dannawa ɗaya.',
+    'commands.new': 'fara sabuwar tattaunawa.',
+    'commands.language': 'zaɓi harshen da Florence* za ta riƙa magana da kai.',
+    'commands.help': 'ga duk umarnin.',
+    'commands.link': 'yi amfani da asusu ɗaya a WhatsApp, Telegram da yanar gizo, da tokens da streak iri ɗaya.',
+    'commands.unlink': 'raba asusun da ka haɗa ta /link.',
+    'commands.profile': 'ga abin da Florence* ta sani game da karatunka.',
+    'commands.subject': 'saita darasin da kake karantawa, misali /subject Chemistry.',
+    'commands.level': 'saita ajinka ko matakinka, misali /level SSS2 ko /level 100-level.',
+    'commands.exam': 'saita jarrabawar da kake shiryawa: WAEC, NECO, JAMB ko post-UTME.',
+    'commands.mode': 'zaɓi cikakkun amsoshi ko jagora mataki-mataki da zai sa ka yi aikin da kanka: /mode hint ko /mode answer.',
+    'commands.reveal': `a yanayin hint, ga cikakkiyar amsar tambayar yanzu (tokens ${REVEAL_COST}).`,
+    'commands.quiz': `gwada kanka da tambayoyin zaɓi (tokens ${QUIZ_COST} kowane quiz).`,
+    'commands.save': `mayar da amsar Florence* ta ƙarshe flashcards (tokens ${SAVE_COST}).`,
+    'commands.review': 'yi bitar flashcards da suka kai lokacinsu.',
+    'commands.remind': 'sami tunatarwar karatu a lokaci ɗaya kowace rana, misali /remind 19:00 revise chemistry.',
+    'commands.goal': `saita yawan tambayoyin da kake so ka yi kowace rana, ka sami dubawa da ƙarfe ${GOAL_CHECKIN_TIME}.`,
+    'commands.quiet': 'saita lokutan da Florence* ba za ta aiko maka da tunatarwa ba, misali /quiet 22:00-07:00.',
+    'commands.timezone': 'saita yankin lokacinka, don tunatarwa da kwanakin streak su bi agogonka.',
+    'commands.stop': 'dakatar da duk tunatarwa da gargaɗi.',
+    'commands.refer': `gayyaci abokai ka sami tokens ${REFERRAL_BONUS} ga kowanne da ya fara karatu.`,
+    'commands.admin': 'kula da masu amfani, tokens da sanarwa.',
+
+    // Command arguments
+    'usage.payments': '[adadi]',
+    'usage.language': '[harshe]',
+    'usage.link': '[lamba]',
+    'usage.subject': '<darasi>|clear',
+    'usage.level': '<mataki>|clear',
+    'usage.exam': '<jarrabawa>|clear',
+    'usage.quiz': '<maudu\'i> [yawa]',
+    'usage.refer': '[lambar aboki]',
+    'usage.remind': '<lokaci> <abin da za ka karanta>',
+    'usage.goal': '<lamba>|off',
+    'usage.quiet': '<farawa>-<ƙarewa>|off',
+    'usage.timezone': '<yankin lokaci>'
+};
@@ -0,0 +1,320 @@
+// Igbo. Keys and placeholders are the same as en.js; anything missing here is
+// sent in English.
+import { GOAL_CHECKIN_TIME, QUIZ_COST, REFERRAL_BONUS, REVEAL_COST, SAVE_COST, STREAK_FREEZE_COST } from '../config.js';
+
+export const MESSAGES = {
+    // Welcome and prompts
+    'welcome': ({ bold, tokens, commands }) =>
+        `Ndewo! Nnọọ na Florence*, onye enyemaka mmụta dị gị n'aka.\n\n` +
+        `Iji Florence* na-efu gị ${bold('tokens*')}. Ị ga na-enweta ha site n'oge ruo n'oge, ` +
+        `mana ị nwekwara ike ịzụta ndị ọzọ mgbe ọ bụla.\n\n` +
+        `I nwere tokens* ${tokens} ugbu a. Zipu ederede, foto, ma ọ bụ akwụkwọ dịka PDF na ndetu nkuzi, ` +
+        `ị ga-enweta azịza ozugbo. Azịza ọ bụla na-efu tokens* dịka ihe Florence* gụrụ na dee si dị: ` +
+        `ajụjụ dị mkpirikpi na-abụkarị token* otu, mana akwụkwọ ogologo na azịza ogologo na-efu karịa.\n\n` +
+        `Lee iwu ole na ole ga-enyere gị aka:\n\n` +
+        `${commands}\n\n` +
+        `${bold('Biko mara:')} Ozi ọ bụla na-abụghị iwu ka a ga-ewere dịka ajụjụ.`,
+    'prompt.unreadable': "Florence* nwere ike ịgụ naanị ederede, foto na akwụkwọ (PDF, Word ma ọ bụ faịlụ ederede) ugbu a.",
+    'prompt.noTokens': 'Tokens gị agwụla. Biko zụta ndị ọzọ site na /payments',
+    'prompt.tooManyFiles': "Ndo, anyị enweghị ike ijikwa foto/akwụkwọ dị otú ahụ ugbu a. Biko zipu {max} ma ọ bụ obere karịa n'otu oge.",
+    'prompt.unsupported': 'Ndo, Florence* enwebeghị ike ịgụ {files}. Biko zipu foto JPEG, PNG, GIF ma ọ bụ WebP, ma ọ bụ akwụkwọ PDF, Word ma ọ bụ faịlụ ederede.',
+    'prompt.tooBig': 'Biko zipu faịlụ pere mpe karịa {mb} MB.',
+    'document.unnamed': 'Akwụkwọ ahụ',
+    'document.empty': '{name} yiri ka ọ tọgbọ chakoo. Biko lelee faịlụ ahụ ma zipu ya ọzọ.',
+    'document.tooLong': '{name} nwere peeji {pages}. Biko zipu akwụkwọ nke na-agafeghị peeji {max}.',
+    'document.unreadable': "{name} agụghị agụ. O nwere ike imebiela ma ọ bụ nwee paswọọdụ.",
+    'prompt.notCharged': 'Anyị anaghị gị ego ọ bụla.',
+    'prompt.processing': 'Florence* na-arụ ọrụ na ya...',
+    'prompt.cost': '(e jiri token {charge}, {tokens} fọdụrụ)',
+    'command.unknown': 'Florence* amaghị /{name}. Zipu /help ka ị hụ iwu niile.',
+
+    // Prices
+    'quote.tooLong': "Nke a dị ogologo nke ukwuu maka otu ajụjụ: ọ ga-efu ihe dị ka tokens {needed}, mana ihe kachasị otu ajụjụ " +
+        "nwere ike ịfụ na atụmatụ {plan} bụ {max}. Biko zipu obere n'otu oge.",
+    'quote.notEnough': "Nke a chọrọ ihe dị ka tokens {needed} mana i nwere {tokens}. Zipu obere n'otu oge ma ọ bụ zụta ndị ọzọ site na /payments",
+    'plan.free': 'efu',
+    'plan.paid': 'akwụ ụgwọ',
+
+    // Claude errors
+    'error.busy': "Florence* nọ n'ọrụ nke ukwuu ugbu a. Biko nwaa ọzọ mgbe nkeji ole na ole gasịrị.",
+    'error.timeout': 'Florence* were ogologo oge tupu ọ zaa. Biko nwaa ọzọ, ma ọ bụ jụọ ajụjụ dị mkpirikpi.',
+    'error.unreadable': "Florence* enweghị ike ịgụ nke ahụ. Ọ bụrụ na i zitere faịlụ, lelee na ọ na-emeghe, ma ọ bụ zipu obere n'otu oge.",
+    'error.general': 'Ndo, e nwere nsogbu mgbe anyị na-arụ ọrụ na arịrịọ gị. Biko nwaa ọzọ.',
+
+    // Rewards and referrals
+    'reward.activity': 'I nwetala tokens {tokens} maka ịnọgide na-arụsi ọrụ ike! 🎉',
+    'referral.joined': 'I sonyere site na koodu ntụaka {name}! Jụọ ajụjụ {questions}, unu abụọ ga-enweta tokens onyinye.',
+    'referral.aFriend': 'enyi gị',
+    'referral.welcomeBonus': '🎁 Daalụ maka ịmụ ihe na Florence*! I nwetala tokens {bonus} maka isonye site na koodu enyi gị.',
+    'referral.referrerBonus': '🎁 {name} sonyere Florence* site na koodu gị. I nwetala tokens {bonus}! Zipu /refer ka ị kpọọ ndị enyi ọzọ.',
+    'referral.someone': 'Otu enyi gị',
+    'streak.freezesUsed': '🧊 Streak freeze ({count}) chebere streak gị mgbe ị nọghị. Streak gị bụ ụbọchị {streak} ugbu a!',
+    'streak.broken': 'Streak gị gara aga agwụla, mana taa bụ ụbọchị mbụ nke ọhụrụ. Mụọ ihe ọzọ echi ka ọ gaa n\'ihu!',
+    'streak.reward': '🔥 Ekele! I jigidela streak ụbọchị {streak}! I nwetala tokens onyinye {reward}! 🎉',
+    'streak.freezeEarned': "🧊 I nwetala streak freeze maka ụbọchị {streak} n'usoro! Ọ ga-ekpuchi otu ụbọchị ị tụfuru. I nwere {freezes}.",
+    'freeze.max': 'I nwerela streak freeze {freezes}, nke kachasị ị nwere ike ijide.',
+    'freeze.cantAfford': 'Otu streak freeze na-efu tokens {cost} mana i nwere {tokens}. Zụta ndị ọzọ site na /payments',
+
+    // Account commands
+    'start.hello': 'Ndewo {name}, nnọọ na Florence*! Gịnị ka ị chọrọ enyemaka na ya taa?\n\nI nwere tokens {tokens}.',
+    'start.remindersOn': 'Ihe ncheta alọghachila. Zipu /stop ka ị gbanyụọ ha ọzọ.',
+    'about': "Florence* bụ onye enyemaka mmụta dị gị n'aka. Ozi ndị ọzọ dị ebe a: <link>.",
+    'tokens.balance': ({ name, tokens, plan, planName, max, days }) =>
+        `Ndewo ${name}, i nwere tokens ${tokens}. Iji zụta ndị ọzọ, zipu /payments.\n\n` +
+        `A na-akwụ ụgwọ azịza ọ bụla dịka ihe Florence* gụrụ na dee si dị. Ị nọ na atụmatụ ${planName}, ` +
+        `ya mere otu ajụjụ anaghị efu karịa tokens ${max}` +
+        (plan === 'free' ? `. Zụta tokens ka ị nweta azịza ogologo karịa maka ụbọchị ${days}.` : `, azịza nwekwara ike ịdị ogologo karịa.`),
+    'tokens.low': 'Tokens gị na-agwụ. Zụta ndị ọzọ site na iziga /payments.',
+    'streak.status': 'Ndewo {name}, ị nọ na streak ụbọchị {streak}. Zipu otu ajụjụ kwa ụbọchị ka ọ gaa n\'ihu!\n\n' +
+        'I nwere streak freeze {freezes}. Nke ọ bụla na-ekpuchi otu ụbọchị ị tụfuru; zipu /freeze ka ị mata karịa.',
+    'freeze.about': 'Streak freeze na-eme ka streak gị gaa n\'ihu n\'ụbọchị ị na-amụghị ihe. ' +
+        "Ị na-enweta otu maka ụbọchị {every} ọ bụla n'usoro, ma ọ bụ zụta otu maka tokens {cost} " +
+        'site na /freeze buy. I nwere ike ijide ruo {max}, i nwekwara {freezes}.',
+    'freeze.bought': '🧊 I zụtala streak freeze! I nwere {freezes} ugbu a, na tokens {tokens}.',
+    'history.empty': 'I nwebeghị akụkọ tokens ọ bụla.',
+    'history.line': '{date}: {amount} ({reason}), fọdụrụ {balance}',
+    'history.list': 'Akụkọ tokens gị na nso nso a:\n\n{lines}\n\nI nwere tokens {tokens}.',
+    'payments.invalid': 'Biko tinye ego dịkarịa ala {price} naira, dịka /payments {example}',
+    'payments.link': 'Otu token bụ {price} naira. Kwụọ {amount} naira maka tokens {tokens} ebe a:\n\n' +
+        '{link}\n\n' +
+        'A ga-etinye tokens gị na-akpaghị aka ozugbo a kwadoro ịkwụ ụgwọ ahụ. ' +
+        'Iji zụta ego ọzọ, zipu /payments na ego ahụ na naira.',
+    'payments.failed': 'Ndo, anyị enweghị ike ịmepụta njikọ ịkwụ ụgwọ ugbu a. Biko nwaa ọzọ mgbe nkeji ole na ole gasịrị.',
+    'payments.received': 'Anyị anatala ịkwụ ụgwọ {amount} naira! A tinyela tokens {tokens} na akaụntụ gị. ' +
+        'I nwere tokens {balance} ugbu a.',
+
+    // Other commands
+    'new.done': 'Mkparịta ụka ọhụrụ amalitela. Florence* echefuola mkparịta ụka gara aga.',
+    'help': 'Lee ihe niile Florence* nwere ike ime:\n\n{commands}',
+    'language.current': 'Florence* na-agwa gị okwu na {language}. Iji gbanwee ya, zipu /language na otu n\'ime: {languages}.',
+    'language.set': "Site ugbu a gaa n'ihu, Florence* ga-agwa gị okwu na {language}, ma zaa ajụjụ gị na {language}.",
+    'language.unknown': 'Florence* amabeghị {language}. Họrọ otu n\'ime: {languages}.',
+
+    // Reminders and nudges
+    'reminder': '⏰ Ncheta: {text}',
+    'reminder.stop': '(Zipu /stop ka ị gbanyụọ ihe ncheta.)',
+    'goal.hit': '🎯 I ruru ihe mgbaru ọsọ taa: ajụjụ {asked} n\'ime {goal}. I mere nke ọma!',
+    'goal.progress': "📚 I jụọla ajụjụ {asked} n'ime {goal} taa. Oge ka dị iru ihe mgbaru ọsọ gị!",
+    'streak.nudge': '⏳ Streak ụbọchị {streak} gị ga-agwụ n\'ime awa {hours}! Zitere Florence* ajụjụ ma ọ bụ mee /review ka ọ gaa n\'ihu.',
+
+    // Answer modes
+    'mode.answer': 'Florence* na-akọwa ma na-enye gị azịza zuru ezu.',
+    'mode.hint': "Florence* na-eduzi gị nzọụkwụ n'otu n'otu ma na-arịọ gị ka ị nwaa; zipu /reveal maka azịza zuru ezu.",
+    'mode.current': 'Ị nọ na ọnọdụ {mode}. {description}\n\nZipu /mode hint ma ọ bụ /mode answer ka ị gbanwee ya.',
+    'mode.currentGroup': 'Ị nọ na ọnọdụ {mode}, nke ndị nchịkwa otu a họọrọ maka ya. {description}\n\nZipu /mode hint ma ọ bụ /mode answer ka ị gbanwee ya.',
+    'mode.usage': "Zipu /mode hint maka ntụziaka nzọụkwụ n'otu n'otu, ma ọ bụ /mode answer maka azịza zuru ezu.",
+    'mode.adminsOnly': 'Ọ bụ naanị ndị nchịkwa otu a nwere ike ịgbanwe ọnọdụ ya.',
+    'mode.groupSet': 'Otu a nọ ugbu a na ọnọdụ {mode} maka onye ọ bụla. {description}',
+    'mode.set': 'Ị nọ ugbu a na ọnọdụ {mode}. {description}',
+    'reveal.answerMode': 'Ị nọ na ọnọdụ answer, ya mere Florence* na-enyelarị gị azịza zuru ezu. /reveal bụ maka ọnọdụ hint.',
+    'reveal.nothing': 'Ọ dịbeghị ihe a ga-ekpughe. Buru ụzọ zitere Florence* ajụjụ.',
+    'reveal.cantAfford': 'Ikpughe azịza na-efu tokens {cost} mana i nwere {tokens}. Zụta ndị ọzọ site na /payments',
+    'reveal.working': 'Florence* na-arụ ọrụ na azịza zuru ezu...',
+
+    // Tutoring profile
+    'profile.show': 'Profaịlụ mmụta gị:\n\n{profile}\n\nFlorence* na-eme ka azịza ya kwekọọ na ya. Gbanwee ya site na /subject, /level na /exam.',
+    'profile.describe': 'Isiokwu: {subject}\nỌkwa: {level}\nUle: {exam}',
+    'profile.anySubject': 'nke ọ bụla',
+    'profile.notSet': 'edobeghị ya',
+    'subject.current': 'Isiokwu gị bụ {subject}.',
+    'subject.none': 'I dobebeghị isiokwu.',
+    'subject.usage': 'Zipu /subject na aha isiokwu, dịka /subject Chemistry, ma ọ bụ /subject clear.',
+    'subject.cleared': 'E hichapụla isiokwu. Florence* ga-enyere gị aka n\'ihe ọ bụla ị jụrụ.',
+    'subject.set': 'Isiokwu gị bụ {subject} ugbu a. Ị ka nwere ike ịjụ maka ihe ọ bụla ọzọ.',
+    'subject.missing': 'Biko kpọọ aha isiokwu, dịka /subject Chemistry',
+    'subject.tooLong': 'Biko mee ka isiokwu ahụ ghara ịgafe mkpụrụedemede {max}.',
+    'level.current': 'Ọkwa gị bụ {level}.',
+    'level.none': 'I dobebeghị ọkwa.',
+    'level.usage': 'Zipu /level na primary, JSS1-3, SSS1-3, 100-level ruo 500-level ma ọ bụ postgraduate, ma ọ bụ /level clear.',
+    'level.cleared': 'E hichapụla ọkwa.',
+    'level.unknown': 'Florence* amaghị ọkwa ahụ. Biko họrọ primary, JSS1-3, SSS1-3, 100-level ruo 500-level ma ọ bụ postgraduate.',
+    'level.set': 'Ọkwa gị bụ {level} ugbu a. Florence* ga-eme ka azịza ya kwekọọ na ya.',
+    'exam.current': 'Ị na-akwado maka {exam}.',
+    'exam.none': 'I dobebeghị ule.',
+    'exam.usage': "Zipu /exam na otu n'ime {exams}, ma ọ bụ /exam clear.",
+    'exam.cleared': 'E hichapụla ule.',
+    'exam.unknown': "Florence* amaghị ule ahụ. Biko họrọ otu n'ime {exams}.",
+    'exam.set': 'Ị na-akwado ugbu a maka {exam}. Florence* ga-agbaso usoro ọmụmụ ya na ụdị azịza ya.',
+
+    // Quizzes
+    'quiz.usage': 'Zipu /quiz na isiokwu na, ọ bụrụ na ịchọrọ, ọnụ ọgụgụ ajụjụ ịchọrọ ' +
+        '(ruo {max}), dịka /quiz photosynthesis 10\n\n{scores}',
+    'quiz.noResults': 'I mechabeghị quiz ọ bụla.',
+    'quiz.results': 'Akara gị na nso nso a:\n{results}',
+    'quiz.notRunning': 'I nweghị quiz na-aga n\'ihu.',
+    'quiz.stopped': 'Quiz akwụsịla. Zipu /quiz ka ịmalite ọzọ.',
+    'quiz.cantAfford': 'Otu quiz na-efu tokens {cost} mana i nwere {tokens}. Zụta ndị ọzọ site na /payments',
+    'quiz.preparing': 'Florence* na-akwado ajụjụ {count} gbasara {topic}...',
+    'quiz.failed': 'Ndo, Florence* enweghị ike ide quiz ahụ. Anyị anaghị gị ego ọ bụla. Biko nwaa ọzọ.',
+    'quiz.question': 'Ajụjụ {number}/{total}\n\n{question}\n\nZaa A, B, C ma ọ bụ D.',
+    'quiz.answerPlease': 'Biko zaa naanị A, B, C ma ọ bụ D, ma ọ bụ zipu /quiz stop ka ịkwụsị quiz ahụ.',
+    'quiz.notAnAnswer': "Nke ahụ adịghị ka azịza, ya mere quiz agwụla. Anyị eweghachiri gị tokens {refund} maka ajụjụ ndị ị na-azaghị. Zipu /quiz ka ịmalite ọzọ.",
+    'quiz.correct': '✅ Ọ ziri ezi!',
+    'quiz.wrong': '❌ O zighị ezi. Azịza ya bụ {answer}.',
+    'quiz.complete': 'Quiz agwụla! I nwetara {correct}/{total} na {topic}. Zipu /quiz ka ị hụ akara gị ma ọ bụ malite ọzọ.',
+
+    // Flashcards
+    'save.nothing': 'Ọ dịbeghị ihe a ga-echekwa. Jụọ Florence* ihe, wee zipu /save.',
+    'save.cantAfford': 'Ichekwa flashcards na-efu tokens {cost} mana i nwere {tokens}. Zụta ndị ọzọ site na /payments',
+    'save.failed': 'Ndo, Florence* enweghị ike ime flashcards site na azịza ahụ. Anyị anaghị gị ego ọ bụla.',
+    'save.done': 'E chekwala flashcards {count}:\n\n{cards}\n\n' +
+        'Zipu /review ka ị mụọ ha. Florence* ga-agbasa oge nlegharị anya ka ị na-aza ha nke ọma.',
+    'review.noCards': 'I nwebeghị flashcards ọ bụla. Jụọ Florence* ihe, wee zipu /save ka ị mee ụfọdụ.',
+    'review.nextDue': 'I nwere flashcards {count}. Nke na-esote ga-eru oge ya na {date}.',
+    'review.notRunning': "I nweghị nlegharị anya na-aga n'ihu.",
+    'review.stopped': 'Nlegharị anya akwụsịla. E doziela oge ọhụrụ maka kaadị ndị i nyere akara.',
+    'review.nothingDue': 'Ọ dịghị ihe ruru oge nlegharị anya ugbu a. {next}',
+    'review.start': 'Kaadị {count} ka ị ga-elegharị anya. Gbalịa zaa nke ọ bụla tupu ị hụ azịza ya.',
+    'review.card': 'Kaadị {number}/{total}\n\n{front}',
+    'review.answer': 'Azịza: {back}\n\nOle ka i chetara ya? Zaa {grades}.',
+    'review.grade.1': 'Echefuru m',
+    'review.grade.2': 'O siri ike',
+    'review.grade.3': 'Ọ dị mma',
+    'review.grade.4': 'Ọ dị mfe',
+    'review.notAGrade': 'Nke ahụ abụghị akara, ya mere nlegharị anya agwụla. E doziela oge ọhụrụ maka kaadị ndị i nyere akara.',
+    'review.complete': 'Nlegharị anya agwụla! I lere kaadị {count}. {next}',
+
+    // Reminder commands
+    'remind.none': 'I nweghị ihe ncheta ọ bụla.',
+    'remind.list': 'Ihe ncheta gị:\n{reminders}\n\nIji hichapụ otu, zipu /remind cancel na nọmba ya.',
+    'remind.usage': 'Iji tinye otu, zipu /remind na oge na ihe ịchọrọ ịmụ, dịka /remind 19:00 revise chemistry',
+    'remind.cancelUsage': 'Zipu /remind cancel na nọmba ihe ncheta ahụ, site na ndepụta /remind na-egosi.',
+    'remind.deleted': 'E hichapụla ihe ncheta {time} gị.',
+    'remind.invalid': 'Biko zipu oge na ihe ịchọrọ ịmụ, dịka /remind 19:00 revise chemistry ma ọ bụ /remind 7pm practise maths.',
+    'remind.max': 'I nwere ike inwe ihe ncheta ruo {max}. Buru ụzọ hichapụ otu site na /remind cancel.',
+    'remind.set': 'O mechala! Florence* ga-echetara gị "{text}" na {time} kwa ụbọchị.',
+    'remind.quiet': 'Nke ahụ dabara n\'oge nkịtị gị, ya mere ị gaghị enweta ya ruo mgbe ị gbanwere ha site na /quiet.',
+    'remind.off': 'Ihe ncheta gbanyụrụ; zipu /start ka ị gbanwuo ha ọzọ.',
+    'goal.current': 'Ihe mgbaru ọsọ gị kwa ụbọchị bụ ajụjụ {goal}, i jụọla {asked} taa. ' +
+        'Zipu /goal na nọmba ka ị gbanwee ya, ma ọ bụ /goal off ka ị kwụsị ya.',
+    'goal.none': 'I nweghị ihe mgbaru ọsọ kwa ụbọchị. Zipu /goal na ọnụ ọgụgụ ajụjụ ịchọrọ ịjụ kwa ụbọchị, dịka /goal 5',
+    'goal.off': 'E gbanyụọla ihe mgbaru ọsọ kwa ụbọchị.',
+    'goal.invalid': 'Biko zipu ọnụ ọgụgụ ajụjụ site na 1 ruo {max}, dịka /goal 5',
+    'goal.set': 'Ihe mgbaru ọsọ gị kwa ụbọchị bụ ajụjụ {goal} ugbu a. Florence* ga-elele ka ị na-aga na {time} kwa ụbọchị.',
+    'quiet.current': 'Oge nkịtị gị bụ {start}-{end}.',
+    'quiet.none': 'I nweghị oge nkịtị.',
+    'quiet.usage': 'Zipu /quiet na oge mmalite na oge njedebe, dịka /quiet 22:00-07:00, ma ọ bụ /quiet off.',
+    'quiet.off': 'E gbanyụọla oge nkịtị.',
+    'quiet.invalid': 'Biko zipu oge mmalite na oge njedebe, dịka /quiet 22:00-07:00',
+    'quiet.set': 'Florence* agaghị ezitere gị ihe ncheta n\'etiti {start} na {end}. ' +
+        "A ga-awụfe ihe ncheta dabara n'oge ahụ, ịdọ aka na ntị streak ga-echere ruo mgbe oge nkịtị gị gwụrụ.",
+    'timezone.current': "Mpaghara oge gị bụ {timezone}, ebe ọ bụ {time} ugbu a. " +
+        'Iji gbanwee ya, zipu /timezone na aha mpaghara oge, dịka /timezone Africa/Lagos ma ọ bụ /timezone Europe/London',
+    'timezone.unknown': 'Florence* amaghị mpaghara oge {timezone}. Nwaa aha dịka Africa/Lagos, Africa/Accra ma ọ bụ Europe/London.',
+    'timezone.set': "Mpaghara oge gị bụ {timezone} ugbu a, ebe ọ bụ {time}. Ihe ncheta na ụbọchị streak gị ga-agbaso elekere a site ugbu a gaa n'ihu.",
+    'stop.done': 'Florence* agaghị ezitere gị ihe ncheta ma ọ bụ ịdọ aka na ntị ọzọ. Ị ka nwere ike ịjụ ajụjụ dịka ọ dị na mbụ. Zipu /start ka ị gbanwuo ha ọzọ.',
+
+    // Referral command
+    'refer.joined': 'O mechala! I sonyere site na koodu {name}. Jụọ ajụjụ {questions}, ị ga-enweta tokens onyinye {bonus}.',
+    'refer.code': 'Koodu ntụaka gị bụ {code}\n\n' +
+        "Kesaa otu n'ime njikọ ndị a na ndị enyi gị:\n{links}\n\n" +
+        'Mgbe enyi sonyere site na koodu gị ma jụọ ajụjụ {questions}, ' +
+        'ị ga-enweta tokens {bonus}, ha ga-enwetakwa {welcomeBonus}. ' +
+        "Ruo ugbu a, ndị enyi {joined} esonyela, {rewarded} n'ime ha emeela ka i nweta onyinye.",
+    'referral.alreadyJoined': 'I sonyelarị site na koodu ntụaka.',
+    'referral.noCode': 'Enweghị koodu ntụaka {code}. Lelee ya ma nwaa ọzọ.',
+    'referral.ownCode': 'Ị nweghị ike iji koodu ntụaka nke gị. Kesaa ya na ndị enyi gị kama!',
+    'referral.tooLate': 'Ị nwere ike iji koodu ntụaka naanị n\'ụbọchị {days} mbụ gị na Florence*.',
+    'referral.joinedAfter': 'Ị nwere ike iji naanị koodu onye sonyere Florence* tupu gị.',
+
+    // Account linking
+    'channel.whatsapp': 'WhatsApp',
+    'channel.telegram': 'Telegram',
+    'channel.web': 'weebụ',
+    'channel.list': ({ names }) => names.length > 1 ? `${names.slice(0, -1).join(', ')} na ${names.at(-1)}` : names[0],
+    'link.linkedOn': 'Akaụntụ gị jikọrọ na {channels}.',
+    'link.code': 'Koodu njikọ gị bụ {boldCode}\n\n' +
+        "N'ime nkeji {minutes}, zipu /link {code} na Florence* n'ọwa gị nke ọzọ. " +
+        'Tokens, streak, akụkọ na ntọala gị ga-aghọ otu akaụntụ. ' +
+        'Ekekọrịta koodu a: onye ọ bụla zipụrụ ya ga-enwe ike iji tokens gị.',
+    'link.summary': 'Akaụntụ gị jikọrọ ugbu a na {channels}, na tokens {tokens} na streak ụbọchị {streak}. ' +
+        'Zipu /unlink ka ị kewaa ha ọzọ.',
+    'link.done': '🔗 Ejikọla ya! {summary}',
+    'link.doneOther': '🔗 E jikọla akaụntụ {channel} gị na nke a. {summary}',
+    'link.sameAccount': "Koodu ahụ bụ maka akaụntụ a. Zipu ya site na Florence* n'ọwa gị nke ọzọ.",
+    'link.sameChannel': 'Akaụntụ abụọ ahụ nọ na {channel}. Ị nwere ike ijikọ naanị akaụntụ dị n\'ọwa dị iche iche.',
+    'link.referred': "Otu n'ime akaụntụ ndị a sonyere site na koodu ntụaka nke ọzọ, ya mere e nweghị ike ijikọ ha.",
+    'link.busy': "Florence* ka na-aza ozi n'otu n'ime akaụntụ ndị a. Zipu koodu ahụ ọzọ mgbe otu nkeji gachara.",
+    'link.badCode': "Koodu ahụ ezighị ezi ma ọ bụ o mebiela. Zipu /link n'ọwa gị nke ọzọ maka nke ọhụrụ.",
+    'link.noAccount': 'Akaụntụ koodu ahụ adịkwaghị.',
+    'unlink.none': 'Akaụntụ gị ejikọtaghị na ọwa ọ bụla ọzọ. Zipu /link ka ị jikọọ otu.',
+    'unlink.usage': 'Iji kewaa otu ọwa, zipu /unlink na aha ya, dịka /unlink {example}. ' +
+        'Tokens, streak na akụkọ gị ga-anọ na akaụntụ a, ọwa ahụ ga-amalitekwa ọzọ na-enweghị tokens.',
+    'unlink.homeChannel': 'Akaụntụ a malitere na {channel}, ya mere e nweghị ike ikewapụ ọwa ahụ. Kewapụ ndị ọzọ kama.',
+    'unlink.notLinked': '{channel} ejikọtaghị na akaụntụ a.',
+    'unlink.thisChat': 'E kewapụla mkparịta ụka a, o nwekwara akaụntụ nke ya ugbu a, na-enweghị tokens.',
+    'unlink.done': 'E kewapụla {channel}, o nwekwara akaụntụ nke ya ugbu a, na-enweghị tokens.',
+    'unlink.kept': 'Tokens {tokens}, streak na akụkọ gị ka nọ na {channels}.',
+    'unlink.notice': 'E kewapụla mkparịta ụka a n\'akaụntụ Florence* gị nke ọzọ, o nwekwara nke ya ugbu a, na-enweghị tokens. Zipu /payments ka ị zụta tokens.',
+
+    // Admin commands
+    'admin.usage': 'Iwu ndị nchịkwa:\n' +
+        '/admin users [search] - chọta ndị ọrụ site na id, aha ma ọ bụ username\n' +
+        '/admin user <id> - tokens onye ọrụ na akụkọ ya na nso nso a\n' +
+        '/admin adjust <id> <amount> <reason> - nye tokens, ma ọ bụ wepụ ha site na ọnụ ọgụgụ na-adịghị mma\n' +
+        '/admin payments - ịkwụ ụgwọ batara na nso nso a\n' +
+        '/admin broadcast <message> - zipu ọkwa nye onye ọrụ ọ bụla',
+    'admin.noUsers': 'Ahụghị onye ọrụ ọ bụla.',
+    'admin.noName': 'enweghị aha',
+    'admin.userLine': '{id} - {name}, tokens {tokens}',
+    'admin.users': ({ total, shown, lines }) =>
+        `Ndị ọrụ ${total}${total > shown ? `, nke a bụ ${shown} kachasị ọhụrụ` : ''}:\n\n${lines}`,
+    'admin.noUser': 'Enweghị onye ọrụ {id}. Chọta id site na /admin users',
+    'admin.user': '{id} - {name}\nTokens {tokens}, streak ụbọchị {streak}, sonyere na {joined}\n\nAkụkọ na nso nso a:\n{history}',
+    'admin.noHistory': 'ọ dịghị',
+    'admin.adjustUsage': 'Enweghị onye ọrụ {id}. Zipu /admin adjust <id> <amount> <reason>',
+    'admin.adjusted': 'O mechala. {id} nwere tokens {tokens} ugbu a.',
+    'admin.badAmount': 'Ọnụ ọgụgụ ahụ ga-abụ ọnụọgụ tokens zuru oke nke na-abụghị 0.',
+    'admin.noReason': 'A chọrọ ihe kpatara ya.',
+    'admin.notEnough': '{id} nwere naanị tokens {tokens}.',
+    'admin.noPayments': 'Enwebeghị ịkwụ ụgwọ ọ bụla.',
+    'admin.paymentLine': '{date}: {amount} {currency} site n\'aka {id}, tokens {tokens}',
+    'admin.payments': 'Ịkwụ ụgwọ na nso nso a:\n\n{lines}',
+    'admin.broadcastUsage': 'Zipu /admin broadcast na ọkwa ahụ.',
+    'admin.broadcasting': 'A na-ezipu ọkwa gị nye onye ọrụ ọ bụla. Florence* ga-agwa gị mgbe o mechara.',
+    'admin.broadcastDone': "E zigara ọkwa ahụ nye ndị ọrụ {sent}. A wụfere {skipped} (ha gbanyụrụ ya ma ọ bụ ha nọ n'èzí windo awa 24 nke WhatsApp), {failed} dara.",
+
+    // Command descriptions
+    'commands.start': 'Florence* na-ege gị ntị ugbu a.',
+    'commands.about': 'iji mata karịa banyere Florence*.',
+    'commands.tokens': 'hụ ole tokens fọdụrụ gị.',
+    'commands.streak': 'hụ streak gị.',
+    'commands.freeze': `zụta streak freeze iji kpuchie otu ụbọchị ị tụfuru (tokens ${STREAK_FREEZE_COST}).`,
+    'commands.history': 'hụ ebe tokens gị gara.',
+    'commands.payments': 'Zụta tokens* n\'otu mpi.',
+    'commands.new': 'malite mkparịta ụka ọhụrụ.',
+    'commands.language': 'họrọ asụsụ Florence* ga-eji gwa gị okwu.',
+    'commands.help': 'hụ iwu niile.',
+    'commands.link': 'jiri otu akaụntụ na WhatsApp, Telegram na weebụ, na otu tokens na streak.',
+    'commands.unlink': 'kewaa akaụntụ i jikọrọ site na /link.',
+    'commands.profile': 'hụ ihe Florence* maara gbasara ọmụmụ gị.',
+    'commands.subject': 'dobe isiokwu ị na-amụ, dịka /subject Chemistry.',
+    'commands.level': 'dobe klas ma ọ bụ ọkwa gị, dịka /level SSS2 ma ọ bụ /level 100-level.',
+    'commands.exam': 'dobe ule ị na-akwado maka ya: WAEC, NECO, JAMB ma ọ bụ post-UTME.',
+    'commands.mode': "họrọ azịza zuru ezu ma ọ bụ ntụziaka nzọụkwụ n'otu n'otu nke na-eme ka ị rụọ ọrụ ahụ: /mode hint ma ọ bụ /mode answer.",
+    'commands.reveal': `na ọnọdụ hint, hụ azịza zuru ezu nke ajụjụ dị ugbu a (tokens ${REVEAL_COST}).`,
+    'commands.quiz': `nwalee onwe gị site na ajụjụ nhọrọ (tokens ${QUIZ_COST} maka quiz ọ bụla).`,
+    'commands.save': `mee ka azịza ikpeazụ Florence* ghọọ flashcards (tokens ${SAVE_COST}).`,
+    'commands.review': 'mụọ flashcards ruru oge ha.',
+    'commands.remind': 'nweta ihe ncheta ọmụmụ n\'otu oge kwa ụbọchị, dịka /remind 19:00 revise chemistry.',
+    'commands.goal': `dobe ọnụ ọgụgụ ajụjụ ịchọrọ ịjụ kwa ụbọchị, ma nweta nlele na ${GOAL_CHECKIN_TIME}.`,
+    'commands.quiet': "dobe awa Florence* agaghị ezitere gị ihe ncheta, dịka /quiet 22:00-07:00.",
+    'commands.timezone': 'dobe mpaghara oge gị, ka ihe ncheta na ụbọchị streak gbasoo elekere gị.',
+    'commands.stop': 'kwụsị ihe ncheta na ịdọ aka na ntị niile.',
+    'commands.refer': `kpọọ ndị enyi gị ma nweta tokens ${REFERRAL_BONUS} maka onye ọ bụla malitere ịmụ ihe.`,
+    'commands.admin': 'jikwaa ndị ọrụ, tokens na ọkwa.',
+
+    // Command arguments
+    'usage.payments': '[ego]',
+    'usage.language': '[asụsụ]',
+    'usage.link': '[koodu]',
+    'usage.subject': '<isiokwu>|clear',
+    'usage.level': '<ọkwa>|clear',
+    'usage.exam': '<ule>|clear',
+    'usage.quiz': '<isiokwu> [ọnụ ọgụgụ]',
+    'usage.refer': '[koodu enyi]',
+    'usage.remind': '<oge> <ihe ịchọrọ ịmụ>',
+    'usage.goal': '<nọmba>|off',
+    'usage.quiet': '<mmalite>-<njedebe>|off',
+    'usage.timezone': '<mpaghara oge>'
+};
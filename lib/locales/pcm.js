@@ -0,0 +1,311 @@
+// Naija (Nigerian Pidgin). Keys and placeholders are the same as en.js; anything
+// missing here is sent in English.
+import { GOAL_CHECKIN_TIME, QUIZ_COST, REFERRAL_BONUS, REVEAL_COST, SAVE_COST, STREAK_FREEZE_COST } from '../config.js';
+
+export const MESSAGES = {
+    // Welcome and prompts
+    'welcome': ({ bold, tokens, commands }) =>
+        `How far! Welcome to Florence*, the assistant wey go help you with your book anytime.\n\n` +
+        `To use Florence* go cost you ${bold('tokens*')}. We go dey give you some from time to time, ` +
+        `but you fit buy more anytime.\n\n` +
+        `You get ${tokens} tokens* now. Send your question, picture or document like PDF and lecture note, ` +
+        `and you go get answer sharp sharp. Each answer dey cost tokens* based on how much Florence* read and write: ` +
+        `short question na usually one token*, but long document and long answer go cost pass.\n\n` +
+        `See some commands wey go help you:\n\n` +
+        `${commands}\n\n` +
+        `${bold('Note am:')} Any message wey no be command, na question we go take am.`,
+    'prompt.unreadable': 'For now, Florence* fit only read text, picture and document (PDF, Word or text file).',
+    'prompt.noTokens': 'Your tokens don finish. Abeg buy more with /payments',
+    'prompt.tooManyFiles': 'Sorry, we no fit handle plenty picture/document like dat now. Abeg send {max} or less at once.',
+    'prompt.unsupported': 'Sorry, Florence* never sabi read {files}. Abeg send JPEG, PNG, GIF or WebP picture, or PDF, Word or text document.',
+    'prompt.tooBig': 'Abeg send file wey small pass {mb} MB.',
+    'document.unnamed': 'The document',
+    'document.empty': '{name} be like say e empty. Abeg check the file and send am again.',
+    'document.tooLong': '{name} get {pages} pages. Abeg send documents wey no pass {max} pages.',
+    'document.unreadable': '{name} no gree open. E fit don spoil or e get password.',
+    'prompt.notCharged': 'We no charge you.',
+    'prompt.processing': 'Florence* dey work on am...',
+    'prompt.cost': '({charge} token don go, {tokens} remain)',
+    'command.unknown': 'Florence* no sabi /{name}. Send /help to see all the commands.',
+
+    // Prices
+    'quote.tooLong': 'Dis one too long for one question: e go cost about {needed} tokens, but the most one question ' +
+        'fit cost for {plan} plan na {max}. Abeg send am small small.',
+    'quote.notEnough': 'Dis one need about {needed} tokens but you get {tokens}. Send am small small or top up with /payments',
+    'plan.free': 'free',
+    'plan.paid': 'paid',
+
+    // Claude errors
+    'error.busy': 'Florence* dey very busy now. Abeg try again after some minutes.',
+    'error.timeout': 'Florence* take too long to answer. Abeg try again, or ask shorter question.',
+    'error.unreadable': 'Florence* no fit read dat one. If na file you send, check say e dey open, or send am small small.',
+    'error.general': 'Sorry, something go wrong as we dey run your request. Abeg try again.',
+
+    // Rewards and referrals
+    'reward.activity': 'You don collect {tokens} tokens because you dey active! 🎉',
+    'referral.joined': 'You join with {name} referral code! Ask {questions} questions and both of una go collect bonus tokens.',
+    'referral.aFriend': 'your padi',
+    'referral.welcomeBonus': '🎁 Thank you say you dey learn with Florence*! You don collect {bonus} tokens because you join with your padi code.',
+    'referral.referrerBonus': '🎁 {name} don join Florence* with your code. You don collect {bonus} tokens! Send /refer to invite more padi.',
+    'referral.someone': 'Your padi',
+    'streak.freezesUsed': '🧊 Streak freeze ({count}) keep your streak alive while you no dey. Your streak don reach {streak} days!',
+    'streak.broken': 'Your last streak don end, but today na day 1 of new one. Study again tomorrow make e continue!',
+    'streak.reward': '🔥 Congrats! You don hold {streak}-day streak! You don collect {reward} bonus tokens! 🎉',
+    'streak.freezeEarned': '🧊 You don collect streak freeze for {streak} days straight! E go cover one day wey you miss. You get {freezes}.',
+    'freeze.max': 'You don already get {freezes} streak freezes, na the most you fit hold.',
+    'freeze.cantAfford': 'Streak freeze cost {cost} tokens but you get {tokens}. Top up with /payments',
+
+    // Account commands
+    'start.hello': 'Hello {name}, welcome to Florence*! Wetin you need help with today?\n\nYou get {tokens} tokens.',
+    'start.remindersOn': 'Reminders and nudges don come back. Send /stop to off them again.',
+    'about': 'Florence* na the educational assistant wey dey your hand. More info dey here: <link>.',
+    'tokens.balance': ({ name, tokens, plan, planName, max, days }) =>
+        `Hey ${name}, you get ${tokens} tokens. To top up, send /payments.\n\n` +
+        `Each answer dey cost based on how much Florence* read and write. You dey ${planName} plan, ` +
+        `so one question fit cost ${max} tokens at most` +
+        (plan === 'free' ? `. Top up to get longer answers for ${days} days.` : `, and answers fit long pass.`),
+    'tokens.low': 'Your tokens don dey finish. Top up with /payments.',
+    'streak.status': 'Hey {name}, you dey for {streak}-day streak. Send one question every day make e continue!\n\n' +
+        'You get {freezes} streak freeze. Each one dey cover one day wey you miss; send /freeze to know more.',
+    'freeze.about': 'Streak freeze dey keep your streak alive for day wey you no study. ' +
+        'You go collect one for every {every} days straight, or you fit buy one for {cost} tokens ' +
+        'with /freeze buy. You fit hold reach {max}, and you get {freezes}.',
+    'freeze.bought': '🧊 You don buy streak freeze! You get {freezes} now, and {tokens} tokens.',
+    'history.empty': 'You never get token history.',
+    'history.line': '{date}: {amount} ({reason}), balance {balance}',
+    'history.list': 'Your token history wey just pass:\n\n{lines}\n\nYou get {tokens} tokens.',
+    'payments.invalid': 'Abeg put amount wey reach at least {price} naira, like /payments {example}',
+    'payments.link': 'One token na {price} naira. Pay {amount} naira for {tokens} tokens here:\n\n' +
+        '{link}\n\n' +
+        'Your tokens go enter by themselves once the payment confirm. ' +
+        'To buy another amount, send /payments plus the amount for naira.',
+    'payments.failed': 'Sorry, we no fit create payment link now. Abeg try again after some minutes.',
+    'payments.received': 'We don receive your {amount} naira! {tokens} tokens don enter your account. ' +
+        'You get {balance} tokens now.',
+
+    // Other commands
+    'new.done': 'New session don start. Florence* don forget the last conversation.',
+    'help': 'See everything Florence* fit do:\n\n{commands}',
+    'language.current': 'Florence* dey talk {language} with you. To change am, send /language plus one of: {languages}.',
+    'language.set': 'Florence* go dey talk {language} with you from now, and answer your questions for {language} too.',
+    'language.unknown': 'Florence* never sabi {language}. Choose one of: {languages}.',
+
+    // Reminders and nudges
+    'reminder': '⏰ Reminder: {text}',
+    'reminder.stop': '(Send /stop to off reminders.)',
+    'goal.hit': '🎯 You don hit today goal: {asked} of {goal} questions. Well done!',
+    'goal.progress': '📚 You don ask {asked} of your {goal} questions today. Time still dey to reach your goal!',
+    'streak.nudge': '⏳ Your {streak}-day streak go end in {hours} hour! Send Florence* question or do /review make e continue.',
+
+    // Answer modes
+    'mode.answer': 'Florence* go explain and give you the full solution.',
+    'mode.hint': 'Florence* go guide you step by step and ask you to try am first; send /reveal for the full solution.',
+    'mode.current': 'You dey {mode} mode. {description}\n\nSend /mode hint or /mode answer to change am.',
+    'mode.currentGroup': 'You dey {mode} mode, wey the group admins set for this group. {description}\n\nSend /mode hint or /mode answer to change am.',
+    'mode.usage': 'Send /mode hint for step-by-step hints, or /mode answer for full answers.',
+    'mode.adminsOnly': 'Na only the admins of this group fit change im mode.',
+    'mode.groupSet': 'This group don dey {mode} mode for everybody now. {description}',
+    'mode.set': 'You don dey {mode} mode now. {description}',
+    'reveal.answerMode': 'You dey answer mode, so Florence* dey give full solutions already. /reveal na for hint mode.',
+    'reveal.nothing': 'Nothing dey to reveal yet. Send Florence* question first.',
+    'reveal.cantAfford': 'To reveal the solution na {cost} tokens but you get {tokens}. Top up with /payments',
+    'reveal.working': 'Florence* dey work out the full solution...',
+
+    // Tutoring profile
+    'profile.show': 'Your tutoring profile:\n\n{profile}\n\nFlorence* go answer you for your level. Change am with /subject, /level and /exam.',
+    'profile.describe': 'Subject: {subject}\nLevel: {level}\nExam: {exam}',
+    'profile.anySubject': 'any one',
+    'profile.notSet': 'you never set am',
+    'subject.current': 'Your subject na {subject}.',
+    'subject.none': 'You never set subject.',
+    'subject.usage': 'Send /subject plus the subject, like /subject Chemistry, or /subject clear.',
+    'subject.cleared': 'Subject don clear. Florence* go help you with anything wey you ask.',
+    'subject.set': 'Your subject na {subject} now. You fit still ask about any other thing.',
+    'subject.missing': 'Abeg name the subject, like /subject Chemistry',
+    'subject.tooLong': 'Abeg make the subject no pass {max} letters.',
+    'level.current': 'Your level na {level}.',
+    'level.none': 'You never set level.',
+    'level.usage': 'Send /level plus primary, JSS1-3, SSS1-3, 100-level reach 500-level or postgraduate, or /level clear.',
+    'level.cleared': 'Level don clear.',
+    'level.unknown': 'Florence* no sabi that level. Abeg choose primary, JSS1-3, SSS1-3, 100-level reach 500-level or postgraduate.',
+    'level.set': 'Your level na {level} now. Florence* go answer you for that level.',
+    'exam.current': 'You dey prepare for {exam}.',
+    'exam.none': 'You never set exam.',
+    'exam.usage': 'Send /exam plus one of {exams}, or /exam clear.',
+    'exam.cleared': 'Exam don clear.',
+    'exam.unknown': 'Florence* no sabi that exam. Abeg choose one of {exams}.',
+    'exam.set': 'You dey prepare for {exam} now. Florence* go follow im syllabus and how dem dey answer am.',
+
+    // Quizzes
+    'quiz.usage': 'Send /quiz plus the topic and, if you like, how many questions you want ' +
+        '(e no pass {max}), like /quiz photosynthesis 10\n\n{scores}',
+    'quiz.noResults': 'You never finish any quiz yet.',
+    'quiz.results': 'Your last scores:\n{results}',
+    'quiz.notRunning': 'You no get any quiz wey dey go on.',
+    'quiz.stopped': 'Quiz don stop. Send /quiz to start another one.',
+    'quiz.cantAfford': 'One quiz na {cost} tokens but you get {tokens}. Top up with /payments',
+    'quiz.preparing': 'Florence* dey prepare {count} questions on {topic}...',
+    'quiz.failed': 'Sorry, Florence* no fit write that quiz. We no charge you. Abeg try again.',
+    'quiz.question': 'Question {number}/{total}\n\n{question}\n\nReply with A, B, C or D.',
+    'quiz.answerPlease': 'Abeg reply with only A, B, C or D, or send /quiz stop to end the quiz.',
+    'quiz.notAnAnswer': 'That one no look like answer, so the quiz don end. We don return {refund} tokens for the questions wey you never answer. Send /quiz to start another one.',
+    'quiz.correct': '✅ Correct!',
+    'quiz.wrong': '❌ E no correct. The answer na {answer}.',
+    'quiz.complete': 'Quiz don finish! You score {correct}/{total} for {topic}. Send /quiz to see your last scores or start another one.',
+
+    // Flashcards
+    'save.nothing': 'Nothing dey to save yet. Ask Florence* something, then send /save.',
+    'save.cantAfford': 'To save flashcards na {cost} tokens but you get {tokens}. Top up with /payments',
+    'save.failed': 'Sorry, Florence* no fit make flashcards from that answer. We no charge you.',
+    'save.done': 'Florence* don save {count} flashcards:\n\n{cards}\n\n' +
+        'Send /review to practise dem. As you dey get dem right, Florence* go space the reviews out.',
+    'review.noCards': 'You no get any flashcards yet. Ask Florence* something, then send /save to make some.',
+    'review.nextDue': 'You get {count} flashcards. The next one go due {date}.',
+    'review.notRunning': 'You no get any review wey dey go on.',
+    'review.stopped': 'Review don stop. The cards wey you grade don get new date.',
+    'review.nothingDue': 'Nothing dey due for review now. {next}',
+    'review.start': '{count} cards to review. Try answer each one before you see the answer.',
+    'review.card': 'Card {number}/{total}\n\n{front}',
+    'review.answer': 'Answer: {back}\n\nHow well you remember am? Reply {grades}.',
+    'review.grade.1': 'I forget am',
+    'review.grade.2': 'E hard',
+    'review.grade.3': 'E good',
+    'review.grade.4': 'E easy',
+    'review.notAGrade': 'That one no be grade, so the review don end. The cards wey you grade don get new date.',
+    'review.complete': 'Review don finish! You go through {count} cards. {next}',
+
+    // Reminder commands
+    'remind.none': 'You no get any reminder.',
+    'remind.list': 'Your reminders:\n{reminders}\n\nTo delete one, send /remind cancel plus im number.',
+    'remind.usage': 'To add one, send /remind plus the time and wetin you wan read, like /remind 19:00 revise chemistry',
+    'remind.cancelUsage': 'Send /remind cancel plus the number of the reminder, from the list wey /remind dey show.',
+    'remind.deleted': 'Florence* don delete your {time} reminder.',
+    'remind.invalid': 'Abeg send the time and wetin you wan read, like /remind 19:00 revise chemistry or /remind 7pm practise maths.',
+    'remind.max': 'You fit get reach {max} reminders. Delete one first with /remind cancel.',
+    'remind.set': 'E don set! Florence* go remind you "{text}" by {time} every day.',
+    'remind.quiet': 'That time dey inside your quiet hours, so you no go get am until you change dem with /quiet.',
+    'remind.off': 'Reminders dey off; send /start to on dem again.',
+    'goal.current': 'Your daily goal na {goal} questions, and you don ask {asked} today. ' +
+        'Send /goal plus number to change am, or /goal off to stop am.',
+    'goal.none': 'You no get daily goal. Send /goal plus how many questions you wan ask every day, like /goal 5',
+    'goal.off': 'Daily goal don off.',
+    'goal.invalid': 'Abeg send number of questions from 1 reach {max}, like /goal 5',
+    'goal.set': 'Your daily goal na {goal} questions now. Florence* go check how you dey do by {time} every day.',
+    'quiet.current': 'Your quiet hours na {start}-{end}.',
+    'quiet.none': 'You no get quiet hours.',
+    'quiet.usage': 'Send /quiet plus the time wey e go start and end, like /quiet 22:00-07:00, or /quiet off.',
+    'quiet.off': 'Quiet hours don off.',
+    'quiet.invalid': 'Abeg send the time wey e go start and end, like /quiet 22:00-07:00',
+    'quiet.set': 'Florence* no go send you reminders between {start} and {end}. ' +
+        'Reminders wey fall for that time go skip, and streak warnings go wait till your quiet hours end.',
+    'timezone.current': 'Your timezone na {timezone}, where e be {time} now. ' +
+        'To change am, send /timezone plus the timezone name, like /timezone Africa/Lagos or /timezone Europe/London',
+    'timezone.unknown': 'Florence* no sabi the timezone {timezone}. Try name like Africa/Lagos, Africa/Accra or Europe/London.',
+    'timezone.set': 'Your timezone na {timezone} now, where e be {time}. Your reminders and streak days go follow this clock from now.',
+    'stop.done': 'Florence* no go send you reminders or nudges again. You fit still ask questions like before. Send /start to on dem again.',
+
+    // Referral command
+    'refer.joined': 'E don set! You join with {name} code. Ask {questions} questions and you go get {bonus} bonus tokens.',
+    'refer.code': 'Your referral code na {code}\n\n' +
+        'Share one of these links with your friends:\n{links}\n\n' +
+        'When friend join with your code and ask {questions} questions, ' +
+        'you go get {bonus} tokens and dem go get {welcomeBonus}. ' +
+        'So far, {joined} friends don join and {rewarded} don bring you bonus.',
+    'referral.alreadyJoined': 'You don already join with referral code.',
+    'referral.noCode': 'No referral code {code} dey. Check am and try again.',
+    'referral.ownCode': 'You no fit use your own referral code. Share am with your friends instead!',
+    'referral.tooLate': 'You fit only use referral code for your first {days} days for Florence*.',
+    'referral.joinedAfter': 'You fit only use the code of person wey join Florence* before you.',
+
+    // Account linking
+    'channel.whatsapp': 'WhatsApp',
+    'channel.telegram': 'Telegram',
+    'channel.web': 'the web',
+    'channel.list': ({ names }) => names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0],
+    'link.linkedOn': 'Your account dey linked for {channels}.',
+    'link.code': 'Your link code na {boldCode}\n\n' +
+        'Before {minutes} minutes pass, send /link {code} to Florence* for your other channel. ' +
+        'Your tokens, streak, history and settings go join become one account. ' +
+        'No share this code: anybody wey send am go fit use your tokens.',
+    'link.summary': 'Your accounts don link for {channels}, with {tokens} tokens and {streak}-day streak. ' +
+        'Send /unlink to separate dem again.',
+    'link.done': '🔗 E don link! {summary}',
+    'link.doneOther': '🔗 Your {channel} account don link with this one. {summary}',
+    'link.sameAccount': 'That code na for this same account. Send am from Florence* for your other channel.',
+    'link.sameChannel': 'The two accounts dey {channel}. You fit only link accounts wey dey different channels.',
+    'link.referred': 'One of these accounts join with the other one referral code, so dem no fit link.',
+    'link.busy': 'Florence* still dey answer message for one of these accounts. Send the code again after one minute.',
+    'link.badCode': 'That code no correct or e don expire. Send /link for your other channel to get new one.',
+    'link.noAccount': 'The account for that code no dey again.',
+    'unlink.none': 'Your account no link with any other channel. Send /link to link one.',
+    'unlink.usage': 'To separate one channel, send /unlink plus im name, like /unlink {example}. ' +
+        'Your tokens, streak and history go stay with this account, and that channel go start again with no tokens.',
+    'unlink.homeChannel': 'This account start for {channel}, so you no fit unlink that channel. Unlink the others instead.',
+    'unlink.notLinked': '{channel} no link with this account.',
+    'unlink.thisChat': 'This chat don unlink and e get im own account now, with no tokens.',
+    'unlink.done': '{channel} don unlink and e get im own account now, with no tokens.',
+    'unlink.kept': 'Your {tokens} tokens, streak and history still dey for {channels}.',
+    'unlink.notice': 'This chat don unlink from your other Florence* account and e get im own now, with no tokens. Send /payments to top up.',
+
+    // Admin commands
+    'admin.usage': 'Admin commands:\n' +
+        '/admin users [search] - find users by id, name or username\n' +
+        '/admin user <id> - user balance and im last history\n' +
+        '/admin adjust <id> <amount> <reason> - give tokens, or remove dem with negative amount\n' +
+        '/admin payments - payments wey enter recently\n' +
+        '/admin broadcast <message> - send announcement to every user',
+    'admin.noUsers': 'No user dey.',
+    'admin.noName': 'no name',
+    'admin.userLine': '{id} - {name}, {tokens} tokens',
+    'admin.users': ({ total, shown, lines }) =>
+        `${total} users${total > shown ? `, the newest ${shown} be this` : ''}:\n\n${lines}`,
+    'admin.noUser': 'No user {id}. Find ids with /admin users',
+    'admin.user': '{id} - {name}\n{tokens} tokens, {streak}-day streak, join {joined}\n\nLast history:\n{history}',
+    'admin.noHistory': 'nothing',
+    'admin.adjustUsage': 'No user {id}. Send /admin adjust <id> <amount> <reason>',
+    'admin.adjusted': 'E don set. {id} get {tokens} tokens now.',
+    'admin.badAmount': 'Amount must be whole number of tokens wey no be 0.',
+    'admin.noReason': 'You must give reason.',
+    'admin.notEnough': '{id} get only {tokens} tokens.',
+    'admin.noPayments': 'No payment yet.',
+    'admin.paymentLine': '{date}: {amount} {currency} from {id}, {tokens} tokens',
+    'admin.payments': 'Last payments:\n\n{lines}',
+    'admin.broadcastUsage': 'Send /admin broadcast plus the announcement.',
+    'admin.broadcasting': 'Florence* dey send your announcement to every user. E go tell you when e finish.',
+    'admin.broadcastDone': 'Announcement don reach {sent} users. {skipped} skip (dem off am or dem dey outside WhatsApp 24-hour window), {failed} fail.',
+
+    // Command descriptions
+    'commands.start': 'Florence* dey hear you now.',
+    'commands.about': 'to know more about Florence*.',
+    'commands.tokens': 'see how many tokens remain for you.',
+    'commands.streak': 'see your streak.',
+    'commands.freeze': `buy streak freeze to cover one day wey you miss (${STREAK_FREEZE_COST} tokens).`,
+    'commands.history': 'see where your tokens go.',
+    'commands.payments': 'Top up your tokens* with one click.',
+    'commands.new': 'start new conversation.',
+    'commands.language': 'choose the language Florence* go dey talk with you.',
+    'commands.help': 'see all the commands.',
+    'commands.link': 'use one account for WhatsApp, Telegram and the web, with the same tokens and streak.',
+    'commands.unlink': 'separate account wey you link with /link.',
+    'commands.profile': 'see wetin Florence* know about your studies.',
+    'commands.subject': 'set the subject wey you dey read, like /subject Chemistry.',
+    'commands.level': 'set your class or level, like /level SSS2 or /level 100-level.',
+    'commands.exam': 'set the exam wey you dey prepare for: WAEC, NECO, JAMB or post-UTME.',
+    'commands.mode': 'choose full answers or step-by-step hints wey go make you do the work: /mode hint or /mode answer.',
+    'commands.reveal': `for hint mode, see the full solution to the current question (${REVEAL_COST} tokens).`,
+    'commands.quiz': `test yourself with multiple-choice questions (${QUIZ_COST} tokens for each quiz).`,
+    'commands.save': `turn Florence* last answer to flashcards (${SAVE_COST} tokens).`,
+    'commands.review': 'practise the flashcards wey don due.',
+    'commands.remind': 'get study reminder for the same time every day, like /remind 19:00 revise chemistry.',
+    'commands.goal': `set how many questions you wan ask every day, and get check-in by ${GOAL_CHECKIN_TIME}.`,
+    'commands.quiet': 'set the hours wey Florence* no go send you reminders, like /quiet 22:00-07:00.',
+    'commands.timezone': 'set your timezone, so reminders and streak days go follow your clock.',
+    'commands.stop': 'stop all reminders and nudges.',
+    'commands.refer': `invite your friends and get ${REFERRAL_BONUS} tokens for each one wey start to learn.`,
+    'commands.admin': 'manage users, tokens and announcements.',
+
+    // Command arguments
+    'usage.quiz': '<topic> [how many]',
+    'usage.refer': '[your friend code]',
+    'usage.remind': '<time> <wetin you wan read>'
+};
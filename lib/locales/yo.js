@@ -0,0 +1,320 @@
+// Yorùbá. Keys and placeholders are the same as en.js; anything missing here is
+// sent in English.
+import { GOAL_CHECKIN_TIME, QUIZ_COST, REFERRAL_BONUS, REVEAL_COST, SAVE_COST, STREAK_FREEZE_COST } from '../config.js';
+
+export const MESSAGES = {
+    // Welcome and prompts
+    'welcome': ({ bold, tokens, commands }) =>
+        `Ẹ n lẹ́ o! Ẹ kú àbọ̀ sí Florence*, olùrànlọ́wọ́ ẹ̀kọ́ tó wà ní ìkáwọ́ yín.\n\n` +
+        `Lílo Florence* máa ń ná yín ní ${bold('tokens*')}. Ẹ máa ń rí wọn gbà láti ìgbà dé ìgbà, ` +
+        `ṣùgbọ́n ẹ tún lè ra òmíràn nígbàkígbà.\n\n` +
+        `Ẹ ní tokens* ${tokens} báyìí. Ẹ fi ọ̀rọ̀, àwòrán, tàbí ìwé bíi PDF àti àkọsílẹ̀ ìdánilẹ́kọ̀ọ́ ránṣẹ́, ` +
+        `ẹ ó sì rí ìdáhùn lẹ́sẹ̀kẹsẹ̀. Ìdáhùn kọ̀ọ̀kan ń ná tokens* gẹ́gẹ́ bí iye tí Florence* kà tí ó sì kọ: ` +
+        `ìbéèrè kúkúrú sábà máa ń jẹ́ token* kan, ṣùgbọ́n ìwé gígùn àti ìdáhùn gígùn máa ń ná jù bẹ́ẹ̀ lọ.\n\n` +
+        `Àwọn àṣẹ díẹ̀ tó máa ràn yín lọ́wọ́ nìyí:\n\n` +
+        `${commands}\n\n` +
+        `${bold('Ẹ ṣàkíyèsí:')} Gbogbo ọ̀rọ̀ tí kì í ṣe àṣẹ ni a ó kà sí ìbéèrè.`,
+    'prompt.unreadable': 'Ọ̀rọ̀, àwòrán àti ìwé (PDF, Word tàbí fáìlì ọ̀rọ̀) nìkan ni Florence* lè kà fún báyìí.',
+    'prompt.noTokens': 'Tokens yín ti tán. Ẹ jọ̀wọ́ ra òmíràn pẹ̀lú /payments',
+    'prompt.tooManyFiles': 'Ẹ má bínú, a kò lè gba àwòrán/ìwé tó pọ̀ tó báyìí lẹ́ẹ̀kan. Ẹ jọ̀wọ́ fi {max} tàbí díẹ̀ ránṣẹ́ lẹ́ẹ̀kan.',
+    'prompt.unsupported': 'Ẹ má bínú, Florence* kò tíì lè ka {files}. Ẹ jọ̀wọ́ fi àwòrán JPEG, PNG, GIF tàbí WebP ránṣẹ́, tàbí ìwé PDF, Word tàbí fáìlì ọ̀rọ̀.',
+    'prompt.tooBig': 'Ẹ jọ̀wọ́ fi fáìlì tí kò tó {mb} MB ránṣẹ́.',
+    'document.unnamed': 'Ìwé náà',
+    'document.empty': '{name} dàbí ẹni pé ó ṣófo. Ẹ jọ̀wọ́ ẹ ṣàyẹ̀wò fáìlì náà kí ẹ sì tún fi ránṣẹ́.',
+    'document.tooLong': '{name} ní ojú ìwé {pages}. Ẹ jọ̀wọ́ ẹ fi àwọn ìwé tí kò ju ojú ìwé {max} lọ ránṣẹ́.',
+    'document.unreadable': '{name} kò ṣeé kà. Ó lè ti bàjẹ́ tàbí kí ó ní ọ̀rọ̀ìgbaniwọlé.',
+    'prompt.notCharged': 'A kò gba owó kankan lọ́wọ́ yín.',
+    'prompt.processing': 'Florence* ń ṣiṣẹ́ lórí rẹ̀...',
+    'prompt.cost': '(token {charge} ni a lò, {tokens} ló kù)',
+    'command.unknown': 'Florence* kò mọ /{name}. Ẹ fi /help ránṣẹ́ láti rí gbogbo àṣẹ.',
+
+    // Prices
+    'quote.tooLong': 'Èyí gùn jù fún ìbéèrè kan: yóò ná tó tokens {needed}, ṣùgbọ́n ohun tó pọ̀ jù tí ìbéèrè kan ' +
+        'lè ná lórí ètò {plan} ni {max}. Ẹ jọ̀wọ́ fi díẹ̀ ránṣẹ́ lẹ́ẹ̀kan.',
+    'quote.notEnough': 'Èyí nílò tokens tó tó {needed}, ṣùgbọ́n {tokens} lẹ ní. Ẹ fi díẹ̀ ránṣẹ́ lẹ́ẹ̀kan tàbí kí ẹ ra òmíràn pẹ̀lú /payments',
+    'plan.free': 'ọ̀fẹ́',
+    'plan.paid': 'ti ìsanwó',
+
+    // Claude errors
+    'error.busy': 'Ọwọ́ Florence* dí gan-an báyìí. Ẹ jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i lẹ́yìn ìṣẹ́jú díẹ̀.',
+    'error.timeout': 'Florence* pẹ́ jù kó tó dáhùn. Ẹ jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i, tàbí kí ẹ béèrè ìbéèrè tó kúrú.',
+    'error.unreadable': 'Florence* kò lè ka ìyẹn. Tí ẹ bá fi fáìlì ránṣẹ́, ẹ rí i dájú pé ó ń ṣí, tàbí kí ẹ fi díẹ̀ ránṣẹ́ lẹ́ẹ̀kan.',
+    'error.general': 'Ẹ má bínú, àṣìṣe kan ṣẹlẹ̀ nígbà tí a ń ṣiṣẹ́ lórí ìbéèrè yín. Ẹ jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i.',
+
+    // Rewards and referrals
+    'reward.activity': 'Ẹ ti gba tokens {tokens} nítorí pé ẹ ń ṣiṣẹ́ déédéé! 🎉',
+    'referral.joined': 'Ẹ darapọ̀ pẹ̀lú kóòdù ìtọ́kasí {name}! Ẹ béèrè ìbéèrè {questions}, ẹ̀yin méjèèjì yóò sì gba tokens ẹ̀bùn.',
+    'referral.aFriend': 'ọ̀rẹ́ yín',
+    'referral.welcomeBonus': '🎁 A dúpẹ́ pé ẹ ń kẹ́kọ̀ọ́ pẹ̀lú Florence*! Ẹ ti gba tokens {bonus} nítorí pé ẹ darapọ̀ pẹ̀lú kóòdù ọ̀rẹ́ yín.',
+    'referral.referrerBonus': '🎁 {name} ti darapọ̀ mọ́ Florence* pẹ̀lú kóòdù yín. Ẹ ti gba tokens {bonus}! Ẹ fi /refer ránṣẹ́ láti pe àwọn ọ̀rẹ́ míì.',
+    'referral.someone': 'Ọ̀rẹ́ yín kan',
+    'streak.freezesUsed': '🧊 Streak freeze ({count}) dáàbò bo streak yín nígbà tí ẹ kò sí. Streak yín ti di ọjọ́ {streak} báyìí!',
+    'streak.broken': 'Streak yín tó kọjá ti parí, ṣùgbọ́n òní ni ọjọ́ kìíní ti tuntun. Ẹ tún kẹ́kọ̀ọ́ lọ́la kí ó lè máa bá a lọ!',
+    'streak.reward': '🔥 Ẹ kú oríire! Ẹ ti ṣe streak ọjọ́ {streak}! Ẹ ti gba tokens ẹ̀bùn {reward}! 🎉',
+    'streak.freezeEarned': '🧊 Ẹ ti gba streak freeze fún ọjọ́ {streak} léraléra! Yóò bo ọjọ́ kan tí ẹ bá pàdánù. Ẹ ní {freezes}.',
+    'freeze.max': 'Ẹ ti ní streak freeze {freezes}, èyí tó pọ̀ jù tí ẹ lè ní.',
+    'freeze.cantAfford': 'Streak freeze kan jẹ́ tokens {cost}, ṣùgbọ́n {tokens} lẹ ní. Ẹ ra òmíràn pẹ̀lú /payments',
+
+    // Account commands
+    'start.hello': 'Ẹ n lẹ́ {name}, ẹ kú àbọ̀ sí Florence*! Kí lẹ fẹ́ ìrànlọ́wọ́ lé lórí lónìí?\n\nẸ ní tokens {tokens}.',
+    'start.remindersOn': 'Àwọn ìrántí ti padà. Ẹ fi /stop ránṣẹ́ láti pa wọ́n lẹ́ẹ̀kan sí i.',
+    'about': 'Florence* ni olùrànlọ́wọ́ ẹ̀kọ́ tó wà ní ìkáwọ́ yín. Ẹ wo ìsọfúnni sí i níbí: <link>.',
+    'tokens.balance': ({ name, tokens, plan, planName, max, days }) =>
+        `Ẹ n lẹ́ ${name}, ẹ ní tokens ${tokens}. Láti ra òmíràn, ẹ fi /payments ránṣẹ́.\n\n` +
+        `Ìdáhùn kọ̀ọ̀kan ń ná gẹ́gẹ́ bí iye tí Florence* kà tí ó sì kọ. Ẹ wà lórí ètò ${planName}, ` +
+        `nítorí náà ìbéèrè kan kò lè ná ju tokens ${max} lọ` +
+        (plan === 'free' ? `. Ẹ ra tokens láti gba ìdáhùn tó gùn jù fún ọjọ́ ${days}.` : `, ìdáhùn sì lè gùn jù.`),
+    'tokens.low': 'Tokens yín ti ń tán. Ẹ ra òmíràn nípa fífi /payments ránṣẹ́.',
+    'streak.status': 'Ẹ n lẹ́ {name}, ẹ wà lórí streak ọjọ́ {streak}. Ẹ fi ìbéèrè kan ránṣẹ́ lójoojúmọ́ kí ó lè máa bá a lọ!\n\n' +
+        'Ẹ ní streak freeze {freezes}. Ọ̀kọ̀ọ̀kan ń bo ọjọ́ kan tí ẹ bá pàdánù; ẹ fi /freeze ránṣẹ́ láti mọ̀ sí i.',
+    'freeze.about': 'Streak freeze máa ń jẹ́ kí streak yín máa bá a lọ ní ọjọ́ tí ẹ kò kẹ́kọ̀ọ́. ' +
+        'Ẹ máa ń gba ọ̀kan fún ọjọ́ {every} léraléra, tàbí kí ẹ ra ọ̀kan ní tokens {cost} ' +
+        'pẹ̀lú /freeze buy. Ẹ lè ní tó {max}, ẹ sì ní {freezes}.',
+    'freeze.bought': '🧊 Ẹ ti ra streak freeze! Ẹ ní {freezes} báyìí, àti tokens {tokens}.',
+    'history.empty': 'Ẹ kò tíì ní ìtàn tokens kankan.',
+    'history.line': '{date}: {amount} ({reason}), ìyókù {balance}',
+    'history.list': 'Ìtàn tokens yín láìpẹ́ yìí:\n\n{lines}\n\nẸ ní tokens {tokens}.',
+    'payments.invalid': 'Ẹ jọ̀wọ́ kọ iye owó tó kéré jù {price} naira, bí àpẹẹrẹ /payments {example}',
+    'payments.link': 'Token kọ̀ọ̀kan jẹ́ {price} naira. Ẹ san {amount} naira fún tokens {tokens} níbí:\n\n' +
+        '{link}\n\n' +
+        'A ó fi tokens yín kún un fúnra rẹ̀ ní kété tí a bá ti jẹ́rìí sí ìsanwó náà. ' +
+        'Láti ra iye míì, ẹ fi /payments ránṣẹ́ pẹ̀lú iye owó ní naira.',
+    'payments.failed': 'Ẹ má bínú, a kò lè ṣe ìjápọ̀ ìsanwó báyìí. Ẹ jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i lẹ́yìn ìṣẹ́jú díẹ̀.',
+    'payments.received': 'A ti gba ìsanwó {amount} naira! A ti fi tokens {tokens} kún àkọọ́lẹ̀ yín. ' +
+        'Ẹ ní tokens {balance} báyìí.',
+
+    // Other commands
+    'new.done': 'A ti bẹ̀rẹ̀ ìjíròrò tuntun. Florence* ti gbàgbé ìjíròrò tó kọjá.',
+    'help': 'Gbogbo ohun tí Florence* lè ṣe nìyí:\n\n{commands}',
+    'language.current': 'Florence* ń bá yín sọ̀rọ̀ ní {language}. Láti yí i padà, ẹ fi /language ránṣẹ́ pẹ̀lú ọ̀kan nínú: {languages}.',
+    'language.set': 'Láti ìsinsìnyí lọ, Florence* yóò máa bá yín sọ̀rọ̀ ní {language}, yóò sì máa dáhùn ìbéèrè yín ní {language}.',
+    'language.unknown': 'Florence* kò tíì gbọ́ {language}. Ẹ yan ọ̀kan nínú: {languages}.',
+
+    // Reminders and nudges
+    'reminder': '⏰ Ìrántí: {text}',
+    'reminder.stop': '(Ẹ fi /stop ránṣẹ́ láti pa àwọn ìrántí.)',
+    'goal.hit': '🎯 Ẹ ti dé àfojúsùn òní: ìbéèrè {asked} nínú {goal}. Ẹ kú iṣẹ́!',
+    'goal.progress': '📚 Ẹ ti béèrè ìbéèrè {asked} nínú {goal} lónìí. Àkókò ṣì wà láti dé àfojúsùn yín!',
+    'streak.nudge': '⏳ Streak ọjọ́ {streak} yín yóò parí ní wákàtí {hours}! Ẹ fi ìbéèrè ránṣẹ́ sí Florence* tàbí kí ẹ ṣe /review kí ó lè máa bá a lọ.',
+
+    // Answer modes
+    'mode.answer': 'Florence* yóò ṣàlàyé, yóò sì fún yín ní ojútùú kíkún.',
+    'mode.hint': 'Florence* yóò tọ́ yín sọ́nà ní ìgbésẹ̀ kọ̀ọ̀kan, yóò sì ní kí ẹ gbìyànjú fúnra yín; ẹ fi /reveal ránṣẹ́ fún ojútùú kíkún.',
+    'mode.current': 'Ẹ wà ní ipò {mode}. {description}\n\nẸ fi /mode hint tàbí /mode answer ránṣẹ́ láti yí i padà.',
+    'mode.currentGroup': 'Ẹ wà ní ipò {mode}, èyí tí àwọn alábòójútó ẹgbẹ́ yìí yàn fún un. {description}\n\nẸ fi /mode hint tàbí /mode answer ránṣẹ́ láti yí i padà.',
+    'mode.usage': 'Ẹ fi /mode hint ránṣẹ́ fún ìtọ́sọ́nà ní ìgbésẹ̀ kọ̀ọ̀kan, tàbí /mode answer fún ìdáhùn kíkún.',
+    'mode.adminsOnly': 'Àwọn alábòójútó ẹgbẹ́ yìí nìkan ló lè yí ipò rẹ̀ padà.',
+    'mode.groupSet': 'Ẹgbẹ́ yìí ti wà ní ipò {mode} fún gbogbo ènìyàn báyìí. {description}',
+    'mode.set': 'Ẹ ti wà ní ipò {mode} báyìí. {description}',
+    'reveal.answerMode': 'Ẹ wà ní ipò answer, nítorí náà Florence* ti ń fún yín ní ojútùú kíkún. Ipò hint ni /reveal wà fún.',
+    'reveal.nothing': 'Kò sí nǹkan láti ṣí payá síbẹ̀. Ẹ kọ́kọ́ fi ìbéèrè ránṣẹ́ sí Florence*.',
+    'reveal.cantAfford': 'Ṣíṣí ojútùú payá jẹ́ tokens {cost}, ṣùgbọ́n {tokens} lẹ ní. Ẹ ra òmíràn pẹ̀lú /payments',
+    'reveal.working': 'Florence* ń ṣiṣẹ́ lórí ojútùú kíkún...',
+
+    // Tutoring profile
+    'profile.show': 'Àkọsílẹ̀ ẹ̀kọ́ yín:\n\n{profile}\n\nFlorence* máa ń ṣe ìdáhùn rẹ̀ bá a mu. Ẹ yí i padà pẹ̀lú /subject, /level àti /exam.',
+    'profile.describe': 'Ẹ̀kọ́: {subject}\nIpele: {level}\nÌdánwò: {exam}',
+    'profile.anySubject': 'èyíkéyìí',
+    'profile.notSet': 'kò tíì yàn',
+    'subject.current': 'Ẹ̀kọ́ yín ni {subject}.',
+    'subject.none': 'Ẹ kò tíì yan ẹ̀kọ́ kankan.',
+    'subject.usage': 'Ẹ fi /subject ránṣẹ́ pẹ̀lú orúkọ ẹ̀kọ́ kan, bí àpẹẹrẹ /subject Chemistry, tàbí /subject clear.',
+    'subject.cleared': 'A ti pa ẹ̀kọ́ rẹ́. Florence* yóò ràn yín lọ́wọ́ lórí ohunkóhun tí ẹ bá béèrè.',
+    'subject.set': 'Ẹ̀kọ́ yín ti di {subject} báyìí. Ẹ ṣì lè béèrè nípa ohunkóhun míì.',
+    'subject.missing': 'Ẹ jọ̀wọ́ dárúkọ ẹ̀kọ́ kan, bí àpẹẹrẹ /subject Chemistry',
+    'subject.tooLong': 'Ẹ jọ̀wọ́ jẹ́ kí orúkọ ẹ̀kọ́ náà kéré sí lẹ́tà {max}.',
+    'level.current': 'Ipele yín ni {level}.',
+    'level.none': 'Ẹ kò tíì yan ipele kankan.',
+    'level.usage': 'Ẹ fi /level ránṣẹ́ pẹ̀lú primary, JSS1-3, SSS1-3, 100-level sí 500-level tàbí postgraduate, tàbí /level clear.',
+    'level.cleared': 'A ti pa ipele rẹ́.',
+    'level.unknown': 'Florence* kò mọ ipele yẹn. Ẹ jọ̀wọ́ yan primary, JSS1-3, SSS1-3, 100-level sí 500-level tàbí postgraduate.',
+    'level.set': 'Ipele yín ti di {level} báyìí. Florence* yóò ṣe ìdáhùn rẹ̀ bá a mu.',
+    'exam.current': 'Ẹ ń múra sílẹ̀ fún {exam}.',
+    'exam.none': 'Ẹ kò tíì yan ìdánwò kankan.',
+    'exam.usage': 'Ẹ fi /exam ránṣẹ́ pẹ̀lú ọ̀kan nínú {exams}, tàbí /exam clear.',
+    'exam.cleared': 'A ti pa ìdánwò rẹ́.',
+    'exam.unknown': 'Florence* kò mọ ìdánwò yẹn. Ẹ jọ̀wọ́ yan ọ̀kan nínú {exams}.',
+    'exam.set': 'Ẹ ti ń múra sílẹ̀ fún {exam} báyìí. Florence* yóò tẹ̀lé sílébọ́ọ̀sì rẹ̀ àti bí wọ́n ṣe ń dáhùn níbẹ̀.',
+
+    // Quizzes
+    'quiz.usage': 'Ẹ fi /quiz ránṣẹ́ pẹ̀lú kókó ọ̀rọ̀ kan àti, tí ẹ bá fẹ́, iye ìbéèrè tí ẹ fẹ́ ' +
+        '(kò ju {max} lọ), bí àpẹẹrẹ /quiz photosynthesis 10\n\n{scores}',
+    'quiz.noResults': 'Ẹ kò tíì parí quiz kankan.',
+    'quiz.results': 'Àwọn máàkì yín láìpẹ́ yìí:\n{results}',
+    'quiz.notRunning': 'Ẹ kò ní quiz kankan tó ń lọ lọ́wọ́.',
+    'quiz.stopped': 'Quiz ti dúró. Ẹ fi /quiz ránṣẹ́ láti bẹ̀rẹ̀ òmíràn.',
+    'quiz.cantAfford': 'Quiz kan jẹ́ tokens {cost}, ṣùgbọ́n {tokens} lẹ ní. Ẹ ra òmíràn pẹ̀lú /payments',
+    'quiz.preparing': 'Florence* ń pèsè ìbéèrè {count} lórí {topic}...',
+    'quiz.failed': 'Ẹ má bínú, Florence* kò lè kọ quiz yẹn. A kò gba owó kankan lọ́wọ́ yín. Ẹ jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i.',
+    'quiz.question': 'Ìbéèrè {number}/{total}\n\n{question}\n\nẸ fi A, B, C tàbí D dáhùn.',
+    'quiz.answerPlease': 'Ẹ jọ̀wọ́ ẹ fi A, B, C tàbí D nìkan dáhùn, tàbí ẹ fi /quiz stop ránṣẹ́ láti parí quiz náà.',
+    'quiz.notAnAnswer': 'Ìyẹn kò dàbí ìdáhùn, nítorí náà quiz ti parí. A ti dá tokens {refund} padà fún yín fún àwọn ìbéèrè tí ẹ kò dáhùn. Ẹ fi /quiz ránṣẹ́ láti bẹ̀rẹ̀ òmíràn.',
+    'quiz.correct': '✅ Ó tọ̀nà!',
+    'quiz.wrong': '❌ Kò tọ̀nà. Ìdáhùn náà ni {answer}.',
+    'quiz.complete': 'Quiz ti parí! Ẹ gba {correct}/{total} lórí {topic}. Ẹ fi /quiz ránṣẹ́ láti wo àwọn máàkì yín tàbí láti bẹ̀rẹ̀ òmíràn.',
+
+    // Flashcards
+    'save.nothing': 'Kò sí nǹkan láti fi pamọ́ síbẹ̀. Ẹ béèrè nǹkan lọ́wọ́ Florence*, lẹ́yìn náà ẹ fi /save ránṣẹ́.',
+    'save.cantAfford': 'Fífi flashcards pamọ́ jẹ́ tokens {cost}, ṣùgbọ́n {tokens} lẹ ní. Ẹ ra òmíràn pẹ̀lú /payments',
+    'save.failed': 'Ẹ má bínú, Florence* kò lè ṣe flashcards láti inú ìdáhùn yẹn. A kò gba owó kankan lọ́wọ́ yín.',
+    'save.done': 'A ti fi flashcards {count} pamọ́:\n\n{cards}\n\n' +
+        'Ẹ fi /review ránṣẹ́ láti dá wọn lẹ́kọ̀ọ́. Bí ẹ ṣe ń mọ̀ wọ́n sí i, Florence* yóò máa fi àkókò sí àárín àtúnyẹ̀wò.',
+    'review.noCards': 'Ẹ kò tíì ní flashcards kankan. Ẹ béèrè nǹkan lọ́wọ́ Florence*, lẹ́yìn náà ẹ fi /save ránṣẹ́ láti ṣe díẹ̀.',
+    'review.nextDue': 'Ẹ ní flashcards {count}. Èyí tó kàn yóò tó àkókò ní {date}.',
+    'review.notRunning': 'Ẹ kò ní àtúnyẹ̀wò kankan tó ń lọ lọ́wọ́.',
+    'review.stopped': 'Àtúnyẹ̀wò ti dúró. A ti ṣètò àkókò tuntun fún àwọn káàdì tí ẹ ti fún ní máàkì.',
+    'review.nothingDue': 'Kò sí nǹkan tó tó àkókò àtúnyẹ̀wò báyìí. {next}',
+    'review.start': 'Káàdì {count} ló wà fún àtúnyẹ̀wò. Ẹ gbìyànjú láti dáhùn ọ̀kọ̀ọ̀kan kí ẹ tó rí ìdáhùn.',
+    'review.card': 'Káàdì {number}/{total}\n\n{front}',
+    'review.answer': 'Ìdáhùn: {back}\n\nBáwo lẹ ṣe rántí i tó? Ẹ fi {grades} dáhùn.',
+    'review.grade.1': 'Mo gbàgbé',
+    'review.grade.2': 'Ó le',
+    'review.grade.3': 'Ó dára',
+    'review.grade.4': 'Ó rọrùn',
+    'review.notAGrade': 'Ìyẹn kì í ṣe máàkì, nítorí náà àtúnyẹ̀wò ti parí. A ti ṣètò àkókò tuntun fún àwọn káàdì tí ẹ ti fún ní máàkì.',
+    'review.complete': 'Àtúnyẹ̀wò ti parí! Ẹ ti ṣe káàdì {count}. {next}',
+
+    // Reminder commands
+    'remind.none': 'Ẹ kò ní ìrántí kankan.',
+    'remind.list': 'Àwọn ìrántí yín:\n{reminders}\n\nLáti pa ọ̀kan rẹ́, ẹ fi /remind cancel ránṣẹ́ pẹ̀lú nọ́ńbà rẹ̀.',
+    'remind.usage': 'Láti fi ọ̀kan kún un, ẹ fi /remind ránṣẹ́ pẹ̀lú àkókò àti ohun tí ẹ fẹ́ kà, bí àpẹẹrẹ /remind 19:00 revise chemistry',
+    'remind.cancelUsage': 'Ẹ fi /remind cancel ránṣẹ́ pẹ̀lú nọ́ńbà ìrántí náà, láti inú àkójọ tí /remind ń fi hàn.',
+    'remind.deleted': 'A ti pa ìrántí {time} yín rẹ́.',
+    'remind.invalid': 'Ẹ jọ̀wọ́ fi àkókò àti ohun tí ẹ fẹ́ kà ránṣẹ́, bí àpẹẹrẹ /remind 19:00 revise chemistry tàbí /remind 7pm practise maths.',
+    'remind.max': 'Ẹ lè ní ìrántí tó {max}. Ẹ kọ́kọ́ pa ọ̀kan rẹ́ pẹ̀lú /remind cancel.',
+    'remind.set': 'Ó ti di ṣíṣe! Florence* yóò rán yín létí "{text}" ní {time} lójoojúmọ́.',
+    'remind.quiet': 'Ìyẹn bọ́ sí àkókò ìdákẹ́ yín, nítorí náà ẹ kò ní rí i gbà títí ẹ ó fi yí wọn padà pẹ̀lú /quiet.',
+    'remind.off': 'Àwọn ìrántí ti wà ní pípa; ẹ fi /start ránṣẹ́ láti tàn wọ́n padà.',
+    'goal.current': 'Àfojúsùn ojoojúmọ́ yín jẹ́ ìbéèrè {goal}, ẹ sì ti béèrè {asked} lónìí. ' +
+        'Ẹ fi /goal ránṣẹ́ pẹ̀lú nọ́ńbà kan láti yí i padà, tàbí /goal off láti dá a dúró.',
+    'goal.none': 'Ẹ kò ní àfojúsùn ojoojúmọ́. Ẹ fi /goal ránṣẹ́ pẹ̀lú iye ìbéèrè tí ẹ fẹ́ béèrè lójoojúmọ́, bí àpẹẹrẹ /goal 5',
+    'goal.off': 'A ti pa àfojúsùn ojoojúmọ́.',
+    'goal.invalid': 'Ẹ jọ̀wọ́ fi iye ìbéèrè láti 1 sí {max} ránṣẹ́, bí àpẹẹrẹ /goal 5',
+    'goal.set': 'Àfojúsùn ojoojúmọ́ yín ti di ìbéèrè {goal} báyìí. Florence* yóò máa yẹ ìlọsíwájú yín wò ní {time} lójoojúmọ́.',
+    'quiet.current': 'Àkókò ìdákẹ́ yín jẹ́ {start}-{end}.',
+    'quiet.none': 'Ẹ kò ní àkókò ìdákẹ́.',
+    'quiet.usage': 'Ẹ fi /quiet ránṣẹ́ pẹ̀lú àkókò ìbẹ̀rẹ̀ àti ìparí, bí àpẹẹrẹ /quiet 22:00-07:00, tàbí /quiet off.',
+    'quiet.off': 'A ti pa àkókò ìdákẹ́.',
+    'quiet.invalid': 'Ẹ jọ̀wọ́ fi àkókò ìbẹ̀rẹ̀ àti ìparí ránṣẹ́, bí àpẹẹrẹ /quiet 22:00-07:00',
+    'quiet.set': 'Florence* kò ní fi ìrántí ránṣẹ́ sí yín láàárín {start} àti {end}. ' +
+        'A ó fo àwọn ìrántí tó bọ́ sí àkókò yẹn, ìkìlọ̀ streak yóò sì dúró títí àkókò ìdákẹ́ yín yóò fi parí.',
+    'timezone.current': 'Àgbègbè àkókò yín ni {timezone}, níbi tí aago ti jẹ́ {time} báyìí. ' +
+        'Láti yí i padà, ẹ fi /timezone ránṣẹ́ pẹ̀lú orúkọ àgbègbè àkókò, bí àpẹẹrẹ /timezone Africa/Lagos tàbí /timezone Europe/London',
+    'timezone.unknown': 'Florence* kò mọ àgbègbè àkókò {timezone}. Ẹ gbìyànjú orúkọ bí Africa/Lagos, Africa/Accra tàbí Europe/London.',
+    'timezone.set': 'Àgbègbè àkókò yín ti di {timezone} báyìí, níbi tí aago ti jẹ́ {time}. Àwọn ìrántí àti ọjọ́ streak yín yóò máa tẹ̀lé aago yìí láti ìsinsìnyí lọ.',
+    'stop.done': 'Florence* kò ní fi ìrántí tàbí ìkìlọ̀ ránṣẹ́ sí yín mọ́. Ẹ ṣì lè béèrè ìbéèrè bí i ti tẹ́lẹ̀. Ẹ fi /start ránṣẹ́ láti tàn wọ́n padà.',
+
+    // Referral command
+    'refer.joined': 'Ó ti di ṣíṣe! Ẹ darapọ̀ pẹ̀lú kóòdù {name}. Ẹ béèrè ìbéèrè {questions}, ẹ ó sì gba tokens ẹ̀bùn {bonus}.',
+    'refer.code': 'Kóòdù ìtọ́kasí yín ni {code}\n\n' +
+        'Ẹ pín ọ̀kan nínú àwọn ìjápọ̀ yìí pẹ̀lú àwọn ọ̀rẹ́ yín:\n{links}\n\n' +
+        'Tí ọ̀rẹ́ kan bá darapọ̀ pẹ̀lú kóòdù yín tí ó sì béèrè ìbéèrè {questions}, ' +
+        'ẹ ó gba tokens {bonus}, òun náà yóò sì gba {welcomeBonus}. ' +
+        'Títí di báyìí, ọ̀rẹ́ {joined} ti darapọ̀, {rewarded} nínú wọn sì ti mú ẹ̀bùn wá fún yín.',
+    'referral.alreadyJoined': 'Ẹ ti darapọ̀ pẹ̀lú kóòdù ìtọ́kasí tẹ́lẹ̀.',
+    'referral.noCode': 'Kò sí kóòdù ìtọ́kasí {code}. Ẹ ṣàyẹ̀wò rẹ̀ kí ẹ sì gbìyànjú lẹ́ẹ̀kan sí i.',
+    'referral.ownCode': 'Ẹ kò lè lo kóòdù ìtọ́kasí tiyín. Ẹ pín in pẹ̀lú àwọn ọ̀rẹ́ yín dípò!',
+    'referral.tooLate': 'Ọjọ́ {days} àkọ́kọ́ yín lórí Florence* nìkan lẹ lè lo kóòdù ìtọ́kasí.',
+    'referral.joinedAfter': 'Kóòdù ẹni tó darapọ̀ mọ́ Florence* ṣáájú yín nìkan lẹ lè lò.',
+
+    // Account linking
+    'channel.whatsapp': 'WhatsApp',
+    'channel.telegram': 'Telegram',
+    'channel.web': 'wẹ́ẹ̀bù',
+    'channel.list': ({ names }) => names.length > 1 ? `${names.slice(0, -1).join(', ')} àti ${names.at(-1)}` : names[0],
+    'link.linkedOn': 'Àkọọ́lẹ̀ yín ti so pọ̀ lórí {channels}.',
+    'link.code': 'Kóòdù ìsopọ̀ yín ni {boldCode}\n\n' +
+        'Láàárín ìṣẹ́jú {minutes}, ẹ fi /link {code} ránṣẹ́ sí Florence* lórí ìkànnì yín míì. ' +
+        'Tokens, streak, ìtàn àti ètò yín yóò di àkọọ́lẹ̀ kan ṣoṣo. ' +
+        'Ẹ má ṣe pín kóòdù yìí: ẹnikẹ́ni tó bá fi ránṣẹ́ yóò lè lo tokens yín.',
+    'link.summary': 'Àwọn àkọọ́lẹ̀ yín ti so pọ̀ lórí {channels} báyìí, pẹ̀lú tokens {tokens} àti streak ọjọ́ {streak}. ' +
+        'Ẹ fi /unlink ránṣẹ́ láti yà wọ́n sọ́tọ̀ padà.',
+    'link.done': '🔗 Ó ti so pọ̀! {summary}',
+    'link.doneOther': '🔗 Àkọọ́lẹ̀ {channel} yín ti so pọ̀ mọ́ èyí. {summary}',
+    'link.sameAccount': 'Kóòdù yẹn jẹ́ ti àkọọ́lẹ̀ yìí gan-an. Ẹ fi ránṣẹ́ láti Florence* lórí ìkànnì yín míì.',
+    'link.sameChannel': 'Àwọn àkọọ́lẹ̀ méjèèjì wà lórí {channel}. Àkọọ́lẹ̀ tó wà lórí ìkànnì ọ̀tọ̀ọ̀tọ̀ nìkan lẹ lè so pọ̀.',
+    'link.referred': 'Ọ̀kan nínú àwọn àkọọ́lẹ̀ yìí darapọ̀ pẹ̀lú kóòdù ìtọ́kasí èkejì, nítorí náà a kò lè so wọ́n pọ̀.',
+    'link.busy': 'Florence* ṣì ń dáhùn ìfiránṣẹ́ kan lórí ọ̀kan nínú àwọn àkọọ́lẹ̀ yìí. Ẹ tún kóòdù náà fi ránṣẹ́ lẹ́yìn ìṣẹ́jú kan.',
+    'link.badCode': 'Kóòdù yẹn kò tọ̀nà tàbí ó ti kọjá àkókò. Ẹ fi /link ránṣẹ́ lórí ìkànnì yín míì fún tuntun.',
+    'link.noAccount': 'Àkọọ́lẹ̀ kóòdù yẹn kò sí mọ́.',
+    'unlink.none': 'Àkọọ́lẹ̀ yín kò so pọ̀ mọ́ ìkànnì míì kankan. Ẹ fi /link ránṣẹ́ láti so ọ̀kan pọ̀.',
+    'unlink.usage': 'Láti ya ìkànnì kan sọ́tọ̀, ẹ fi /unlink ránṣẹ́ pẹ̀lú orúkọ rẹ̀, bí àpẹẹrẹ /unlink {example}. ' +
+        'Tokens, streak àti ìtàn yín yóò dúró pẹ̀lú àkọọ́lẹ̀ yìí, ìkànnì yẹn yóò sì bẹ̀rẹ̀ lákọ̀tun láìsí tokens.',
+    'unlink.homeChannel': 'Orí {channel} ni àkọọ́lẹ̀ yìí ti bẹ̀rẹ̀, nítorí náà a kò lè ya ìkànnì yẹn sọ́tọ̀. Ẹ ya àwọn yòókù sọ́tọ̀ dípò.',
+    'unlink.notLinked': '{channel} kò so pọ̀ mọ́ àkọọ́lẹ̀ yìí.',
+    'unlink.thisChat': 'A ti ya ìjíròrò yìí sọ́tọ̀, ó sì ti ní àkọọ́lẹ̀ tirẹ̀ báyìí, láìsí tokens.',
+    'unlink.done': 'A ti ya {channel} sọ́tọ̀, ó sì ti ní àkọọ́lẹ̀ tirẹ̀ báyìí, láìsí tokens.',
+    'unlink.kept': 'Tokens {tokens}, streak àti ìtàn yín ṣì wà lórí {channels}.',
+    'unlink.notice': 'A ti ya ìjíròrò yìí sọ́tọ̀ kúrò nínú àkọọ́lẹ̀ Florence* yín míì, ó sì ti ní tirẹ̀ báyìí, láìsí tokens. Ẹ fi /payments ránṣẹ́ láti ra tokens.',
+
+    // Admin commands
+    'admin.usage': 'Àwọn àṣẹ alábòójútó:\n' +
+        '/admin users [search] - wá àwọn olùlò pẹ̀lú id, orúkọ tàbí username\n' +
+        '/admin user <id> - iye tokens olùlò kan àti ìtàn rẹ̀ láìpẹ́ yìí\n' +
+        '/admin adjust <id> <amount> <reason> - fún ní tokens, tàbí yọ wọ́n kúrò pẹ̀lú iye òdì\n' +
+        '/admin payments - àwọn ìsanwó tó wọlé láìpẹ́ yìí\n' +
+        '/admin broadcast <message> - fi ìkéde ránṣẹ́ sí gbogbo olùlò',
+    'admin.noUsers': 'A kò rí olùlò kankan.',
+    'admin.noName': 'kò sí orúkọ',
+    'admin.userLine': '{id} - {name}, tokens {tokens}',
+    'admin.users': ({ total, shown, lines }) =>
+        `Olùlò ${total}${total > shown ? `, àwọn ${shown} tó dé kẹ́yìn nìyí` : ''}:\n\n${lines}`,
+    'admin.noUser': 'Kò sí olùlò {id}. Ẹ wá àwọn id pẹ̀lú /admin users',
+    'admin.user': '{id} - {name}\nTokens {tokens}, streak ọjọ́ {streak}, ó darapọ̀ ní {joined}\n\nÌtàn láìpẹ́ yìí:\n{history}',
+    'admin.noHistory': 'kò sí',
+    'admin.adjustUsage': 'Kò sí olùlò {id}. Ẹ fi /admin adjust <id> <amount> <reason> ránṣẹ́',
+    'admin.adjusted': 'Ó ti di ṣíṣe. {id} ní tokens {tokens} báyìí.',
+    'admin.badAmount': 'Iye náà gbọ́dọ̀ jẹ́ odidi nọ́ńbà tokens tí kì í ṣe 0.',
+    'admin.noReason': 'Ẹ gbọ́dọ̀ fún un ní ìdí.',
+    'admin.notEnough': 'Tokens {tokens} nìkan ni {id} ní.',
+    'admin.noPayments': 'Kò tíì sí ìsanwó kankan.',
+    'admin.paymentLine': '{date}: {amount} {currency} láti ọ̀dọ̀ {id}, tokens {tokens}',
+    'admin.payments': 'Àwọn ìsanwó láìpẹ́ yìí:\n\n{lines}',
+    'admin.broadcastUsage': 'Ẹ fi /admin broadcast ránṣẹ́ pẹ̀lú ìkéde náà.',
+    'admin.broadcasting': 'A ń fi ìkéde yín ránṣẹ́ sí gbogbo olùlò. Florence* yóò sọ fún yín nígbà tí ó bá parí.',
+    'admin.broadcastDone': 'A ti fi ìkéde ránṣẹ́ sí olùlò {sent}. A fo {skipped} (wọ́n pa á tàbí wọ́n wà lẹ́yìn fèrèsé wákàtí 24 ti WhatsApp), {failed} kùnà.',
+
+    // Command descriptions
+    'commands.start': 'Florence* ti ń gbọ́ yín báyìí.',
+    'commands.about': 'láti mọ̀ sí i nípa Florence*.',
+    'commands.tokens': 'wo iye tokens tó kù fún yín.',
+    'commands.streak': 'wo streak yín.',
+    'commands.freeze': `ra streak freeze láti bo ọjọ́ kan tí ẹ bá pàdánù (tokens ${STREAK_FREEZE_COST}).`,
+    'commands.history': 'wo ibi tí tokens yín lọ.',
+    'commands.payments': 'Ra tokens* ní ẹ̀ẹ̀kan.',
+    'commands.new': 'bẹ̀rẹ̀ ìjíròrò tuntun.',
+    'commands.language': 'yan èdè tí Florence* yóò máa fi bá yín sọ̀rọ̀.',
+    'commands.help': 'wo gbogbo àṣẹ.',
+    'commands.link': 'lo àkọọ́lẹ̀ kan ṣoṣo lórí WhatsApp, Telegram àti wẹ́ẹ̀bù, pẹ̀lú tokens àti streak kan náà.',
+    'commands.unlink': 'ya àkọọ́lẹ̀ tí ẹ so pọ̀ pẹ̀lú /link sọ́tọ̀.',
+    'commands.profile': 'wo ohun tí Florence* mọ̀ nípa ẹ̀kọ́ yín.',
+    'commands.subject': 'yan ẹ̀kọ́ tí ẹ ń kà, bí àpẹẹrẹ /subject Chemistry.',
+    'commands.level': 'yan kíláàsì tàbí ipele yín, bí àpẹẹrẹ /level SSS2 tàbí /level 100-level.',
+    'commands.exam': 'yan ìdánwò tí ẹ ń múra sílẹ̀ fún: WAEC, NECO, JAMB tàbí post-UTME.',
+    'commands.mode': 'yan ìdáhùn kíkún tàbí ìtọ́sọ́nà ní ìgbésẹ̀ kọ̀ọ̀kan tí yóò jẹ́ kí ẹ ṣe iṣẹ́ náà: /mode hint tàbí /mode answer.',
+    'commands.reveal': `ní ipò hint, wo ojútùú kíkún sí ìbéèrè tó wà lọ́wọ́ (tokens ${REVEAL_COST}).`,
+    'commands.quiz': `dán ara yín wò pẹ̀lú ìbéèrè aláṣàyàn (tokens ${QUIZ_COST} fún quiz kọ̀ọ̀kan).`,
+    'commands.save': `sọ ìdáhùn Florence* tó kẹ́yìn di flashcards (tokens ${SAVE_COST}).`,
+    'commands.review': 'dá àwọn flashcards tó tó àkókò lẹ́kọ̀ọ́.',
+    'commands.remind': 'gba ìrántí ìkẹ́kọ̀ọ́ ní àkókò kan náà lójoojúmọ́, bí àpẹẹrẹ /remind 19:00 revise chemistry.',
+    'commands.goal': `yan iye ìbéèrè tí ẹ fẹ́ béèrè lójoojúmọ́, kí ẹ sì gba àyẹ̀wò ní ${GOAL_CHECKIN_TIME}.`,
+    'commands.quiet': 'yan àwọn wákàtí tí Florence* kò ní fi ìrántí ránṣẹ́ sí yín, bí àpẹẹrẹ /quiet 22:00-07:00.',
+    'commands.timezone': 'yan àgbègbè àkókò yín, kí ìrántí àti ọjọ́ streak lè tẹ̀lé aago yín.',
+    'commands.stop': 'dá gbogbo ìrántí àti ìkìlọ̀ dúró.',
+    'commands.refer': `pe àwọn ọ̀rẹ́ yín kí ẹ sì gba tokens ${REFERRAL_BONUS} fún ẹnikẹ́ni tó bá bẹ̀rẹ̀ sí kẹ́kọ̀ọ́.`,
+    'commands.admin': 'ṣàkóso àwọn olùlò, tokens àti ìkéde.',
+
+    // Command arguments
+    'usage.payments': '[iye owó]',
+    'usage.language': '[èdè]',
+    'usage.link': '[kóòdù]',
+    'usage.subject': '<ẹ̀kọ́>|clear',
+    'usage.level': '<ipele>|clear',
+    'usage.exam': '<ìdánwò>|clear',
+    'usage.quiz': '<kókó ọ̀rọ̀> [iye]',
+    'usage.refer': '[kóòdù ọ̀rẹ́]',
+    'usage.remind': '<àkókò> <ohun tí ẹ fẹ́ kà>',
+    'usage.goal': '<nọ́ńbà>|off',
+    'usage.quiet': '<ìbẹ̀rẹ̀>-<ìparí>|off',
+    'usage.timezone': '<àgbègbè àkókò>'
+};
@@ -0,0 +1,136 @@
+// Attachments: images and study documents sent with a prompt
+import fetch from 'node-fetch';
+import { DOCUMENT_TYPES, isDocumentType, prepareDocument } from './documents.js';
+import { t } from './i18n.js';
+import { attachmentTokens } from './pricing.js';
+
+export const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+export const MAX_ATTACHMENTS = 5;
+
+/**
+ * Download a file
+ * @param {string} url
+ * @param {Object} [headers] - e.g. authorization for Twilio media
+ * @returns {Promise<Buffer>}
+ */
+async function getBufferFromUrl(url, headers = {}) {
+    try {
+        const response = await fetch(url, { headers });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        console.error('Error fetching media:', error);
+        throw error;
+    }
+}
+
+/**
+ * Determine media type from URL or content type
+ * @param {string} url
+ * @param {string|undefined} contentType
+ * @param {string} [fallback] - Type to give a URL whose extension isn't known
+ * @returns {string}
+ */
+export function determineMediaType(url, contentType, fallback = 'image/jpeg') {
+    // If content type is provided directly, normalize it
+    if (contentType) {
+        // Convert to lowercase and handle common variations
+        const normalizedType = contentType.toLowerCase();
+        if (normalizedType.includes('jpeg') || normalizedType.includes('jpg')) {
+            return 'image/jpeg';
+        }
+        if (normalizedType.includes('png')) {
+            return 'image/png';
+        }
+        if (normalizedType.includes('gif')) {
+            return 'image/gif';
+        }
+        if (normalizedType.includes('webp')) {
+            return 'image/webp';
+        }
+        // Anything else is reported as-is, without parameters like charset, so callers can check it
+        return normalizedType.split(';')[0].trim();
+    }
+
+    // If determining from URL, ensure we return exact matches
+    const extension = url.split('.').pop().toLowerCase();
+    const mimeTypes = {
+        'jpg': 'image/jpeg',
+        'jpeg': 'image/jpeg',
+        'png': 'image/png',
+        'gif': 'image/gif',
+        'webp': 'image/webp',
+        'pdf': 'application/pdf',
+        'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'txt': 'text/plain',
+        'md': 'text/markdown'
+    };
+    return mimeTypes[extension] || fallback;
+}
+
+/**
+ * Check whether Florence can read a media type, as an image or a document
+ * @param {string} mediaType
+ * @returns {boolean}
+ */
+export function isSupportedMediaType(mediaType) {
+    return SUPPORTED_IMAGE_TYPES.includes(mediaType) || isDocumentType(mediaType);
+}
+
+/**
+ * Download attachments and turn them into Claude content blocks, with an
+ * estimate of the Claude input tokens they will use
+ * Files uploaded with the message (on the web) come with their contents in
+ * buffer instead of a getUrl to download them from.
+ * @param {Object} user - Who sent them, for the language of the reason they can't be used
+ * @param {Array<{contentType: string, getUrl?: function(): Promise<string>, buffer?: Buffer, headers?: Object, name?: string}>} mediaItems
+ * @returns {Promise<{valid: boolean, reason?: string, blocks?: Array, inputTokens?: number, label?: string}>}
+ */
+export async function prepareAttachments(user, mediaItems) {
+    const prepared = await Promise.all(mediaItems.map(async ({ contentType, getUrl, buffer: uploaded, headers, name }) => {
+        const url = uploaded ? name || '' : await getUrl();
+        const mediaType = determineMediaType(url, contentType);
+
+        // Validate media type before downloading anything
+        if (!isSupportedMediaType(mediaType)) {
+            return { valid: false, reason: t(user, 'prompt.unsupported', { files: name || mediaType }) };
+        }
+
+        const buffer = uploaded || await getBufferFromUrl(url, headers);
+
+        if (SUPPORTED_IMAGE_TYPES.includes(mediaType)) {
+            return {
+                valid: true,
+                label: 'an image',
+                block: {
+                    type: "image",
+                    source: {
+                        type: "base64",
+                        media_type: mediaType,
+                        data: buffer.toString('base64')
+                    }
+                }
+            };
+        }
+
+        const document = await prepareDocument(user, buffer, mediaType, name);
+        if (!document.valid) return document;
+
+        return {
+            ...document,
+            label: `${name || DOCUMENT_TYPES[mediaType]} (${document.pages} page${document.pages === 1 ? '' : 's'})`
+        };
+    }));
+
+    const invalid = prepared.find(item => !item.valid);
+    if (invalid) return invalid;
+
+    return {
+        valid: true,
+        blocks: prepared.map(item => item.block),
+        inputTokens: prepared.reduce((total, item) => total + attachmentTokens(item.block, item.pages), 0),
+        label: prepared.map(item => item.label).join(', ')
+    };
+}
@@ -0,0 +1,164 @@
+// Flutterwave payments
+import crypto from 'crypto';
+import axios from 'axios';
+import { collection, save } from './store.js';
+import { getUserById } from './users.js';
+import { credit } from './ledger.js';
+import { t } from './i18n.js';
+import { mockFlutterwaveAdapter } from './flutterwaveMock.js';
+import {
+    FLW_SECRET_KEY,
+    FLW_SECRET_HASH,
+    PAYMENTS_PROVIDER,
+    PAYMENT_CURRENCY,
+    TOKEN_PRICE,
+    PAYMENT_REDIRECT_URL,
+    PAYMENT_EMAIL_DOMAIN
+} from './config.js';
+
+const flutterwaveClient = axios.create({
+    baseURL: 'https://api.flutterwave.com/v3',
+    headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${FLW_SECRET_KEY}`
+    },
+    adapter: PAYMENTS_PROVIDER === 'mock' ? mockFlutterwaveAdapter : undefined
+});
+
+/**
+ * Number of tokens a payment buys
+ * @param {number} amount - In naira
+ * @returns {number}
+ */
+export function tokensForAmount(amount) {
+    return Math.floor(amount / TOKEN_PRICE);
+}
+
+/**
+ * Create a payment link tied to this user through its tx_ref
+ * @param {Object} user
+ * @param {number} amount - In naira
+ * @returns {Promise<string>} - Checkout URL
+ */
+export async function createPaymentLink(user, amount) {
+    if (!FLW_SECRET_KEY && PAYMENTS_PROVIDER !== 'mock') {
+        throw new Error('FLW_SECRET_KEY is required to create payment links');
+    }
+    if (!Number.isInteger(amount) || tokensForAmount(amount) < 1) {
+        throw new Error(`Invalid payment amount: ${amount}`);
+    }
+
+    const txRef = `flo-${user.id.replace(/[^a-zA-Z0-9]/g, '-')}-${Date.now()}`;
+
+    const response = await flutterwaveClient.post('/payments', {
+        tx_ref: txRef,
+        amount,
+        currency: PAYMENT_CURRENCY,
+        redirect_url: PAYMENT_REDIRECT_URL,
+        customer: {
+            email: `${user.channelId}@${PAYMENT_EMAIL_DOMAIN}`,
+            name: user.name
+        },
+        customizations: {
+            title: 'Florence* tokens',
+            description: `${tokensForAmount(amount)} tokens`
+        }
+    });
+
+    collection('paymentLinks')[txRef] = {
+        userId: user.id,
+        amount,
+        currency: PAYMENT_CURRENCY,
+        createdAt: new Date().toISOString()
+    };
+    save();
+
+    return response.data.data.link;
+}
+
+/**
+ * Check the verif-hash header Flutterwave sends with every webhook
+ * @param {string|undefined} signature
+ * @returns {boolean}
+ */
+export function isValidFlutterwaveSignature(signature) {
+    if (!FLW_SECRET_HASH || !signature) return false;
+
+    const expected = Buffer.from(FLW_SECRET_HASH);
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Credit tokens for a Flutterwave webhook event. Safe to call again for the
+ * same event: each transaction id is credited at most once.
+ * @param {Object} event - Webhook body
+ * @returns {Promise<{credited: boolean, reason?: string, user?: Object, tokens?: number, amount?: number}>}
+ */
+export async function processFlutterwaveEvent(event) {
+    if (event?.event !== 'charge.completed' || !event.data) {
+        return { credited: false, reason: `Ignored event: ${event?.event}` };
+    }
+
+    const transactionId = String(event.data.id);
+    const transactions = collection('transactions');
+    if (transactions[transactionId]) {
+        return { credited: false, reason: `Transaction ${transactionId} already credited` };
+    }
+
+    // Never trust the webhook body alone; ask Flutterwave what actually happened
+    const response = await flutterwaveClient.get(`/transactions/${transactionId}/verify`);
+    const transaction = response.data.data;
+
+    if (transaction.status !== 'successful') {
+        return { credited: false, reason: `Transaction ${transactionId} status is ${transaction.status}` };
+    }
+    if (transaction.currency !== PAYMENT_CURRENCY) {
+        return { credited: false, reason: `Transaction ${transactionId} is in ${transaction.currency}` };
+    }
+
+    const link = collection('paymentLinks')[transaction.tx_ref];
+    const user = link && getUserById(link.userId);
+    if (!user) {
+        return { credited: false, reason: `No user for tx_ref ${transaction.tx_ref}` };
+    }
+
+    // Check again: another delivery of the same event may have finished while we were verifying
+    if (transactions[transactionId]) {
+        return { credited: false, reason: `Transaction ${transactionId} already credited` };
+    }
+
+    const tokens = tokensForAmount(transaction.amount);
+    transactions[transactionId] = {
+        userId: user.id,
+        txRef: transaction.tx_ref,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        tokens,
+        creditedAt: new Date().toISOString()
+    };
+    credit(user, tokens, { reason: 'payment', ref: transactionId });
+
+    return { credited: true, user, tokens, amount: transaction.amount };
+}
+
+/**
+ * The message telling a user their payment was credited
+ * @param {{amount: number, tokens: number, user: Object}} result - From processFlutterwaveEvent
+ * @returns {string}
+ */
+export function paymentConfirmation({ amount, tokens, user }) {
+    return t(user, 'payments.received', { amount, tokens, balance: user.tokens });
+}
+
+/**
+ * Get the most recently credited payments, newest first
+ * @param {number} [limit]
+ * @returns {Array<Object>} - Stored transactions, each with its Flutterwave transaction id
+ */
+export function getRecentPayments(limit = 20) {
+    return Object.entries(collection('transactions'))
+        .map(([id, transaction]) => ({ id, ...transaction }))
+        .sort((a, b) => new Date(b.creditedAt) - new Date(a.creditedAt))
+        .slice(0, limit);
+}
@@ -0,0 +1,221 @@
+// Message pipeline shared by every channel
+//
+// Each channel adapter turns an incoming message into a context object and
+// hands it to handleMessage:
+//   channel        'whatsapp', 'telegram', 'web', ...
+//   user           stored user (see users.js)
+//   isNewUser      true on the user's first message
+//   text           message text or caption, '' if none
+//   messageId      unique id for the message on its channel, used as the ledger reference
+//   firstName      how to greet the user
+//   mediaItems     [{ contentType, name?, size?, headers?, getUrl() }], or { contentType, name?, size?, buffer } for uploads
+//   maxDownloadSize  optional byte limit for attachments on this channel
+//   groupId        `${channel}:${chatId}` when the message came from a group chat, otherwise null
+//   isGroupAdmin() resolves to whether the sender administers that group
+//   maxMessageLength  longest message the channel accepts
+//   reply(text)    send a message back, split into parts if it's longer than maxMessageLength
+//   replyEditable(text)  optional: send a message that can be changed later; resolves to { edit(text) }
+//   bold(text)     format text as bold, where the channel supports it
+import { notifyUser } from './channels.js';
+import { getCommand, listCommands, parseCommand } from './commands.js';
+import { askClaudeWithUsage, summariseConversation } from './claude.js';
+import { REFERRAL_QUALIFYING_QUESTIONS, REFERRAL_WELCOME_BONUS } from './config.js';
+import { buildMessages, withSummary, recordExchange } from './conversation.js';
+import { commandDescription, t } from './i18n.js';
+import { credit, debit } from './ledger.js';
+import { errorMessage } from './llm.js';
+import { MAX_ATTACHMENTS, isSupportedMediaType, prepareAttachments } from './media.js';
+import { estimateInputTokens, quotePrompt, settlePrompt } from './pricing.js';
+import { streamReply } from './replies.js';
+import { claimReferral, findReferralCode, settleReferral } from './referrals.js';
+import { checkAndUpdateTokenRewards, recordActivity, streakMessages } from './rewards.js';
+import { endSession, getSession, getSessionHandler } from './sessions.js';
+import { modeFor, tutorPrompt } from './tutoring.js';
+import { saveUser, setHomeChannel } from './users.js';
+
+/**
+ * Welcome message for new users, listing every registered command
+ * @param {Object} ctx - Message context
+ * @returns {string}
+ */
+export function welcomeMessage(ctx) {
+    const commandLines = listCommands()
+        .map(command => `${ctx.bold(`/${command.name}`)} - ${commandDescription(ctx.user, command)}`)
+        .join('\n');
+
+    return t(ctx.user, 'welcome', { bold: ctx.bold, tokens: ctx.user.tokens, commands: commandLines });
+}
+
+/**
+ * Answer a prompt: text, or text with images and documents
+ * @param {Object} ctx - Message context
+ */
+async function handlePrompt(ctx) {
+    const { user, mediaItems } = ctx;
+
+    if (mediaItems.length === 0 && !ctx.text) {
+        return ctx.reply(t(user, 'prompt.unreadable'));
+    }
+
+    if (user.tokens <= 0) {
+        return ctx.reply(t(user, 'prompt.noTokens'));
+    }
+
+    // Count today towards the streak before processing message
+    for (const message of streakMessages(user, recordActivity(user))) {
+        await ctx.reply(message);
+    }
+
+    // Validate attachments before downloading anything
+    if (mediaItems.length > MAX_ATTACHMENTS) {
+        return ctx.reply(t(user, 'prompt.tooManyFiles', { max: MAX_ATTACHMENTS }));
+    }
+
+    const unsupported = mediaItems.filter(item => !isSupportedMediaType(item.contentType));
+    if (unsupported.length > 0) {
+        const files = unsupported.map(item => item.name || item.contentType).join(', ');
+        return ctx.reply(`${t(user, 'prompt.unsupported', { files })} ${t(user, 'prompt.notCharged')}`);
+    }
+
+    if (ctx.maxDownloadSize && mediaItems.some(item => item.size > ctx.maxDownloadSize)) {
+        return ctx.reply(t(user, 'prompt.tooBig', { mb: Math.floor(ctx.maxDownloadSize / (1024 * 1024)) }));
+    }
+
+    let hold = 0;
+
+    try {
+        let attachments;
+        if (mediaItems.length > 0) {
+            attachments = await prepareAttachments(user, mediaItems);
+            if (!attachments.valid) {
+                return ctx.reply(`${attachments.reason} ${t(user, 'prompt.notCharged')}`);
+            }
+        }
+
+        const prompt = attachments ? ctx.text || "Please analyze this attachment." : ctx.text;
+        const system = withSummary(user.id, tutorPrompt(user, modeFor(ctx)));
+
+        // Hold the most this prompt could cost; Claude's answer is capped to fit
+        const inputTokens = estimateInputTokens(system, buildMessages(user.id, prompt)) + (attachments?.inputTokens || 0);
+        const quote = quotePrompt(user, inputTokens);
+        if (!quote.valid) {
+            return ctx.reply(quote.reason);
+        }
+
+        debit(user, quote.hold, {
+            reason: attachments ? 'attachment prompt' : 'text prompt',
+            ref: ctx.messageId
+        });
+        hold = quote.hold;
+
+        await ctx.reply(t(user, 'prompt.processing'));
+
+        const content = attachments ? [...attachments.blocks, { type: 'text', text: prompt }] : prompt;
+        const stream = streamReply(ctx);
+        const { text: response, usage } = await askClaudeWithUsage(
+            buildMessages(user.id, content),
+            system,
+            { maxTokens: quote.maxTokens, onText: stream.update }
+        );
+
+        const charge = settlePrompt(user, hold, usage, ctx.messageId);
+        hold = 0;
+
+        await stream.finish(`${response}\n\n${t(user, 'prompt.cost', { charge, tokens: user.tokens })}`);
+        await recordExchange(user.id, attachments ? `[Sent ${attachments.label}] ${prompt}` : prompt, response, summariseConversation);
+    } catch (error) {
+        console.error('Error processing message:', error);
+
+        // Refund tokens on error
+        if (hold) {
+            credit(user, hold, { reason: 'refund', ref: ctx.messageId });
+        }
+        await ctx.reply(`${errorMessage(error, user)}${hold ? ` ${t(user, 'prompt.notCharged')}` : ''}`);
+        return;
+    }
+
+    await rewardReferral(ctx);
+}
+
+/**
+ * Pay referral bonuses once a referred user has used Florence* enough
+ * @param {Object} ctx - Message context
+ */
+async function rewardReferral(ctx) {
+    const { user } = ctx;
+    const { rewarded, referrer, referrerBonus } = settleReferral(user);
+    if (!rewarded) return;
+
+    await ctx.reply(t(user, 'referral.welcomeBonus', { bonus: REFERRAL_WELCOME_BONUS }));
+    if (referrerBonus > 0) {
+        const name = user.name || t(referrer, 'referral.someone');
+        await notifyUser(referrer, t(referrer, 'referral.referrerBonus', { name, bonus: referrerBonus }))
+            .catch(error => console.error('Error sending referral bonus message:', error.message));
+    }
+}
+
+/**
+ * Handle an incoming message from any channel: commands go to their
+ * registered handler, messages during a session go to the session's
+ * handler, and everything else is a prompt for Claude
+ * @param {Object} ctx - Message context, see the top of this file
+ */
+export async function handleMessage(ctx) {
+    const { user } = ctx;
+    const command = parseCommand(ctx.text);
+
+    // Opens WhatsApp's 24-hour window for messages the user didn't ask for
+    user.lastMessageAt = new Date().toISOString();
+    setHomeChannel(user, ctx.channel);
+
+    try {
+        if (ctx.isNewUser) {
+            // Links shared with /refer start the chat with the referrer's code
+            const code = findReferralCode(ctx.text);
+            const referral = code && claimReferral(user, code);
+
+            await ctx.reply(welcomeMessage(ctx));
+            if (referral) {
+                await ctx.reply(referral.valid
+                    ? t(user, 'referral.joined', {
+                        name: referral.referrer.name || t(user, 'referral.aFriend'),
+                        questions: REFERRAL_QUALIFYING_QUESTIONS
+                    })
+                    : referral.reason
+                );
+
+                // The message came from a share link, so it isn't a question
+                return;
+            }
+
+            // The welcome message already answers /start
+            if (command?.name === 'start') return;
+        }
+
+        const tokenReward = checkAndUpdateTokenRewards(user);
+        if (tokenReward > 0) {
+            await ctx.reply(t(user, 'reward.activity', { tokens: tokenReward }));
+        }
+
+        if (!command) {
+            // A quiz or other multi-message session gets the message instead of Claude
+            const session = getSession(user.id);
+            const sessionHandler = session && getSessionHandler(session.kind);
+            if (sessionHandler && await sessionHandler(ctx, session) !== false) return;
+
+            // Either the message wasn't for the session, or the session is left over from a feature that no longer exists
+            if (session) endSession(user.id);
+
+            return await handlePrompt(ctx);
+        }
+
+        const registered = getCommand(command.name);
+        if (!registered) {
+            return await ctx.reply(t(user, 'command.unknown', { name: command.name }));
+        }
+
+        await registered.handler(ctx, command.args);
+    } finally {
+        saveUser(user);
+    }
+}
@@ -0,0 +1,128 @@
+// Usage-based pricing: a prompt costs Florence* tokens in proportion to the
+// Claude tokens it uses. Before calling Claude, a hold for the most the prompt
+// could cost is taken from the balance; once the reply arrives, the hold is
+// settled against Claude's reported usage and the difference given back.
+import {
+    INPUT_TOKENS_PER_TOKEN,
+    MIN_PROMPT_COST,
+    OUTPUT_TOKENS_PER_TOKEN,
+    PAID_PLAN_DAYS,
+    PLANS
+} from './config.js';
+import { t } from './i18n.js';
+import { credit } from './ledger.js';
+import { collection } from './store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CHARS_PER_CLAUDE_TOKEN = 3; // errs high for English text, which is nearer 4
+const IMAGE_TOKENS = 1600; // Claude's usage for an image at the largest size it reads
+const PDF_PAGE_TOKENS = 2500; // Claude reads each PDF page as text and as an image
+const MIN_OUTPUT_TOKENS = 256; // shortest answer worth asking Claude for
+
+/**
+ * Estimate the Claude tokens in some text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_CLAUDE_TOKEN);
+}
+
+/**
+ * Estimate the Claude input tokens for an attachment
+ * @param {Object} block - Content block from prepareAttachments
+ * @param {number} [pages] - Pages in a document
+ * @returns {number}
+ */
+export function attachmentTokens(block, pages = 1) {
+    if (block.type === 'image') return IMAGE_TOKENS;
+    if (block.type === 'document') return pages * PDF_PAGE_TOKENS;
+    return estimateTokens(block.text);
+}
+
+/**
+ * Estimate the Claude input tokens for a request's text: the system prompt and
+ * every plain-text message. Attachments are counted by attachmentTokens.
+ * @param {string} system
+ * @param {Array<{role: string, content: string|Array}>} messages
+ * @returns {number}
+ */
+export function estimateInputTokens(system, messages) {
+    return messages.reduce(
+        (total, { content }) => total + (typeof content === 'string' ? estimateTokens(content) : 0),
+        estimateTokens(system)
+    );
+}
+
+/**
+ * The user's plan: paid for PAID_PLAN_DAYS after their last payment, otherwise free
+ * @param {Object} user
+ * @returns {string} - Key of PLANS
+ */
+export function planFor(user) {
+    const since = Date.now() - PAID_PLAN_DAYS * DAY;
+    const paid = (collection('ledger')[user.id] || [])
+        .some(entry => entry.reason === 'payment' && new Date(entry.at) >= since);
+    return paid ? 'paid' : 'free';
+}
+
+/**
+ * Florence* tokens for some Claude usage
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {number}
+ */
+export function promptCost({ inputTokens, outputTokens }) {
+    return Math.max(
+        MIN_PROMPT_COST,
+        Math.ceil(inputTokens / INPUT_TOKENS_PER_TOKEN + outputTokens / OUTPUT_TOKENS_PER_TOKEN)
+    );
+}
+
+/**
+ * Work out the hold for a prompt, and how long Claude's answer may be so the
+ * real cost can't exceed it. The answer is shortened to what the user's
+ * balance and plan can cover.
+ * @param {Object} user
+ * @param {number} inputTokens - Estimated Claude input tokens
+ * @returns {{valid: boolean, reason?: string, hold?: number, maxTokens?: number}}
+ */
+export function quotePrompt(user, inputTokens) {
+    const plan = planFor(user);
+    const { maxOutputTokens, maxPromptCost } = PLANS[plan];
+    const budget = Math.min(user.tokens, maxPromptCost);
+    const maxTokens = Math.min(
+        maxOutputTokens,
+        Math.floor((budget - inputTokens / INPUT_TOKENS_PER_TOKEN) * OUTPUT_TOKENS_PER_TOKEN)
+    );
+
+    if (maxTokens < MIN_OUTPUT_TOKENS) {
+        const needed = promptCost({ inputTokens, outputTokens: MIN_OUTPUT_TOKENS });
+        if (needed > maxPromptCost) {
+            return {
+                valid: false,
+                reason: t(user, 'quote.tooLong', { needed, plan: t(user, `plan.${plan}`), max: maxPromptCost })
+            };
+        }
+        return {
+            valid: false,
+            reason: t(user, 'quote.notEnough', { needed, tokens: user.tokens })
+        };
+    }
+
+    return { valid: true, hold: promptCost({ inputTokens, outputTokens: maxTokens }), maxTokens };
+}
+
+/**
+ * Settle a prompt's hold against Claude's usage, giving back what wasn't used.
+ * The charge never exceeds the hold, even if the input estimate was low.
+ * @param {Object} user
+ * @param {number} hold - Tokens already debited for the prompt
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @param {string|number} ref - The prompt's ledger reference
+ * @returns {number} - Tokens charged
+ */
+export function settlePrompt(user, hold, usage, ref) {
+    const charge = Math.min(hold, promptCost(usage));
+    credit(user, hold - charge, { reason: 'hold release', ref });
+    return charge;
+}
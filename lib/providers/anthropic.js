@@ -0,0 +1,45 @@
+// Anthropic provider: Claude through the official SDK
+import Anthropic from '@anthropic-ai/sdk';
+import { ANTHROPIC_API_KEY } from '../config.js';
+
+/**
+ * Create the Anthropic provider
+ * @returns {{name: string, complete: function(Object, AbortSignal): Promise<Object>}} - See llm.js
+ */
+export function createAnthropicProvider() {
+    if (!ANTHROPIC_API_KEY) throw new Error("ANTHROPIC_API_KEY is required in .env");
+
+    const client = new Anthropic({
+        apiKey: ANTHROPIC_API_KEY,
+        maxRetries: 0, // llm.js retries, with its own backoff
+        defaultHeaders: {
+            "anthropic-beta": "pdfs-2024-09-25"
+        }
+    });
+
+    return {
+        name: 'anthropic',
+        complete: async ({ model, system, messages, maxTokens, onText }, signal) => {
+            try {
+                const stream = client.messages.stream(
+                    { model, system, messages, max_tokens: maxTokens },
+                    { signal }
+                );
+                if (onText) stream.on('text', (delta, snapshot) => onText(snapshot));
+                const response = await stream.finalMessage();
+
+                return {
+                    text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+                    usage: {
+                        inputTokens: response.usage.input_tokens,
+                        outputTokens: response.usage.output_tokens
+                    }
+                };
+            } catch (error) {
+                const retryAfter = Number(error.headers?.['retry-after']);
+                if (retryAfter) error.retryAfter = retryAfter;
+                throw error;
+            }
+        }
+    };
+}
@@ -0,0 +1,125 @@
+// Mock provider: canned answers worked out from the request alone, so the bot
+// can run and be tested without network access or an API key. The same request
+// always gets the same answer. Put one of these in a prompt to test failures:
+//   [mock:busy]     fails as if Claude were overloaded (529)
+//   [mock:error]    fails as if the request were invalid (400)
+//   [mock:timeout]  never answers
+// and [mock:long] for an answer long enough to be split into several messages.
+const CHARS_PER_TOKEN = 4;
+const ATTACHMENT_TOKENS = 1600;
+
+/**
+ * The text of a message's content
+ * @param {string|Array} content
+ * @returns {string}
+ */
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * An error shaped like an API error
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function apiError(status, message) {
+    const error = new Error(`${status} ${message}`);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Questions in the shape lib/quiz.js asks for
+ * @param {string} prompt - e.g. 'Write 5 questions on: photosynthesis'
+ * @returns {string}
+ */
+function quizReply(prompt) {
+    const [, count = 5, topic = 'the topic'] = /Write (\d+) questions on: (.*)/s.exec(prompt) || [];
+    return JSON.stringify(Array.from({ length: Number(count) }, (_, index) => ({
+        question: `Mock question ${index + 1} on ${topic}?`,
+        options: ['Option A', 'Option B', 'Option C', 'Option D'],
+        answer: index % 4,
+        explanation: `Option ${'ABCD'[index % 4]} is the mock answer.`
+    })));
+}
+
+/**
+ * Cards in the shape lib/flashcards.js asks for
+ * @param {string} prompt
+ * @returns {string}
+ */
+function flashcardReply(prompt) {
+    const topic = prompt.split('\n')[1] || 'the question';
+    return JSON.stringify([
+        { front: `What is the key idea in "${topic}"?`, back: 'The mock key idea.' },
+        { front: `Give an example for "${topic}".`, back: 'A mock example.' }
+    ]);
+}
+
+/**
+ * A long answer with paragraphs and a code block, for testing message splitting
+ * @param {string} prompt
+ * @returns {string}
+ */
+function longReply(prompt) {
+    const paragraphs = Array.from({ length: 12 }, (_, index) =>
+        `Paragraph ${index + 1} about "${prompt}". ` + 'This sentence pads the mock answer out. '.repeat(8).trim()
+    );
+    const code = ['```python', ...Array.from({ length: 20 }, (_, index) => `print("line ${index + 1}")`), '```'].join('\n');
+    return [...paragraphs.slice(0, 6), code, ...paragraphs.slice(6)].join('\n\n');
+}
+
+/**
+ * Create the mock provider
+ * @returns {{name: string, complete: function(Object, AbortSignal): Promise<Object>}} - See llm.js
+ */
+export function createMockProvider() {
+    return {
+        name: 'mock',
+        complete: async ({ model, system = '', messages, maxTokens, onText }, signal) => {
+            const { content } = messages.at(-1);
+            const prompt = contentText(content);
+
+            if (prompt.includes('[mock:busy]')) throw apiError(529, 'Overloaded');
+            if (prompt.includes('[mock:error]')) throw apiError(400, 'Invalid request');
+            if (prompt.includes('[mock:timeout]')) {
+                return new Promise((resolve, reject) => {
+                    signal?.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+                });
+            }
+
+            let text;
+            if (system.includes('"question"')) {
+                text = quizReply(prompt);
+            } else if (system.includes('"front"')) {
+                text = flashcardReply(prompt);
+            } else if (prompt.includes('[mock:long]')) {
+                text = longReply(prompt);
+            } else {
+                text = `This is a mock answer from ${model} to: ${prompt}`;
+            }
+            text = text.slice(0, maxTokens * CHARS_PER_TOKEN);
+
+            // Stream a paragraph at a time
+            if (onText) {
+                for (let end = text.indexOf('\n\n'); end !== -1; end = text.indexOf('\n\n', end + 2)) {
+                    onText(text.slice(0, end));
+                }
+                onText(text);
+            }
+
+            const attachments = Array.isArray(content) ? content.filter(block => block.type !== 'text').length : 0;
+            const inputChars = system.length + messages.reduce((total, { content }) => total + contentText(content).length, 0);
+
+            return {
+                text,
+                usage: {
+                    inputTokens: Math.ceil(inputChars / CHARS_PER_TOKEN) + attachments * ATTACHMENT_TOKENS,
+                    outputTokens: Math.ceil(text.length / CHARS_PER_TOKEN)
+                }
+            };
+        }
+    };
+}
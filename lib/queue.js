@@ -0,0 +1,280 @@
+// Message queue: incoming messages are saved here as soon as they arrive, so
+// webhooks can be answered at once, then handled in the background. Channels
+// redeliver messages they think we missed, so each is kept by its channel
+// message id and a redelivery is ignored. Each account's messages, from every
+// channel linked to it, are handled one at a time, in the order they arrived,
+// and not while one of its web messages is being answered (startOutsideQueue);
+// a message that keeps failing is dead-lettered so the user's later messages
+// aren't held up.
+import { QUEUE_CONCURRENCY, QUEUE_DEAD_LETTER_DAYS, QUEUE_DEDUP_HOURS, QUEUE_MAX_ATTEMPTS, QUEUE_RETRY_DELAY } from './config.js';
+import { notifyAdmins } from './admin.js';
+import { chargedFor } from './ledger.js';
+import { collection, save } from './store.js';
+import { getUserById } from './users.js';
+
+const POLL_INTERVAL = 1000; // ms between checks for messages due a retry
+const HOUR = 60 * 60 * 1000;
+
+const handlers = new Map();
+const active = new Set(); // ids of messages being handled right now
+const outside = new Set(); // ids of accounts with a message being handled outside the queue
+let timer = null;
+
+/**
+ * Register the handler for a kind of queued message
+ * @param {string} kind - e.g. 'whatsapp'
+ * @param {function(Object): Promise<void>} handler - (payload); throw to have the message retried
+ */
+export function registerQueueHandler(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Queue an incoming message, unless it's already been received
+ * @param {Object} message
+ * @param {string} message.id - Unique per channel message, e.g. `whatsapp:${MessageSid}`
+ * @param {string} message.kind - Which handler runs it
+ * @param {string|null} message.userId - Messages with the same user id are handled in order
+ * @param {string|number|null} [message.ref] - The ledger reference the message's charges will use
+ * @param {Object} message.payload - What the channel sent, saved as JSON
+ * @param {number} [message.delay] - ms to wait before handling it, e.g. for the rest of an album
+ * @returns {boolean} - false for a duplicate
+ */
+export function enqueue({ id, kind, userId, ref = null, payload, delay = 0 }) {
+    const inbox = collection('inbox');
+    if (inbox[id]) return false;
+
+    const now = new Date().toISOString();
+    inbox[id] = {
+        id,
+        kind,
+        userId,
+        ref: ref === null ? null : String(ref),
+        payload,
+        status: 'queued',
+        attempts: 0,
+        runAt: new Date(Date.now() + delay).toISOString(),
+        receivedAt: now
+    };
+    save();
+    pump();
+    return true;
+}
+
+/**
+ * Change a message that hasn't been handled yet, e.g. to add another item of an album
+ * @param {string} id
+ * @param {function(Object): void} change - Changes the queued message's payload or ref in place
+ * @param {number} [delay] - ms from now to put it off until, so more can arrive
+ * @returns {boolean} - false if it isn't waiting, because it's being handled, done or was never queued
+ */
+export function updateQueued(id, change, delay = 0) {
+    const message = collection('inbox')[id];
+    if (message?.status !== 'queued') return false;
+
+    change(message);
+    const runAt = Math.max(new Date(message.runAt).getTime(), Date.now() + delay);
+    message.runAt = new Date(runAt).toISOString();
+    save();
+    return true;
+}
+
+/**
+ * Whether a message's user has already been charged for it. Asks the account
+ * the user's id belongs to now, in case it was linked to another since.
+ * @param {Object} message
+ * @returns {boolean}
+ */
+function isCharged(message) {
+    if (!message.ref) return false;
+    return chargedFor(getUserById(message.userId)?.id || message.userId, message.ref) > 0;
+}
+
+/**
+ * What a message waits its turn behind: its user's account, so channels linked
+ * into one account don't spend the same balance at once
+ * @param {Object} message
+ * @returns {string}
+ */
+function orderKey(message) {
+    return getUserById(message.userId)?.id || message.userId || message.id;
+}
+
+/**
+ * Messages from an account that are waiting or being handled
+ * @param {string} userId - Account id, or the id of any channel linked to it
+ * @returns {Array<Object>}
+ */
+export function pendingMessages(userId) {
+    const accountId = getUserById(userId)?.id || userId;
+    return Object.values(collection('inbox'))
+        .filter(message => ['queued', 'running'].includes(message.status) && orderKey(message) === accountId);
+}
+
+/**
+ * Whether an account has a message waiting or being handled, in the queue or outside it
+ * @param {string} userId - Account id, or the id of any channel linked to it
+ * @returns {boolean}
+ */
+export function accountBusy(userId) {
+    return outside.has(getUserById(userId)?.id || userId) || pendingMessages(userId).length > 0;
+}
+
+/**
+ * Start handling a message outside the queue, e.g. a web message answered on
+ * its own request. The account's queued messages wait until it's finished, so
+ * they stay in turn with it.
+ * @param {string} userId - Account id, or the id of any channel linked to it
+ * @returns {function(): void|null} - Call when it's finished; null, without starting, if the account is busy
+ */
+export function startOutsideQueue(userId) {
+    if (accountBusy(userId)) return null;
+
+    const accountId = getUserById(userId)?.id || userId;
+    outside.add(accountId);
+    return () => {
+        outside.delete(accountId);
+        pump();
+    };
+}
+
+/**
+ * Give up on a message
+ * @param {Object} message
+ * @param {string} reason
+ */
+function deadLetter(message, reason) {
+    message.status = 'dead';
+    message.error = reason;
+    message.finishedAt = new Date().toISOString();
+    console.error(`Dead-lettered ${message.id} after ${message.attempts} attempts: ${reason}`);
+    notifyAdmins(`Florence* gave up on message ${message.id} from ${message.userId || 'an unknown user'}: ${reason}`);
+}
+
+/**
+ * Handle one message, then retry, dead-letter or finish it
+ * @param {Object} message
+ */
+async function run(message) {
+    const handler = handlers.get(message.kind);
+    active.add(message.id);
+    message.status = 'running';
+    message.attempts += 1;
+    save();
+
+    try {
+        if (!handler) throw new Error(`No queue handler registered for ${message.kind}`);
+        await handler(message.payload);
+
+        message.status = 'done';
+        message.finishedAt = new Date().toISOString();
+        delete message.payload; // only the id is needed from now on, to spot redeliveries
+    } catch (error) {
+        if (isCharged(message)) {
+            // Handling it again could charge the user a second time
+            deadLetter(message, `failed after the user was charged: ${error.message}`);
+        } else if (!handler || message.attempts >= QUEUE_MAX_ATTEMPTS) {
+            deadLetter(message, error.message);
+        } else {
+            const delay = QUEUE_RETRY_DELAY * 2 ** (message.attempts - 1);
+            console.error(`Error handling ${message.id}, retrying in ${delay / 1000}s:`, error);
+            message.status = 'queued';
+            message.runAt = new Date(Date.now() + delay).toISOString();
+        }
+    } finally {
+        active.delete(message.id);
+        save();
+        pump();
+    }
+}
+
+/**
+ * Start handling every message that can run now, up to QUEUE_CONCURRENCY
+ */
+function pump() {
+    if (!timer) return;
+
+    const inbox = collection('inbox');
+    const now = new Date();
+    const busy = new Set([...active].map(id => orderKey(inbox[id])).concat([...outside]));
+    const waiting = Object.values(inbox)
+        .filter(message => message.status === 'queued')
+        .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+
+    for (const message of waiting) {
+        if (active.size >= QUEUE_CONCURRENCY) break;
+
+        // Only a user's oldest waiting message can run, and only once their last one is done
+        const key = orderKey(message);
+        if (busy.has(key)) continue;
+        busy.add(key);
+
+        if (new Date(message.runAt) <= now) run(message);
+    }
+}
+
+/**
+ * Forget handled messages once they're too old to be redelivered, and dead
+ * letters, with the user's text and media links, once admins have had time to look
+ */
+function prune() {
+    const inbox = collection('inbox');
+    const cutoffs = {
+        done: Date.now() - QUEUE_DEDUP_HOURS * HOUR,
+        dead: Date.now() - QUEUE_DEAD_LETTER_DAYS * 24 * HOUR
+    };
+    let pruned = false;
+
+    for (const message of Object.values(inbox)) {
+        if (cutoffs[message.status] && new Date(message.finishedAt) < cutoffs[message.status]) {
+            delete inbox[message.id];
+            pruned = true;
+        }
+    }
+    if (pruned) save();
+}
+
+/**
+ * Start handling queued messages, including any left over from before a restart
+ */
+export function startQueue() {
+    if (timer) return;
+
+    // Messages that were being handled when we stopped
+    for (const message of Object.values(collection('inbox'))) {
+        if (message.status !== 'running') continue;
+        if (isCharged(message)) {
+            deadLetter(message, 'interrupted after the user was charged');
+        } else {
+            message.status = 'queued';
+        }
+    }
+    save();
+
+    timer = setInterval(() => {
+        prune();
+        pump();
+    }, POLL_INTERVAL);
+    pump();
+}
+
+/**
+ * Stop starting new messages, e.g. on shutdown. Ones already running finish,
+ * or are picked up again on restart.
+ */
+export function stopQueue() {
+    clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Messages the queue gave up on, newest first
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+export function getDeadLetters(limit = 20) {
+    return Object.values(collection('inbox'))
+        .filter(message => message.status === 'dead')
+        .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+        .slice(0, limit);
+}
@@ -0,0 +1,130 @@
+// Quizzes: multiple-choice questions generated by Claude and graded one at a time
+import { askClaude, parseJsonArray } from './claude.js';
+import { languagePrompt } from './i18n.js';
+import { collection, save } from './store.js';
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+const MAX_ANSWER_WORDS = 4; // longer replies aren't taken as attempts at an answer
+
+const QUIZ_PROMPT = "You write multiple-choice revision questions for students. " +
+    "Reply with only a JSON array, no other text. Each item must look like " +
+    '{"question": "...", "options": ["...", "...", "...", "..."], "answer": 0, "explanation": "..."} ' +
+    "with exactly four options, the index (0-3) of the single correct option as answer, " +
+    "and a one or two sentence explanation of why it is correct. " +
+    "Keep the keys in English, whatever language the questions are written in.";
+
+/**
+ * Check that Claude returned a usable question
+ * @param {Object} question
+ * @returns {boolean}
+ */
+function isValidQuestion(question) {
+    return typeof question?.question === 'string' &&
+        Array.isArray(question.options) &&
+        question.options.length === LETTERS.length &&
+        question.options.every(option => typeof option === 'string') &&
+        Number.isInteger(question.answer) &&
+        question.answer >= 0 && question.answer < LETTERS.length &&
+        typeof question.explanation === 'string';
+}
+
+/**
+ * Ask Claude for a set of questions, in the user's language
+ * @param {Object} user
+ * @param {string} topic
+ * @param {number} count
+ * @returns {Promise<Array<{question: string, options: Array<string>, answer: number, explanation: string}>>}
+ */
+export async function generateQuiz(user, topic, count) {
+    const reply = await askClaude(
+        [{ role: 'user', content: `Write ${count} questions on: ${topic}` }],
+        [QUIZ_PROMPT, languagePrompt(user)].filter(Boolean).join('\n\n')
+    );
+
+    let questions;
+    try {
+        questions = parseJsonArray(reply);
+    } catch (error) {
+        throw new Error(`Quiz for "${topic}" was not a valid JSON array: ${error.message}`);
+    }
+
+    const valid = questions.filter(isValidQuestion).slice(0, count);
+    if (valid.length === 0) {
+        throw new Error(`Quiz for "${topic}" had no usable questions`);
+    }
+    return valid;
+}
+
+/**
+ * Format a question and its options for sending
+ * @param {Object} question
+ * @returns {string}
+ */
+export function formatQuestion(question) {
+    const options = question.options.map((option, i) => `${LETTERS[i]}) ${option}`).join('\n');
+    return `${question.question}\n\n${options}`;
+}
+
+/**
+ * Work out which option a reply picks
+ * @param {Object} question
+ * @param {string} reply - e.g. 'b', 'B)', '2' or the option text
+ * @returns {number} - Option index, or -1 if the reply isn't an answer
+ */
+export function parseAnswer(question, reply) {
+    const text = reply.trim().replace(/[).:]$/, '').toUpperCase();
+
+    const letter = LETTERS.indexOf(text);
+    if (letter !== -1) return letter;
+
+    const number = parseInt(text);
+    if (String(number) === text && number >= 1 && number <= LETTERS.length) return number - 1;
+
+    return question.options.findIndex(option => option.trim().toUpperCase() === text);
+}
+
+/**
+ * Whether a reply parseAnswer can't read is still an attempt at an answer,
+ * e.g. 'Option B', 'I think B' or 'bb', rather than a message about something else
+ * @param {string} reply
+ * @returns {boolean}
+ */
+export function looksLikeAnswer(reply) {
+    const text = reply.trim();
+    return text !== '' && !text.endsWith('?') && text.split(/\s+/).length <= MAX_ANSWER_WORDS;
+}
+
+/**
+ * Letter and text of the correct option
+ * @param {Object} question
+ * @returns {string}
+ */
+export function correctOption(question) {
+    return `${LETTERS[question.answer]}) ${question.options[question.answer]}`;
+}
+
+/**
+ * Save a finished quiz to the user's score history
+ * @param {string} userId
+ * @param {{topic: string, correct: number, total: number}} result
+ */
+export function recordQuizResult(userId, { topic, correct, total }) {
+    const results = collection('quizResults');
+    (results[userId] || (results[userId] = [])).push({
+        topic,
+        correct,
+        total,
+        at: new Date().toISOString()
+    });
+    save();
+}
+
+/**
+ * Get a user's most recent quiz results, newest first
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Array<{topic: string, correct: number, total: number, at: string}>}
+ */
+export function getQuizResults(userId, limit = 5) {
+    return (collection('quizResults')[userId] || []).slice(-limit).reverse();
+}
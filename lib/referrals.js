@@ -0,0 +1,124 @@
+// Referrals: users share their code, and once a friend who joined with it has
+// really used Florence*, both get bonus tokens
+import {
+    REFERRAL_BONUS,
+    REFERRAL_CLAIM_DAYS,
+    REFERRAL_MONTHLY_LIMIT,
+    REFERRAL_QUALIFYING_QUESTIONS,
+    REFERRAL_WELCOME_BONUS,
+    TELEGRAM_BOT_USERNAME,
+    TWILIO_WHATSAPP_NUMBER
+} from './config.js';
+import { t } from './i18n.js';
+import { credit, questionsAsked } from './ledger.js';
+import { collection } from './store.js';
+import { getUserById, getUserByReferralCode, saveUser } from './users.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const LIMIT_WINDOW = 30 * DAY;
+
+/**
+ * Links that start a chat with Florence* carrying the user's code
+ * @param {Object} user
+ * @returns {{telegram: string|null, whatsapp: string}}
+ */
+export function referralLinks(user) {
+    const code = user.referralId;
+    const text = encodeURIComponent(`Hi Florence*! My referral code is ${code}`);
+
+    return {
+        telegram: TELEGRAM_BOT_USERNAME ? `https://t.me/${TELEGRAM_BOT_USERNAME}?start=${code}` : null,
+        whatsapp: `https://wa.me/${TWILIO_WHATSAPP_NUMBER.replace(/\D/g, '')}?text=${text}`
+    };
+}
+
+/**
+ * Find a referral code in a new user's first message: '/start CODE' from a
+ * Telegram link, or the text a WhatsApp link fills in
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function findReferralCode(text) {
+    const match = /^\/start(?:@\w+)?\s+([\w-]+)/i.exec(text || '') ||
+        /referral code(?: is)?:?\s*([\w-]+)/i.exec(text || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Record that a user joined with someone's code. Only new accounts can claim
+ * one, once, and only from someone who joined before them.
+ * @param {Object} user
+ * @param {string} code
+ * @returns {{valid: boolean, reason?: string, referrer?: Object}}
+ */
+export function claimReferral(user, code) {
+    const referrer = getUserByReferralCode(code);
+
+    // Claiming the same code again, e.g. when a first message is retried, changes nothing
+    if (referrer && user.referredBy === referrer.id && user.referralStatus === 'pending') {
+        return { valid: true, referrer };
+    }
+    if (user.referredBy) {
+        return { valid: false, reason: t(user, 'referral.alreadyJoined') };
+    }
+    if (!referrer) {
+        return { valid: false, reason: t(user, 'referral.noCode', { code }) };
+    }
+    if (referrer.id === user.id) {
+        return { valid: false, reason: t(user, 'referral.ownCode') };
+    }
+    if (Date.now() - new Date(user.createdAt) > REFERRAL_CLAIM_DAYS * DAY) {
+        return { valid: false, reason: t(user, 'referral.tooLate', { days: REFERRAL_CLAIM_DAYS }) };
+    }
+    if (new Date(referrer.createdAt) >= new Date(user.createdAt)) {
+        return { valid: false, reason: t(user, 'referral.joinedAfter') };
+    }
+
+    user.referredBy = referrer.id;
+    user.referralStatus = 'pending';
+    return { valid: true, referrer };
+}
+
+/**
+ * Pay both referral bonuses once a referred user has asked enough questions.
+ * The referrer's bonus is capped at REFERRAL_MONTHLY_LIMIT a month, so a pile
+ * of throwaway accounts can't mint tokens.
+ * @param {Object} user - The referred user
+ * @returns {{rewarded: boolean, referrer?: Object, referrerBonus?: number}}
+ */
+export function settleReferral(user) {
+    if (user.referralStatus !== 'pending') return { rewarded: false };
+    if (questionsAsked(user.id) < REFERRAL_QUALIFYING_QUESTIONS) return { rewarded: false };
+
+    user.referralStatus = 'rewarded';
+    const referrer = getUserById(user.referredBy);
+    credit(user, REFERRAL_WELCOME_BONUS, { reason: 'referral welcome bonus', ref: user.referredBy });
+    if (!referrer) return { rewarded: true, referrerBonus: 0 };
+
+    const since = Date.now() - LIMIT_WINDOW;
+    const recentBonuses = (collection('ledger')[referrer.id] || [])
+        .filter(entry => entry.reason === 'referral bonus' && new Date(entry.at) >= since)
+        .length;
+
+    if (recentBonuses >= REFERRAL_MONTHLY_LIMIT) {
+        console.warn(`Referral bonus for ${referrer.id} withheld: ${recentBonuses} in the last 30 days`);
+        return { rewarded: true, referrer, referrerBonus: 0 };
+    }
+
+    credit(referrer, REFERRAL_BONUS, { reason: 'referral bonus', ref: user.id });
+    saveUser(referrer);
+    return { rewarded: true, referrer, referrerBonus: REFERRAL_BONUS };
+}
+
+/**
+ * How a user's referrals are going
+ * @param {string} userId
+ * @returns {{joined: number, rewarded: number}}
+ */
+export function referralStats(userId) {
+    const referred = Object.values(collection('users')).filter(user => user.referredBy === userId);
+    return {
+        joined: referred.length,
+        rewarded: referred.filter(user => user.referralStatus === 'rewarded').length
+    };
+}
@@ -0,0 +1,180 @@
+// Proactive messages: study reminders, daily-goal check-ins and streak-at-risk
+// nudges. Each is a scheduler job; quiet hours and /stop are checked when it runs.
+import { GOAL_CHECKIN_TIME, STREAK_NUDGE_HOURS } from './config.js';
+import { notifyUser } from './channels.js';
+import { t } from './i18n.js';
+import { questionsAsked } from './ledger.js';
+import { cancelJob, getJobs, registerJobHandler, rescheduleJob, scheduleJob } from './scheduler.js';
+import { isQuietTime, localDay, nextOccurrence, parseTimeOfDay, startOfDay, userTimezone } from './time.js';
+
+const HOUR = 60 * 60 * 1000;
+const MAX_LATENCY = HOUR; // skip a reminder rather than send it this late, e.g. after downtime
+
+/**
+ * Add the line telling the user how to turn reminders off
+ * @param {Object} user
+ * @param {string} text
+ * @returns {string}
+ */
+function withStopFooter(user, text) {
+    return `${text}\n\n${t(user, 'reminder.stop')}`;
+}
+
+/**
+ * Whether a user wants this message right now
+ * @param {Object} user
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function canNotify(user, now) {
+    return !user.notificationsOff && !isQuietTime(now, user.quietHours, userTimezone(user));
+}
+
+// Study reminders
+
+/**
+ * Add a daily study reminder
+ * @param {Object} user
+ * @param {{hour: number, minute: number}} time - User's local time
+ * @param {string} text
+ * @returns {Object} - The scheduled job
+ */
+export function addReminder(user, time, text) {
+    return scheduleJob({
+        userId: user.id,
+        kind: 'reminder',
+        runAt: nextOccurrence(time, userTimezone(user)),
+        data: { time, text }
+    });
+}
+
+/**
+ * Get a user's study reminders, in the order they next go off
+ * @param {string} userId
+ * @returns {Array<Object>}
+ */
+export function getReminders(userId) {
+    return getJobs(userId, 'reminder');
+}
+
+/**
+ * Remove a study reminder
+ * @param {string} jobId
+ */
+export function removeReminder(jobId) {
+    cancelJob(jobId);
+}
+
+registerJobHandler('reminder', async (job, user, now) => {
+    const { time, text } = job.data;
+
+    if (now - new Date(job.runAt) <= MAX_LATENCY && canNotify(user, now)) {
+        await notifyUser(user, withStopFooter(user, t(user, 'reminder', { text })));
+    }
+
+    return nextOccurrence(time, userTimezone(user), now);
+});
+
+/**
+ * Move a user's reminders and goal check-in to the same local times in their current timezone
+ * @param {Object} user
+ */
+export function rescheduleForTimezone(user) {
+    const timeZone = userTimezone(user);
+
+    for (const job of getReminders(user.id)) {
+        rescheduleJob(job.id, nextOccurrence(job.data.time, timeZone));
+    }
+    rescheduleJob(`${user.id}:goal-checkin`, nextOccurrence(parseTimeOfDay(GOAL_CHECKIN_TIME), timeZone));
+}
+
+// Daily-goal check-ins
+
+/**
+ * How many questions a user has asked Florence* today, in their timezone
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function questionsAskedToday(user, now = new Date()) {
+    const timeZone = userTimezone(user);
+    return questionsAsked(user.id, startOfDay(localDay(now, timeZone), timeZone));
+}
+
+/**
+ * Set or clear a user's daily question goal, with a check-in each evening
+ * @param {Object} user
+ * @param {number|null} goal
+ */
+export function setDailyGoal(user, goal) {
+    user.dailyGoal = goal;
+
+    const id = `${user.id}:goal-checkin`;
+    if (!goal) {
+        cancelJob(id);
+        return;
+    }
+
+    scheduleJob({
+        id,
+        userId: user.id,
+        kind: 'goal-checkin',
+        runAt: nextOccurrence(parseTimeOfDay(GOAL_CHECKIN_TIME), userTimezone(user))
+    });
+}
+
+registerJobHandler('goal-checkin', async (job, user, now) => {
+    if (!user.dailyGoal) return null;
+
+    if (now - new Date(job.runAt) <= MAX_LATENCY && canNotify(user, now)) {
+        const asked = questionsAskedToday(user, now);
+        const goal = user.dailyGoal;
+
+        await notifyUser(user, asked >= goal
+            ? t(user, 'goal.hit', { asked, goal })
+            : withStopFooter(user, t(user, 'goal.progress', { asked, goal }))
+        );
+    }
+
+    return nextOccurrence(parseTimeOfDay(GOAL_CHECKIN_TIME), userTimezone(user), now);
+});
+
+// Streak-at-risk nudges
+
+/**
+ * Warn the user before their streak runs out. Called on every activity,
+ * so the nudge always matches the latest deadline.
+ * @param {Object} user
+ * @param {Date|null} deadline - When the streak ends, from streakDeadline; null if there's no streak
+ */
+export function scheduleStreakNudge(user, deadline) {
+    const id = `${user.id}:streak-nudge`;
+    if (!deadline) {
+        cancelJob(id);
+        return;
+    }
+
+    scheduleJob({
+        id,
+        userId: user.id,
+        kind: 'streak-nudge',
+        runAt: new Date(deadline.getTime() - STREAK_NUDGE_HOURS * HOUR),
+        data: { deadline: deadline.toISOString() }
+    });
+}
+
+registerJobHandler('streak-nudge', async (job, user, now) => {
+    const deadline = new Date(job.data.deadline);
+    if (user.streak === 0 || user.notificationsOff || now >= deadline) return null;
+
+    // Wait for quiet hours to end, if the streak lasts that long
+    const timeZone = userTimezone(user);
+    if (isQuietTime(now, user.quietHours, timeZone)) {
+        const quietEnd = nextOccurrence(user.quietHours.end, timeZone, now);
+        return quietEnd < deadline ? quietEnd : null;
+    }
+
+    const hoursLeft = Math.max(1, Math.round((deadline - now) / HOUR));
+    await notifyUser(user, withStopFooter(user, t(user, 'streak.nudge', { streak: user.streak, hours: hoursLeft })));
+    return null;
+});
@@ -0,0 +1,175 @@
+// Long replies: splitting answers into parts that fit a channel's message
+// limit, and streaming answers into messages that are edited as text arrives
+const LABEL_ROOM = 10; // room for a part label like '(12/15)\n'
+const EDIT_INTERVAL = 1000; // ms between edits of a streamed message, to stay under rate limits
+const FENCE = /^\s*```/;
+
+/**
+ * Break text into paragraphs and code blocks, which are kept whole where possible
+ * @param {string} text
+ * @returns {Array<{text: string, fence?: string}>} - fence is the opening line of a code block
+ */
+function segments(text) {
+    const result = [];
+    let lines = [];
+    let fence = null;
+
+    const flush = () => {
+        if (lines.length > 0) result.push(fence ? { text: lines.join('\n'), fence } : { text: lines.join('\n') });
+        lines = [];
+    };
+
+    for (const line of text.split('\n')) {
+        if (fence) {
+            lines.push(line);
+            if (FENCE.test(line)) {
+                flush();
+                fence = null;
+            }
+        } else if (FENCE.test(line)) {
+            flush();
+            fence = line.trim();
+            lines.push(line);
+        } else if (!line.trim()) {
+            flush();
+        } else {
+            lines.push(line);
+        }
+    }
+    flush(); // an unclosed code block, while an answer is still streaming, stays one segment
+
+    return result;
+}
+
+/**
+ * Join pieces into as few parts as fit the limit, breaking any piece that is too long
+ * @param {Array<string>} pieces
+ * @param {string} joiner
+ * @param {number} limit
+ * @param {function(string): Array<string>} breakPiece
+ * @returns {Array<string>}
+ */
+function pack(pieces, joiner, limit, breakPiece) {
+    const parts = [];
+    let current = null;
+
+    for (const piece of pieces.flatMap(piece => piece.length > limit ? breakPiece(piece) : [piece])) {
+        const joined = current === null ? piece : `${current}${joiner}${piece}`;
+        if (joined.length <= limit) {
+            current = joined;
+        } else {
+            parts.push(current);
+            current = piece;
+        }
+    }
+    if (current !== null) parts.push(current);
+
+    return parts;
+}
+
+/**
+ * Break a paragraph that is too long: between lines, then words, then anywhere
+ * @param {string} text
+ * @param {number} limit
+ * @param {Array<string>} [separators]
+ * @returns {Array<string>}
+ */
+function breakText(text, limit, [separator, ...rest] = ['\n', ' ']) {
+    if (separator === undefined) {
+        return Array.from({ length: Math.ceil(text.length / limit) }, (_, index) => text.slice(index * limit, (index + 1) * limit));
+    }
+    return pack(text.split(separator), separator, limit, piece => breakText(piece, limit, rest));
+}
+
+/**
+ * Break a code block that is too long between lines, closing and reopening
+ * the fence so each part is a complete block
+ * @param {{text: string, fence: string}} segment
+ * @param {number} limit
+ * @returns {Array<string>}
+ */
+function breakCode({ text, fence }, limit) {
+    const lines = text.split('\n').slice(1);
+    if (FENCE.test(lines.at(-1) || '')) lines.pop();
+
+    const room = limit - fence.length - 5; // the fence lines and their newlines
+    return pack(lines, '\n', room, line => breakText(line, room, []))
+        .map(code => `${fence}\n${code}\n\`\`\``);
+}
+
+/**
+ * Split text into parts of at most limit characters, at paragraph or code
+ * block boundaries where possible
+ * @param {string} text
+ * @param {number} limit
+ * @returns {Array<string>}
+ */
+export function splitText(text, limit) {
+    if (text.length <= limit) return [text];
+
+    const pieces = segments(text).flatMap(segment => {
+        if (segment.text.length <= limit) return [segment.text];
+        return segment.fence ? breakCode(segment, limit) : breakText(segment.text, limit);
+    });
+    return pack(pieces, '\n\n', limit, piece => [piece]);
+}
+
+/**
+ * Split a message to fit a channel's limit, labelling the parts (1/3, 2/3...)
+ * when there's more than one
+ * @param {string} text
+ * @param {number} limit - The channel's longest message
+ * @returns {Array<string>}
+ */
+export function splitMessage(text, limit) {
+    if (text.length <= limit) return [text];
+
+    const parts = splitText(text, limit - LABEL_ROOM);
+    if (parts.length === 1) return parts;
+    return parts.map((part, index) => `(${index + 1}/${parts.length})\n${part}`);
+}
+
+/**
+ * Stream an answer to the user as it arrives. On channels that can edit
+ * messages (ctx.replyEditable), one message is edited as text comes in, with
+ * more started when it outgrows the channel's limit; elsewhere the answer is
+ * sent, split into parts, once it's complete.
+ * @param {Object} ctx - Message context
+ * @returns {{update: function(string), finish: function(string): Promise<void>}}
+ *   update(textSoFar) as text arrives; finish(text) with the complete reply
+ */
+export function streamReply(ctx) {
+    if (!ctx.replyEditable) {
+        return { update: () => {}, finish: (text) => ctx.reply(text) };
+    }
+
+    const messages = []; // { handle, text } for each message sent so far, in order
+    let pending = Promise.resolve();
+    let lastUpdate = 0;
+
+    // Bring the sent messages in line with the parts, editing only what changed
+    const render = async (parts) => {
+        for (const [index, part] of parts.entries()) {
+            if (!messages[index]) {
+                messages[index] = { handle: await ctx.replyEditable(part), text: part };
+            } else if (messages[index].text !== part) {
+                await messages[index].handle.edit(part);
+                messages[index].text = part;
+            }
+        }
+    };
+
+    return {
+        update: (text) => {
+            if (!text.trim() || Date.now() - lastUpdate < EDIT_INTERVAL) return;
+            lastUpdate = Date.now();
+            pending = pending
+                .then(() => render(splitText(text, ctx.maxMessageLength - LABEL_ROOM)))
+                .catch(error => console.error('Error updating streamed reply:', error.message));
+        },
+        finish: async (text) => {
+            await pending;
+            await render(splitMessage(text, ctx.maxMessageLength));
+        }
+    };
+}
@@ -0,0 +1,152 @@
+// Activity rewards and streaks, the same for every channel
+import { MAX_STREAK_FREEZES, STREAK_FREEZE_COST, STREAK_FREEZE_EVERY, STREAK_MILESTONES, STREAK_REWARD, STREAK_REWARD_EVERY } from './config.js';
+import { t } from './i18n.js';
+import { credit, debit } from './ledger.js';
+import { scheduleStreakNudge } from './reminders.js';
+import { addDays, daysBetween, localDay, startOfDay, userTimezone } from './time.js';
+
+/**
+ * Check and update user's token rewards
+ * @param {Object} user - User object
+ * @returns {number} - Number of tokens awarded
+ */
+export function checkAndUpdateTokenRewards(user) {
+    const now = new Date();
+    const lastReward = new Date(user.lastTokenReward);
+    const hoursSinceLastReward = (now - lastReward) / (1000 * 60 * 60);
+
+    let tokensAwarded = 0;
+
+    // Award tokens every 8 hours
+    if ((hoursSinceLastReward >= 8) && (user.tokens <= 4)) {
+        const rewardCount = Math.floor(hoursSinceLastReward / 8);
+        tokensAwarded = rewardCount * 10;
+        credit(user, tokensAwarded, { reason: 'activity reward' });
+        user.lastTokenReward = now.toISOString();
+    }
+
+    return tokensAwarded;
+}
+
+/**
+ * Tokens for reaching a streak length
+ * @param {number} streak - Days
+ * @returns {number}
+ */
+export function milestoneReward(streak) {
+    if (STREAK_MILESTONES[streak] !== undefined) return STREAK_MILESTONES[streak];
+    return streak % STREAK_REWARD_EVERY === 0 ? STREAK_REWARD : 0;
+}
+
+/**
+ * When a user's streak ends if they do nothing more: the start of the first
+ * day they miss that their streak freezes can't cover
+ * @param {Object} user
+ * @returns {Date|null} - null if there's no streak to lose
+ */
+export function streakDeadline(user) {
+    if (!user.streakDay || user.streak === 0) return null;
+    return startOfDay(addDays(user.streakDay, 2 + user.streakFreezes), userTimezone(user));
+}
+
+/**
+ * A user's streak as it stands, counting one that has already run out as 0
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function currentStreak(user, now = new Date()) {
+    const deadline = streakDeadline(user);
+    return deadline && now < deadline ? user.streak : 0;
+}
+
+/**
+ * Count a prompt, finished review or other study as today's activity.
+ * Streaks count calendar days in the user's timezone: studying on
+ * consecutive days grows the streak, and each day missed uses up a streak
+ * freeze or, with none left, starts the streak again from today.
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {{streakReward: number, streakBroken: boolean, freezesUsed: number, freezeEarned: boolean}}
+ */
+export function recordActivity(user, now = new Date()) {
+    const result = { streakReward: 0, streakBroken: false, freezesUsed: 0, freezeEarned: false };
+    const today = localDay(now, userTimezone(user));
+    user.lastActivity = now.toISOString();
+
+    // Nothing to add on the same day, or on an earlier one after moving timezone
+    const days = user.streakDay ? daysBetween(user.streakDay, today) : Infinity;
+    if (days <= 0) {
+        scheduleStreakNudge(user, streakDeadline(user));
+        return result;
+    }
+
+    const missed = days - 1;
+    if (user.streak > 0 && missed <= user.streakFreezes) {
+        user.streakFreezes -= missed;
+        result.freezesUsed = missed;
+        user.streak += 1;
+    } else {
+        result.streakBroken = user.streak > 0;
+        user.streak = 1;
+    }
+    user.streakDay = today;
+
+    result.streakReward = milestoneReward(user.streak);
+    if (result.streakReward > 0) {
+        credit(user, result.streakReward, { reason: 'streak bonus' });
+    }
+
+    if (user.streak % STREAK_FREEZE_EVERY === 0 && user.streakFreezes < MAX_STREAK_FREEZES) {
+        user.streakFreezes += 1;
+        result.freezeEarned = true;
+    }
+
+    scheduleStreakNudge(user, streakDeadline(user));
+    return result;
+}
+
+/**
+ * Messages telling the user what recordActivity did to their streak
+ * @param {Object} user
+ * @param {Object} result - From recordActivity
+ * @returns {Array<string>}
+ */
+export function streakMessages(user, { streakReward, streakBroken, freezesUsed, freezeEarned }) {
+    const messages = [];
+
+    if (freezesUsed > 0) {
+        messages.push(t(user, 'streak.freezesUsed', { count: freezesUsed, streak: user.streak }));
+    }
+    if (streakBroken) {
+        messages.push(t(user, 'streak.broken'));
+    }
+    if (streakReward > 0) {
+        messages.push(t(user, 'streak.reward', { streak: user.streak, reward: streakReward }));
+    }
+    if (freezeEarned) {
+        messages.push(t(user, 'streak.freezeEarned', { streak: user.streak, freezes: user.streakFreezes }));
+    }
+
+    return messages;
+}
+
+/**
+ * Buy a streak freeze with tokens
+ * @param {Object} user
+ * @param {string|number} ref - Message that asked for it, for the ledger
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function buyStreakFreeze(user, ref) {
+    if (user.streakFreezes >= MAX_STREAK_FREEZES) {
+        return { valid: false, reason: t(user, 'freeze.max', { freezes: user.streakFreezes }) };
+    }
+    if (user.tokens < STREAK_FREEZE_COST) {
+        return { valid: false, reason: t(user, 'freeze.cantAfford', { cost: STREAK_FREEZE_COST, tokens: user.tokens }) };
+    }
+
+    debit(user, STREAK_FREEZE_COST, { reason: 'streak freeze', ref });
+    user.streakFreezes += 1;
+    scheduleStreakNudge(user, streakDeadline(user));
+    return { valid: true };
+}
@@ -0,0 +1,169 @@
+// Scheduler: jobs that run at a set time, like study reminders, saved in the
+// store so they survive restarts. Each kind of job has a registered handler
+// that returns when to run it next, or null when it's done.
+import crypto from 'crypto';
+import { SCHEDULER_INTERVAL } from './config.js';
+import { collection, save } from './store.js';
+import { getUserById } from './users.js';
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 5 * 60 * 1000; // ms before retrying a job that threw
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+
+/**
+ * Register the handler for a kind of job
+ * @param {string} kind - e.g. 'reminder'
+ * @param {function(Object, Object, Date): Promise<Date|null>} handler - (job, user, now) => next run, or null
+ */
+export function registerJobHandler(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Schedule a job, replacing any job with the same id
+ * @param {Object} job
+ * @param {string} job.userId
+ * @param {string} job.kind
+ * @param {Date} job.runAt
+ * @param {Object} [job.data] - Handler-specific state, saved with the job
+ * @param {string} [job.id] - Give one to keep at most one job of a kind per user
+ * @returns {Object} - The stored job
+ */
+export function scheduleJob({ userId, kind, runAt, data = {}, id = crypto.randomUUID() }) {
+    const job = {
+        id,
+        userId,
+        kind,
+        runAt: runAt.toISOString(),
+        data,
+        attempts: 0,
+        createdAt: new Date().toISOString()
+    };
+    collection('jobs')[id] = job;
+    save();
+    return job;
+}
+
+/**
+ * Get a user's jobs of one kind, soonest first
+ * @param {string} userId
+ * @param {string} kind
+ * @returns {Array<Object>}
+ */
+export function getJobs(userId, kind) {
+    return Object.values(collection('jobs'))
+        .filter(job => job.userId === userId && job.kind === kind)
+        .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+}
+
+/**
+ * Move a job to a new time
+ * @param {string} id
+ * @param {Date} runAt
+ */
+export function rescheduleJob(id, runAt) {
+    const job = collection('jobs')[id];
+    if (!job) return;
+
+    job.runAt = runAt.toISOString();
+    save();
+}
+
+/**
+ * Cancel a job
+ * @param {string} id
+ * @returns {boolean} - Whether there was a job to cancel
+ */
+export function cancelJob(id) {
+    const jobs = collection('jobs');
+    if (!jobs[id]) return false;
+
+    delete jobs[id];
+    save();
+    return true;
+}
+
+/**
+ * Run one due job and reschedule or remove it
+ * @param {Object} job
+ * @param {Date} now
+ */
+async function runJob(job, now) {
+    const jobs = collection('jobs');
+    const handler = handlers.get(job.kind);
+    const user = getUserById(job.userId);
+
+    if (!handler || !user) {
+        console.warn(`Dropping ${job.kind} job ${job.id}: ${handler ? 'user no longer exists' : 'no handler registered'}`);
+        delete jobs[job.id];
+        return;
+    }
+
+    try {
+        const next = await handler(job, user, now);
+
+        // The handler may have replaced or cancelled its own job
+        if (jobs[job.id] !== job) return;
+
+        if (next) {
+            job.runAt = next.toISOString();
+            job.attempts = 0;
+        } else {
+            delete jobs[job.id];
+        }
+    } catch (error) {
+        job.attempts += 1;
+        if (job.attempts >= MAX_ATTEMPTS) {
+            console.error(`Giving up on ${job.kind} job ${job.id} after ${job.attempts} attempts:`, error);
+            delete jobs[job.id];
+        } else {
+            console.error(`Error running ${job.kind} job ${job.id}, retrying later:`, error);
+            job.runAt = new Date(now.getTime() + RETRY_DELAY).toISOString();
+        }
+    }
+}
+
+/**
+ * Run every job that's due, one at a time
+ */
+async function runDueJobs() {
+    // A slow send shouldn't let the next tick run the same jobs again
+    if (running) return;
+    running = true;
+
+    try {
+        const now = new Date();
+        const due = Object.values(collection('jobs'))
+            .filter(job => new Date(job.runAt) <= now)
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+
+        for (const job of due) {
+            await runJob(job, now);
+        }
+        if (due.length > 0) save();
+    } catch (error) {
+        console.error('Error running scheduled jobs:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start checking for due jobs
+ */
+export function startScheduler() {
+    if (timer) return;
+    timer = setInterval(runDueJobs, SCHEDULER_INTERVAL);
+    runDueJobs(); // catch up on anything that fell due while we were down
+}
+
+/**
+ * Stop checking for due jobs, e.g. on shutdown
+ */
+export function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
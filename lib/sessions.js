@@ -0,0 +1,90 @@
+// Sessions: conversations that span several messages, like a quiz in progress.
+// While a user has one, their non-command messages go to its handler instead of Claude.
+// A session left alone for SESSION_TIMEOUT_MINUTES ends, so a student who wanders
+// off mid-quiz gets answers to their next questions rather than quiz prompts.
+import { SESSION_TIMEOUT_MINUTES } from './config.js';
+import { collection, save } from './store.js';
+
+const MINUTE = 60 * 1000;
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a kind of session
+ * @param {string} kind - e.g. 'quiz'
+ * @param {function(Object, Object): Promise<boolean|void>} handler - (message context, session).
+ *   Resolves to false if the message wasn't meant for the session, which then ends, and the
+ *   message is answered as a prompt.
+ */
+export function registerSessionHandler(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Get the handler for a kind of session
+ * @param {string} kind
+ * @returns {function(Object, Object): Promise<void>|undefined}
+ */
+export function getSessionHandler(kind) {
+    return handlers.get(kind);
+}
+
+/**
+ * When a session left alone from now would end
+ * @returns {string}
+ */
+function expiryFromNow() {
+    return new Date(Date.now() + SESSION_TIMEOUT_MINUTES * MINUTE).toISOString();
+}
+
+/**
+ * Get a user's active session, ending it if it has been left too long
+ * @param {string} userId
+ * @returns {Object|undefined}
+ */
+export function getSession(userId) {
+    const session = collection('sessions')[userId];
+    if (!session) return undefined;
+
+    // Sessions saved before they expired are given the usual time from when they started
+    const expiresAt = session.expiresAt || new Date(new Date(session.startedAt).getTime() + SESSION_TIMEOUT_MINUTES * MINUTE);
+    if (new Date(expiresAt) <= Date.now()) {
+        endSession(userId);
+        return undefined;
+    }
+    return session;
+}
+
+/**
+ * Start a session, replacing any the user already has
+ * @param {string} userId
+ * @param {string} kind
+ * @param {Object} state - Handler-specific state, saved with the session
+ * @returns {Object} - The session
+ */
+export function startSession(userId, kind, state) {
+    const session = { kind, startedAt: new Date().toISOString(), expiresAt: expiryFromNow(), ...state };
+    collection('sessions')[userId] = session;
+    save();
+    return session;
+}
+
+/**
+ * Persist changes made to a session object, giving it the full time again
+ * @param {string} userId
+ * @param {Object} session
+ */
+export function saveSession(userId, session) {
+    session.expiresAt = expiryFromNow();
+    collection('sessions')[userId] = session;
+    save();
+}
+
+/**
+ * End a user's session
+ * @param {string} userId
+ */
+export function endSession(userId) {
+    delete collection('sessions')[userId];
+    save();
+}
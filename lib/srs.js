@@ -0,0 +1,49 @@
+// Spaced repetition, after the SM-2 algorithm
+const DAY = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// What students reply after seeing the answer, mapped to SM-2 quality (0-5)
+export const GRADES = {
+    1: { label: 'Again', quality: 1 },
+    2: { label: 'Hard', quality: 3 },
+    3: { label: 'Good', quality: 4 },
+    4: { label: 'Easy', quality: 5 }
+};
+
+/**
+ * Scheduling fields for a card that has never been reviewed
+ * @param {Date} [now]
+ * @returns {{ease: number, interval: number, repetitions: number, due: string}}
+ */
+export function newSchedule(now = new Date()) {
+    return { ease: 2.5, interval: 0, repetitions: 0, due: now.toISOString() };
+}
+
+/**
+ * Work out when a card is next due after a review
+ * @param {{ease: number, interval: number, repetitions: number}} card
+ * @param {number} quality - 0 (forgot completely) to 5 (perfect recall)
+ * @param {Date} [now]
+ * @returns {{ease: number, interval: number, repetitions: number, due: string}}
+ */
+export function schedule(card, quality, now = new Date()) {
+    let { ease, interval, repetitions } = card;
+
+    if (quality < 3) {
+        // Forgotten: start the card over, but keep its ease so hard cards stay frequent
+        repetitions = 0;
+        interval = 1;
+    } else {
+        repetitions += 1;
+        interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+    }
+
+    ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        due: new Date(now.getTime() + interval * DAY).toISOString()
+    };
+}
@@ -0,0 +1,222 @@
+// File-backed storage shared by every channel
+import fs from 'fs';
+import path from 'path';
+import { DATA_FILE, DEFAULT_TIMEZONE } from './config.js';
+import { localDay } from './time.js';
+
+/**
+ * Schema migrations, applied in order to bring a data file up to date.
+ * The position in the array is the schema version it produces, so never
+ * edit or reorder a migration that has shipped; append a new one instead.
+ * @type {Array<function(Object): void>}
+ */
+const migrations = [
+    // 1: one users collection for WhatsApp and Telegram, keyed by `${channel}:${channelId}`
+    (data) => {
+        data.users = data.users || {};
+    },
+    // 2: per-user conversation history, keyed by user id
+    (data) => {
+        data.conversations = data.conversations || {};
+    },
+    // 3: Flutterwave payment links by tx_ref, and credited transactions by transaction id
+    (data) => {
+        data.paymentLinks = data.paymentLinks || {};
+        data.transactions = data.transactions || {};
+    },
+    // 4: token ledger, one list of entries per user, opened with each existing balance
+    (data) => {
+        data.ledger = data.ledger || {};
+        for (const user of Object.values(data.users)) {
+            if (data.ledger[user.id] || !user.tokens) continue;
+            data.ledger[user.id] = [{
+                id: `${user.id}:1`,
+                amount: user.tokens,
+                balance: user.tokens,
+                reason: 'opening balance',
+                channel: user.channel,
+                ref: null,
+                at: new Date().toISOString()
+            }];
+        }
+    },
+    // 5: multi-message sessions (e.g. a quiz in progress) and quiz score history, keyed by user id
+    (data) => {
+        data.sessions = data.sessions || {};
+        data.quizResults = data.quizResults || {};
+    },
+    // 6: spaced-repetition flashcards, a list per user id
+    (data) => {
+        data.flashcards = data.flashcards || {};
+    },
+    // 7: scheduled jobs (reminders, nudges) by job id, and each user's notification settings
+    (data) => {
+        data.jobs = data.jobs || {};
+        for (const user of Object.values(data.users)) {
+            user.notificationsOff = user.notificationsOff || false;
+            user.quietHours = user.quietHours || null;
+            user.dailyGoal = user.dailyGoal || null;
+            user.lastMessageAt = user.lastMessageAt || user.lastActivity;
+        }
+    },
+    // 8: streaks counted in calendar days in each user's timezone, with streak freezes
+    (data) => {
+        for (const user of Object.values(data.users)) {
+            user.timezone = user.timezone || null;
+            user.streakDay = user.streakDay || (user.streakDate ? localDay(new Date(user.streakDate), DEFAULT_TIMEZONE) : null);
+            user.streakFreezes = user.streakFreezes || 0;
+            delete user.streakDate;
+        }
+    },
+    // 9: a referral code for every user (Telegram users had none), and who referred them
+    (data) => {
+        const taken = new Set(Object.values(data.users).map(user => user.referralId?.toLowerCase()).filter(Boolean));
+        for (const user of Object.values(data.users)) {
+            if (!user.referralId) {
+                const initial = (/[A-Za-z]/.exec(user.name || '') || ['F'])[0];
+                let code = `${initial}${user.channelId}`;
+                for (let n = 10; taken.has(code.toLowerCase()); n++) code = `${initial}${user.channelId}${n}`;
+                user.referralId = code;
+                taken.add(code.toLowerCase());
+            }
+            user.referredBy = user.referredBy || null;
+            user.referralStatus = user.referralStatus || null;
+        }
+    },
+    // 10: tutoring profile (subject, level, exam) on every user
+    (data) => {
+        for (const user of Object.values(data.users)) {
+            user.profile = user.profile || { subject: null, level: null, exam: null };
+        }
+    },
+    // 11: answer mode per user, and per group chat keyed by `${channel}:${chatId}`
+    (data) => {
+        data.groups = data.groups || {};
+        for (const user of Object.values(data.users)) {
+            user.mode = user.mode || 'answer';
+        }
+    },
+    // 12: incoming messages waiting to be handled, or recently handled, by channel message id
+    (data) => {
+        data.inbox = data.inbox || {};
+    },
+    // 13: conversations ended with /new, a list per user id, and web chat access tokens by their hash
+    (data) => {
+        data.pastConversations = data.pastConversations || {};
+        data.webTokens = data.webTokens || {};
+    },
+    // 14: account linking: one-time /link codes, and the ids of accounts merged into another, mapped to its id
+    (data) => {
+        data.linkCodes = data.linkCodes || {};
+        data.userLinks = data.userLinks || {};
+        for (const user of Object.values(data.users)) {
+            user.linked = user.linked || [];
+        }
+    },
+    // 15: each user's chosen language, null until they pick one with /language
+    (data) => {
+        for (const user of Object.values(data.users)) {
+            user.language = user.language || null;
+        }
+    },
+];
+
+const SAVE_DELAY = 250; // ms to wait before writing, so bursts of updates share one write
+
+let data = null;
+let saveTimer = null;
+let pendingWrite = Promise.resolve();
+
+/**
+ * Bring raw data up to the latest schema version
+ * @param {Object} raw - Parsed contents of the data file
+ * @returns {boolean} - Whether any migration ran
+ */
+function migrate(raw) {
+    const from = raw.version || 0;
+
+    for (let version = from; version < migrations.length; version++) {
+        migrations[version](raw);
+        raw.version = version + 1;
+        console.log(`Store migrated to schema version ${raw.version}`);
+    }
+
+    return raw.version !== from;
+}
+
+/**
+ * Load the data file, creating and migrating it as needed
+ * @returns {Object}
+ */
+function load() {
+    if (data) return data;
+
+    let raw = { version: 0 };
+    if (fs.existsSync(DATA_FILE)) {
+        try {
+            raw = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        } catch (error) {
+            // Refuse to start on a corrupt file rather than overwrite everyone's balances
+            throw new Error(`Could not read data file ${DATA_FILE}: ${error.message}`);
+        }
+    }
+
+    if (raw.version > migrations.length) {
+        throw new Error(`Data file ${DATA_FILE} is at schema version ${raw.version}, newer than this code supports (${migrations.length})`);
+    }
+
+    data = raw;
+    if (migrate(data)) flush();
+
+    return data;
+}
+
+/**
+ * Get a top-level collection from the store
+ * @param {string} name - Collection name, e.g. 'users'
+ * @returns {Object}
+ */
+export function collection(name) {
+    const store = load();
+    if (!store[name]) {
+        throw new Error(`Unknown store collection: ${name}`);
+    }
+    return store[name];
+}
+
+/**
+ * Schedule a write of the whole store to disk
+ */
+export function save() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        const contents = JSON.stringify(load());
+
+        // Chain writes so an older snapshot never lands after a newer one
+        pendingWrite = pendingWrite.then(async () => {
+            const tmpFile = `${DATA_FILE}.tmp`;
+            await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+            await fs.promises.writeFile(tmpFile, contents);
+            await fs.promises.rename(tmpFile, DATA_FILE);
+        }).catch(error => {
+            console.error('Error saving store:', error);
+        });
+    }, SAVE_DELAY);
+}
+
+/**
+ * Write the store to disk immediately, e.g. on shutdown
+ */
+export function flush() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+
+    const tmpFile = `${DATA_FILE}.tmp`;
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(load()));
+    fs.renameSync(tmpFile, DATA_FILE);
+}
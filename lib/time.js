@@ -0,0 +1,189 @@
+// Time-of-day helpers for users in different timezones
+import { DEFAULT_TIMEZONE } from './config.js';
+
+/**
+ * A user's timezone
+ * @param {Object} user
+ * @returns {string} - IANA name
+ */
+export function userTimezone(user) {
+    return user.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Calendar date and time of day of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name, e.g. 'Africa/Lagos'
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} - month is 1-12
+ */
+export function localParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value);
+    return {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute')
+    };
+}
+
+/**
+ * The instant a wall-clock time happens in a timezone
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts - month is 1-12
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedTime({ year, month, day, hour, minute }, timeZone) {
+    const wanted = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Guess, see what wall-clock time the guess is in the timezone, and correct by the difference.
+    // Twice, so the correction still lands right when it crosses a DST change.
+    let guess = wanted;
+    for (let i = 0; i < 2; i++) {
+        const actual = localParts(new Date(guess), timeZone);
+        guess += wanted - Date.UTC(actual.year, actual.month - 1, actual.day, actual.hour, actual.minute);
+    }
+    return new Date(guess);
+}
+
+/**
+ * Parse a time of day such as '19:00', '7pm' or '7:30 pm'
+ * @param {string} text
+ * @returns {{hour: number, minute: number}|null}
+ */
+export function parseTimeOfDay(text) {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec((text || '').trim());
+    if (!match) return null;
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3]?.toLowerCase();
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (!match[2]) {
+        return null; // a bare number like '7' is too ambiguous
+    }
+
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+/**
+ * Format a time of day as HH:MM
+ * @param {{hour: number, minute: number}} time
+ * @returns {string}
+ */
+export function formatTimeOfDay({ hour, minute }) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * The next time a time of day comes round in a timezone
+ * @param {{hour: number, minute: number}} time
+ * @param {string} timeZone
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+export function nextOccurrence({ hour, minute }, timeZone, after = new Date()) {
+    const today = localParts(after, timeZone);
+    const candidate = zonedTime({ ...today, hour, minute }, timeZone);
+    if (candidate > after) return candidate;
+
+    // Tomorrow: step a calendar day forward in UTC, which handles month and year ends
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+    return zonedTime({
+        year: tomorrow.getUTCFullYear(),
+        month: tomorrow.getUTCMonth() + 1,
+        day: tomorrow.getUTCDate(),
+        hour,
+        minute
+    }, timeZone);
+}
+
+/**
+ * Whether an instant falls inside quiet hours, which may run past midnight
+ * @param {Date} date
+ * @param {{start: {hour: number, minute: number}, end: {hour: number, minute: number}}} quietHours
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isQuietTime(date, quietHours, timeZone) {
+    if (!quietHours) return false;
+
+    const { hour, minute } = localParts(date, timeZone);
+    const now = hour * 60 + minute;
+    const start = quietHours.start.hour * 60 + quietHours.start.minute;
+    const end = quietHours.end.hour * 60 + quietHours.end.minute;
+
+    return start <= end ? (now >= start && now < end) : (now >= start || now < end);
+}
+
+/**
+ * Check that a timezone name is one the runtime knows
+ * @param {string} timeZone - e.g. 'Africa/Lagos'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The calendar day an instant falls on in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function localDay(date, timeZone) {
+    const { year, month, day } = localParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Move a calendar day forwards or back
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} count - Days to add, negative to go back
+ * @returns {string} - YYYY-MM-DD
+ */
+export function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole calendar days from one day to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} - Negative if to is before from
+ */
+export function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * The instant a calendar day starts in a timezone
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function startOfDay(day, timeZone) {
+    const [year, month, date] = day.split('-').map(Number);
+    return zonedTime({ year, month, day: date, hour: 0, minute: 0 }, timeZone);
+}
@@ -0,0 +1,213 @@
+// Tutoring profiles: the subject, level and exam a student is working towards,
+// turned into a system prompt that pitches Florence*'s answers to them, and the
+// answer mode: full answers, or hints that leave the working to the student
+import { SYSTEM_PROMPT } from './claude.js';
+import { languagePrompt, t } from './i18n.js';
+import { collection, save } from './store.js';
+
+/**
+ * Answer modes. A group's mode, set by its admins, overrides its members' own.
+ * @type {Object<string, string>} - mode -> key of its description, for t()
+ */
+export const MODES = {
+    answer: 'mode.answer',
+    hint: 'mode.hint'
+};
+
+const HINT_PROMPT = "Hint mode is on: the student must do the work themselves. Never give the final answer " +
+    "or a complete solution, even if asked directly. Instead, guide them one step at a time: point out what " +
+    "the question is asking, give a hint towards the next step, and ask them to try it and send their attempt. " +
+    "When they reply, say what they got right, correct any mistake with a further hint, and ask for the next step. " +
+    "If the question is in an image or document, start by writing the question out in words. " +
+    "If they ask for the answer, tell them they can send /reveal to see the full solution.";
+
+/**
+ * Levels a student can pick, keyed by what they type (lower case, no spaces)
+ * @type {Object<string, {label: string, guidance: string}>}
+ */
+export const LEVELS = {
+    primary: {
+        label: 'Primary school',
+        guidance: "The student is in primary school. Use short sentences, everyday Nigerian examples and no jargon. " +
+            "Explain one idea at a time and check understanding with a simple question."
+    },
+    ...Object.fromEntries([1, 2, 3].map(year => [`jss${year}`, {
+        label: `JSS ${year}`,
+        guidance: `The student is in Junior Secondary School year ${year}. Follow the NERDC Basic Education curriculum. ` +
+            "Define new terms, build from basics, and use simple worked examples with every step shown."
+    }])),
+    ...Object.fromEntries([1, 2, 3].map(year => [`sss${year}`, {
+        label: `SSS ${year}`,
+        guidance: `The student is in Senior Secondary School year ${year}. Follow the NERDC senior secondary curriculum ` +
+            "and its terminology. Give full working for calculations and the key points an examiner looks for."
+    }])),
+    ...Object.fromEntries([100, 200, 300, 400, 500].map(level => [`${level}-level`, {
+        label: `${level}-level`,
+        guidance: `The student is a ${level}-level university undergraduate. Pitch explanations at degree level, ` +
+            "in line with the NUC benchmark for the course. Use proper technical terms, derivations where they help, " +
+            "and point out common misconceptions."
+    }])),
+    postgraduate: {
+        label: 'Postgraduate',
+        guidance: "The student is a postgraduate. Be concise and rigorous, assume undergraduate foundations, " +
+            "and mention where the literature disagrees."
+    }
+};
+
+/**
+ * Other ways students write a level, mapped to a key of LEVELS
+ * @type {Object<string, string>}
+ */
+const LEVEL_ALIASES = {
+    jss: 'jss1', js1: 'jss1', js2: 'jss2', js3: 'jss3',
+    sss: 'sss1', ss1: 'sss1', ss2: 'sss2', ss3: 'sss3',
+    '100': '100-level', '200': '200-level', '300': '300-level', '400': '400-level', '500': '500-level',
+    '100l': '100-level', '200l': '200-level', '300l': '300-level', '400l': '400-level', '500l': '500-level',
+    postgrad: 'postgraduate', pg: 'postgraduate', masters: 'postgraduate', phd: 'postgraduate'
+};
+
+/**
+ * Exams a student can prepare for, keyed by what they type
+ * @type {Object<string, {label: string, guidance: string}>}
+ */
+export const EXAMS = {
+    waec: {
+        label: 'WAEC (WASSCE)',
+        guidance: "The student is preparing for WAEC's WASSCE. Align with the WAEC syllabus, and answer theory " +
+            "questions the way the marking scheme rewards: state the principle, show each step of working, and give " +
+            "the final answer with units. Mention past-question patterns where useful."
+    },
+    neco: {
+        label: 'NECO (SSCE)',
+        guidance: "The student is preparing for the NECO SSCE. Align with the NECO syllabus, show the working " +
+            "examiners expect in theory answers, and point out how similar questions have been set before."
+    },
+    jamb: {
+        label: 'JAMB (UTME)',
+        guidance: "The student is preparing for JAMB's UTME, which is timed multiple choice. Follow the JAMB " +
+            "syllabus and brochure topics, teach quick methods and elimination tricks, and after explaining a worked " +
+            "example say how long it should take in the exam."
+    },
+    'post-utme': {
+        label: 'Post-UTME',
+        guidance: "The student is preparing for a university post-UTME screening test. Cover the UTME syllabus at a " +
+            "slightly deeper level, favour quick, accurate methods, and include aptitude-style reasoning where relevant."
+    }
+};
+
+const EXAM_ALIASES = {
+    wassce: 'waec', ssce: 'neco', utme: 'jamb', postutme: 'post-utme', 'post-jamb': 'post-utme', postjamb: 'post-utme'
+};
+
+const MAX_SUBJECT_LENGTH = 60;
+
+/**
+ * Work out which level a student means
+ * @param {string} text - e.g. 'SS2', 'jss 1', '200L'
+ * @returns {string|null} - Key of LEVELS
+ */
+export function parseLevel(text) {
+    const key = (text || '').toLowerCase().replace(/\s+/g, '');
+    if (LEVELS[key]) return key;
+    return LEVEL_ALIASES[key] || null;
+}
+
+/**
+ * Work out which exam a student means
+ * @param {string} text - e.g. 'WAEC', 'post utme'
+ * @returns {string|null} - Key of EXAMS
+ */
+export function parseExam(text) {
+    const key = (text || '').toLowerCase().replace(/\s+/g, '-');
+    if (EXAMS[key]) return key;
+    return EXAM_ALIASES[key] || EXAM_ALIASES[key.replace(/-/g, '')] || null;
+}
+
+/**
+ * Tidy up a subject the student typed
+ * @param {Object} user
+ * @param {string} text
+ * @returns {{valid: boolean, subject?: string, reason?: string}}
+ */
+export function parseSubject(user, text) {
+    const subject = (text || '').replace(/\s+/g, ' ').trim();
+    if (!subject) {
+        return { valid: false, reason: t(user, 'subject.missing') };
+    }
+    if (subject.length > MAX_SUBJECT_LENGTH) {
+        return { valid: false, reason: t(user, 'subject.tooLong', { max: MAX_SUBJECT_LENGTH }) };
+    }
+    return { valid: true, subject };
+}
+
+/**
+ * Describe a student's profile, one setting per line
+ * @param {Object} user
+ * @returns {string}
+ */
+export function describeProfile(user) {
+    const { subject, level, exam } = user.profile;
+    return t(user, 'profile.describe', {
+        subject: subject || t(user, 'profile.anySubject'),
+        level: LEVELS[level]?.label || t(user, 'profile.notSet'),
+        exam: EXAMS[exam]?.label || t(user, 'profile.notSet')
+    });
+}
+
+/**
+ * System prompt for a student, tailored to their profile and language
+ * @param {Object} user
+ * @param {string} [mode] - Key of MODES, see modeFor
+ * @returns {string}
+ */
+export function tutorPrompt(user, mode = 'answer') {
+    const { subject, level, exam } = user.profile;
+    const parts = [SYSTEM_PROMPT];
+
+    if (subject) {
+        parts.push(`The student is mainly studying ${subject}. Relate answers to ${subject} where it makes sense, ` +
+            "but still help with other subjects when asked.");
+    }
+    if (LEVELS[level]) parts.push(LEVELS[level].guidance);
+    if (EXAMS[exam]) parts.push(EXAMS[exam].guidance);
+    if (mode === 'hint') parts.push(HINT_PROMPT);
+
+    const language = languagePrompt(user);
+    if (language) parts.push(language);
+
+    return parts.join('\n\n');
+}
+
+/**
+ * Get a group's answer mode
+ * @param {string} groupId - e.g. 'telegram:-1001234567890'
+ * @returns {string|null} - null if the group's admins haven't set one
+ */
+export function getGroupMode(groupId) {
+    return collection('groups')[groupId]?.mode || null;
+}
+
+/**
+ * Set or clear a group's answer mode
+ * @param {string} groupId
+ * @param {string|null} mode
+ * @param {string} setBy - Id of the admin who set it
+ */
+export function setGroupMode(groupId, mode, setBy) {
+    const groups = collection('groups');
+    if (mode) {
+        groups[groupId] = { mode, setBy, updatedAt: new Date().toISOString() };
+    } else {
+        delete groups[groupId];
+    }
+    save();
+}
+
+/**
+ * The answer mode for a message: its group's, if set, otherwise the user's
+ * @param {Object} ctx - Message context
+ * @returns {string} - Key of MODES
+ */
+export function modeFor(ctx) {
+    return (ctx.groupId && getGroupMode(ctx.groupId)) || ctx.user.mode;
+}
@@ -0,0 +1,147 @@
+// User accounts
+import crypto from 'crypto';
+import { collection, save } from './store.js';
+import { credit } from './ledger.js';
+
+/**
+ * Build the store key for a user
+ * @param {string} channel - 'whatsapp', 'telegram' or 'web'
+ * @param {string|number} channelId - WaId, Telegram user id or the portal's student id
+ * @returns {string}
+ */
+export function userKey(channel, channelId) {
+    return `${channel}:${channelId}`;
+}
+
+/**
+ * Get a user by channel and channel-specific id
+ * @param {string} channel
+ * @param {string|number} channelId
+ * @returns {Object|undefined}
+ */
+export function getUser(channel, channelId) {
+    return getUserById(userKey(channel, channelId));
+}
+
+/**
+ * Get a user by store key, or by the key of an account linked into theirs
+ * @param {string} id - e.g. 'whatsapp:2348012345678'
+ * @returns {Object|undefined}
+ */
+export function getUserById(id) {
+    const users = collection('users');
+    return users[id] || users[collection('userLinks')[id]];
+}
+
+/**
+ * Every channel a user can be reached on: the one they joined on, then any
+ * linked with /link
+ * @param {Object} user
+ * @returns {Array<{channel: string, channelId: string}>}
+ */
+export function userIdentities(user) {
+    const [channel, channelId] = user.id.split(/:(.*)/);
+    return [{ channel, channelId }, ...user.linked.map(({ channel, channelId }) => ({ channel, channelId }))];
+}
+
+/**
+ * Send a linked account's messages that aren't replies, like reminders, to
+ * the channel the user wrote from last
+ * @param {Object} user
+ * @param {string} channel
+ */
+export function setHomeChannel(user, channel) {
+    const identity = userIdentities(user).find(identity => identity.channel === channel);
+    if (!identity) return;
+
+    user.channel = identity.channel;
+    user.channelId = identity.channelId;
+}
+
+/**
+ * Make a referral code no other user has: the first letter of their name
+ * and their channel id, e.g. 'A2348012345678'
+ * @param {string} name
+ * @param {string|number} channelId
+ * @returns {string}
+ */
+function newReferralCode(name, channelId) {
+    // Telegram deep links only carry letters, digits, _ and -
+    const initial = (/[A-Za-z]/.exec(name || '') || ['F'])[0];
+    let code = `${initial}${channelId}`;
+    while (getUserByReferralCode(code)) {
+        code = `${initial}${channelId}${crypto.randomInt(10, 100)}`;
+    }
+    return code;
+}
+
+/**
+ * Find a user by their referral code, ignoring case
+ * @param {string} code
+ * @returns {Object|undefined}
+ */
+export function getUserByReferralCode(code) {
+    const wanted = (code || '').toLowerCase();
+    if (!wanted) return undefined;
+    return Object.values(collection('users')).find(user => user.referralId?.toLowerCase() === wanted);
+}
+
+/**
+ * Create and store a new user
+ * @param {string} channel
+ * @param {string|number} channelId
+ * @param {Object} fields
+ * @param {string} fields.name - Display name
+ * @param {number} fields.tokens - Starting balance
+ * @param {string} [fields.username]
+ * @param {string} [fields.languageCode]
+ * @param {number} [fields.streak]
+ * @param {string} [fields.referralId] - Generated if not given
+ * @returns {Object} - The stored user
+ */
+export function createUser(channel, channelId, { name, tokens, username = '', languageCode = '', streak = 0, referralId = newReferralCode(name, channelId) }) {
+    const now = new Date().toISOString();
+    const user = {
+        id: userKey(channel, channelId),
+        channel,
+        channelId: String(channelId),
+        name,
+        username,
+        languageCode, // from Telegram; the default language until they choose one
+        language: null, // chosen with /language, see i18n.js
+        tokens: 0,
+        streak,
+        referralId,
+        referredBy: null, // id of the user whose code they joined with
+        referralStatus: null, // 'pending' until they've used Florence* enough to earn the bonus, then 'rewarded'
+        createdAt: now,
+        lastTokenReward: now,
+        lastActivity: now,
+        streakDay: null, // last day counted towards the streak, YYYY-MM-DD in the user's timezone
+        streakFreezes: 0,
+        timezone: null, // IANA name; null means DEFAULT_TIMEZONE
+        lastMessageAt: now,
+        notificationsOff: false,
+        quietHours: null,
+        dailyGoal: null,
+        profile: { subject: null, level: null, exam: null }, // see tutoring.js
+        mode: 'answer', // see MODES in tutoring.js
+        linked: [] // accounts on other channels merged into this one, see linking.js
+    };
+
+    collection('users')[user.id] = user;
+    credit(user, tokens, { reason: 'signup' });
+    return user;
+}
+
+/**
+ * Persist changes made to a user object
+ * @param {Object} user
+ */
+export function saveUser(user) {
+    // An account that was just linked into another one must not come back
+    if (collection('userLinks')[user.id]) return;
+
+    collection('users')[user.id] = user;
+    save();
+}
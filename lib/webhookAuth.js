@@ -0,0 +1,84 @@
+// Webhook authenticity checks
+import crypto from 'crypto';
+import twilio from 'twilio';
+import {
+    BOT_TOKEN,
+    TELEGRAM_WEBHOOK_SECRET,
+    TWILIO_AUTH_TOKEN,
+    WEBHOOK_AUTH_DISABLED,
+    WEBHOOK_URL
+} from './config.js';
+
+if (WEBHOOK_AUTH_DISABLED) {
+    console.warn('WEBHOOK_AUTH_DISABLED is set: webhook signatures are NOT checked. Never use this in production.');
+}
+
+/**
+ * Secret Telegram sends back in X-Telegram-Bot-Api-Secret-Token. Derived from
+ * the bot token unless configured, so it survives restarts without extra setup.
+ * @type {string}
+ */
+export const telegramSecret = TELEGRAM_WEBHOOK_SECRET ||
+    crypto.createHash('sha256').update(`florence-webhook:${BOT_TOKEN}`).digest('hex');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} expected
+ * @param {string|undefined} received
+ * @returns {boolean}
+ */
+export function safeEqual(expected, received) {
+    if (!expected || !received) return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Log a rejected webhook with enough detail to investigate it
+ * @param {string} channel
+ * @param {import('express').Request} req
+ * @param {string} reason
+ */
+function logRejected(channel, req, reason) {
+    console.warn(`Rejected ${channel} webhook from ${req.ip} (${req.get('user-agent') || 'no user agent'}): ${reason}`);
+}
+
+/**
+ * Express middleware checking X-Twilio-Signature. Needs the parsed form body,
+ * and WEBHOOK_URL set to the public URL Twilio calls.
+ * @type {import('express').RequestHandler}
+ */
+export function requireTwilioSignature(req, res, next) {
+    if (WEBHOOK_AUTH_DISABLED) return next();
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) {
+        logRejected('WhatsApp', req, 'missing X-Twilio-Signature');
+        return res.status(403).send('Forbidden');
+    }
+
+    // Twilio signs the URL it called, which behind a proxy isn't the one Express sees
+    const url = `${WEBHOOK_URL}${req.originalUrl}`;
+    if (!TWILIO_AUTH_TOKEN || !twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+        logRejected('WhatsApp', req, `invalid X-Twilio-Signature for ${url}`);
+        return res.status(403).send('Forbidden');
+    }
+
+    next();
+}
+
+/**
+ * Express middleware checking the secret token Telegram sends with each update
+ * @type {import('express').RequestHandler}
+ */
+export function requireTelegramSecret(req, res, next) {
+    if (WEBHOOK_AUTH_DISABLED) return next();
+
+    if (!safeEqual(telegramSecret, req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        logRejected('Telegram', req, 'missing or wrong X-Telegram-Bot-Api-Secret-Token');
+        return res.status(403).send('Forbidden');
+    }
+
+    next();
+}